@@ -0,0 +1,46 @@
+/**
+ * POST /api/calendar/recommendations
+ *
+ * Precomputes gift ideas for saved gift calendar occasions ({ occasions: [...] }) with the
+ * regular search, filter and rank pipeline — no LLM call. The calendar itself stays in the
+ * browser; this endpoint only reads the occasions it is sent.
+ * Answers { recommendations: { [occasionId]: products } }.
+ */
+
+import { recommendForOccasion } from "@/lib/aiPipeline";
+import { sanitizeOccasion } from "@/lib/giftCalendar";
+import { NextResponse } from "next/server";
+
+// Occasions refreshed per request; the client asks again for the rest
+const MAX_OCCASIONS_PER_REQUEST = 10;
+
+export async function POST(request) {
+    try {
+        const { occasions: raw } = await request.json();
+        const occasions = (Array.isArray(raw) ? raw : [])
+            .slice(0, MAX_OCCASIONS_PER_REQUEST)
+            .map(sanitizeOccasion)
+            .filter(Boolean);
+
+        if (occasions.length === 0) {
+            return NextResponse.json(
+                { error: "At least one occasion with a date is required" },
+                { status: 400 }
+            );
+        }
+
+        const results = await Promise.all(occasions.map(recommendForOccasion));
+        return NextResponse.json({
+            recommendations: Object.fromEntries(occasions.map((occasion, i) => [occasion.id, results[i]])),
+        });
+    } catch (error) {
+        console.error("Calendar recommendations error:", error);
+        return NextResponse.json(
+            {
+                error: "Something went wrong. Please try again.",
+                details: error.message,
+            },
+            { status: 500 }
+        );
+    }
+}
@@ -3,22 +3,234 @@
  * 
  * AI Chat endpoint — accepts user message + conversation history,
  * returns AI response + product recommendations via streaming SSE
+ *
+ * Event stream: "intent" → "products" → "token" (repeated) → "done",
+ * or "error" if the pipeline fails after the stream has started.
+ * Comparisons (compareProducts: [{ id }, ...] or ids) stream "token" → "done"; only the ids
+ * are read and the products are looked up in the catalog.
+ *
+ * With a sessionId the server keeps the transcript and merged shopping profile, so the
+ * client only sends the new message; without one, conversationHistory is used as before.
+ * Sending an edited `profile` without a message re-runs search and filtering only
+ * (no LLM calls) and streams "products" → "done".
+ *
+ * Results are paged: `limit` sets the page size and "done" carries a `nextCursor` when more
+ * ranked products are available. Sending `cursor` without a message streams the next page
+ * from the cached result set ("products" → "done"), again without search or LLM calls.
+ *
+ * When nothing matches every constraint, some are loosened (never dietary restrictions);
+ * "products" and "done" then carry `relaxations` describing what changed and by how much.
+ *
+ * When the customer shops for several recipients at once, "products" and "done" carry a `plan`
+ * grouping the products per recipient with a suggested pick each (see lib/giftPlan.js).
+ *
+ * When the customer gives the date of an occasion ("Mom's birthday is March 12"), "done" carries
+ * a `reminder` for the client's gift calendar (see lib/giftCalendar.js).
+ *
+ * A message with a `productId` is a question about that one product: it is answered from the
+ * product's own data only ("token" → "done"), with no search, so the client keeps its grid.
+ * "done" carries `products: null` and `productId`.
+ *
+ * Messages are checked by the guardrail first (see lib/guardrails.js): off-topic requests and
+ * prompt-injection attempts get a polite refusal ("token" → "done") instead of a pipeline run.
+ * "done" carries the `guardrail` decision for every message; a refused injection attempt is kept
+ * out of the session transcript so it never reaches later prompts.
+ *
+ * Product claims in generated text (IDs, starting prices, bolded names) are checked before
+ * "done" (see lib/responseCheck.js), so its `message` can differ from the streamed tokens;
+ * clients should show it in their place. `debug.responseCheck` reports what was corrected.
+ *
+ * Each session is assigned its prompt versions once, by PROMPT_VARIANTS weights (see
+ * lib/promptRegistry.js), and keeps them. "done" carries the `prompts` used for the response
+ * ({ name, version } each), and the session transcript stores them with the assistant message.
  */
 
-import { processMessage, compareProducts } from "@/lib/aiPipeline";
+import {
+    processMessage,
+    compareProducts,
+    refineProducts,
+    answerProductQuestion,
+    formatConversationHistory,
+} from "@/lib/aiPipeline";
+import { isValidSessionId, loadSession, saveSession } from "@/lib/sessionStore";
+import { assignPromptVersions } from "@/lib/promptRegistry";
+import { sanitizeProfile, describeProfileEdit } from "@/lib/shoppingProfile";
+import { sanitizeFacetSelection } from "@/lib/facets";
+import { getResultPage } from "@/lib/resultCache";
+import { WITHHELD_MESSAGE, isWithheld } from "@/lib/guardrails";
 import { NextResponse } from "next/server";
 
+const encoder = new TextEncoder();
+const NON_SEARCH_TURNS = new Set(["comparison", "product_question"]);
+
+/**
+ * Encode a single server-sent event
+ */
+function encodeEvent(event, data) {
+    return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Run a pipeline step inside an SSE response
+ * When the client goes away the stream is cancelled: `signal` aborts the in-flight LLM calls
+ * and nothing more is sent.
+ * @param {Function} run - Receives send(event, data) and an AbortSignal, and resolves to the "done" payload
+ */
+function streamEvents(run) {
+    const abort = new AbortController();
+    const stream = new ReadableStream({
+        async start(controller) {
+            const send = (event, data) => {
+                if (!abort.signal.aborted) controller.enqueue(encodeEvent(event, data));
+            };
+
+            try {
+                send("done", await run(send, abort.signal));
+            } catch (error) {
+                if (abort.signal.aborted) {
+                    console.log("[Chat API] Client disconnected, stream cancelled");
+                } else {
+                    console.error("Chat API stream error:", error);
+                    send("error", {
+                        error: "Something went wrong. Please try again.",
+                        details: error.message,
+                    });
+                }
+            } finally {
+                if (!abort.signal.aborted) controller.close();
+            }
+        },
+        cancel(reason) {
+            abort.abort(reason);
+        },
+    });
+
+    return new Response(stream, {
+        headers: {
+            "Content-Type": "text/event-stream; charset=utf-8",
+            "Cache-Control": "no-cache, no-transform",
+            Connection: "keep-alive",
+        },
+    });
+}
+
+/**
+ * Append a completed exchange to the session and persist it
+ */
+async function recordTurn(session, userMessage, result) {
+    if (!session) return;
+
+    session.messages.push(
+        { role: "user", content: isWithheld(result.guardrail) ? WITHHELD_MESSAGE : userMessage },
+        { role: "assistant", content: result.message, prompts: result.prompts ?? [] }
+    );
+    if (result.profile) session.profile = result.profile;
+    // Comparisons and product questions don't search, so the last search intent stays current
+    if (result.intent && !NON_SEARCH_TURNS.has(result.intent.intent_type)) session.lastIntent = result.intent;
+
+    await saveSession(session);
+}
+
 export async function POST(request) {
     try {
-        const { message, conversationHistory, compareProducts: productsToCompare } = await request.json();
+        const {
+            message,
+            sessionId,
+            conversationHistory,
+            profile: editedProfile,
+            manualFilters: rawManualFilters,
+            compareProducts: productsToCompare,
+            cursor,
+            limit,
+            productId,
+        } = await request.json();
+        const manualFilters = sanitizeFacetSelection(rawManualFilters);
+
+        if (sessionId != null && !isValidSessionId(sessionId)) {
+            return NextResponse.json(
+                { error: "Invalid sessionId" },
+                { status: 400 }
+            );
+        }
 
-        // Handle comparison
+        const session = sessionId ? await loadSession(sessionId) : null;
+        // The server-side transcript is authoritative once a session exists
+        const history = session ? session.messages : conversationHistory || [];
+        // Sticky per session; saved with the session's next turn
+        if (session && !session.promptVersions) session.promptVersions = assignPromptVersions(session.id);
+        const promptVersions = session?.promptVersions;
+
+        // Handle comparison — only the ids of the selected products are trusted
         if (productsToCompare && Array.isArray(productsToCompare) && productsToCompare.length >= 2) {
-            const result = await compareProducts(productsToCompare, message || "");
-            return NextResponse.json({
-                message: result.message,
-                products: [],
-                intent: { intent_type: "comparison" },
+            const userContext = formatConversationHistory(history);
+
+            return streamEvents(async (send, signal) => {
+                const result = await compareProducts(
+                    productsToCompare.map((p) => (p && typeof p === "object" ? p.id : p)).filter((id) => id != null),
+                    userContext,
+                    { profile: session?.profile, onToken: (text) => send("token", { text }), promptVersions, signal }
+                );
+
+                const payload = {
+                    message: result.message,
+                    products: [],
+                    intent: { intent_type: "comparison" },
+                    prompts: result.prompts ?? [],
+                    sessionId: session?.id,
+                    profile: session?.profile,
+                    debug: { responseCheck: result.responseCheck },
+                };
+                await recordTurn(
+                    session,
+                    message || `Compare ${result.products.map((p) => p.name).join(" vs ")}`,
+                    payload
+                );
+                return payload;
+            });
+        }
+
+        // Handle "show more" — next page of an already ranked result set
+        if (cursor && !message) {
+            return streamEvents(async (send) => {
+                const page = getResultPage(cursor, limit);
+                if (!page) {
+                    throw new Error("These results have expired. Please search again.");
+                }
+                send("products", { products: page.products });
+
+                return {
+                    message: null,
+                    products: page.products,
+                    nextCursor: page.nextCursor,
+                    totalResults: page.total,
+                };
+            });
+        }
+
+        // Handle constraint chip edits — re-filter with the edited profile, no intent extraction
+        if (editedProfile && typeof editedProfile === "object" && !message) {
+            const profile = sanitizeProfile(editedProfile);
+
+            return streamEvents(async (send) => {
+                const result = await refineProducts(session?.lastIntent, profile, manualFilters, limit);
+                send("products", { products: result.products, relaxations: result.relaxations });
+
+                if (session) {
+                    session.messages.push({ role: "user", content: describeProfileEdit(profile) });
+                    session.profile = profile;
+                    await saveSession(session);
+                }
+
+                return {
+                    message: null,
+                    products: result.products,
+                    nextCursor: result.nextCursor,
+                    totalResults: result.totalResults,
+                    relaxations: result.relaxations,
+                    intent: result.intent,
+                    profile,
+                    sessionId: session?.id,
+                };
             });
         }
 
@@ -29,14 +241,64 @@ export async function POST(request) {
             );
         }
 
-        // Process through AI pipeline
-        const result = await processMessage(message, conversationHistory || []);
-        console.log("[Chat API] intent.needs_clarification:", result.intent?.needs_clarification, "| products:", result.products?.length, "| message length:", result.message?.length);
+        // Handle product Q&A — answer from one product's data, leave the grid alone
+        if (productId != null && productId !== "") {
+            return streamEvents(async (send, signal) => {
+                const result = await answerProductQuestion(String(productId), message, history, {
+                    profile: session?.profile,
+                    onToken: (text) => send("token", { text }),
+                    promptVersions,
+                    signal,
+                });
+                if (!result) {
+                    throw new Error("That product is no longer available.");
+                }
+
+                const payload = {
+                    message: result.message,
+                    products: null,
+                    productId: result.product.id,
+                    intent: { intent_type: "product_question" },
+                    guardrail: result.guardrail,
+                    prompts: result.prompts,
+                    sessionId: session?.id,
+                    profile: session?.profile,
+                    debug: { responseCheck: result.responseCheck },
+                };
+                await recordTurn(session, message, payload);
+                return payload;
+            });
+        }
+
+        return streamEvents(async (send, signal) => {
+            // Process through AI pipeline, forwarding each stage as it completes
+            const result = await processMessage(message, history, {
+                onEvent: send,
+                profile: session?.profile,
+                manualFilters,
+                limit,
+                promptVersions,
+                signal,
+            });
+            console.log("[Chat API] intent.needs_clarification:", result.intent?.needs_clarification, "| products:", result.products?.length, "| message length:", result.message?.length);
 
-        return NextResponse.json({
-            message: result.message,
-            products: result.products,
-            intent: result.intent,
+            await recordTurn(session, message, result);
+
+            return {
+                message: result.message,
+                products: result.products,
+                nextCursor: result.nextCursor,
+                totalResults: result.totalResults,
+                relaxations: result.relaxations,
+                plan: result.plan ?? null,
+                reminder: result.reminder ?? null,
+                intent: result.intent,
+                guardrail: result.guardrail,
+                prompts: result.prompts,
+                profile: result.profile,
+                sessionId: session?.id,
+                debug: result.debug,
+            };
         });
     } catch (error) {
         console.error("Chat API error:", error);
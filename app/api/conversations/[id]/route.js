@@ -0,0 +1,141 @@
+/**
+ * /api/conversations/:id — one saved conversation (the id is the chat's session id)
+ *
+ * GET    — the server copy of the conversation (?owner=<ownerId>)
+ * PUT    — save it ({ ownerId, conversation })
+ * DELETE — remove it (?owner=<ownerId>)
+ * POST   — resume it ({ messages, profile }): if the server-side chat session has expired or
+ *          the server restarted, the session is seeded from the saved transcript so the next
+ *          turn keeps its context. Refused injection attempts in it are withheld again, as the
+ *          chat route does. Works whether or not CONVERSATION_STORE is enabled.
+ *
+ * GET, PUT and DELETE answer 501 when CONVERSATION_STORE is off.
+ */
+
+import { isValidSessionId, loadSession, saveSession } from "@/lib/sessionStore";
+import { getConversationStore } from "@/lib/conversationStore";
+import { sanitizeConversation, sanitizeMessages, lastSearchIntent } from "@/lib/conversations";
+import { sanitizeProfile } from "@/lib/shoppingProfile";
+import { WITHHELD_MESSAGE, checkInput, isWithheld } from "@/lib/guardrails";
+import { NextResponse } from "next/server";
+
+// Saved conversations carry their product grids; keep a single record within reason
+const MAX_RECORD_BYTES = 2 * 1024 * 1024;
+
+const errorResponse = (error, status) => NextResponse.json({ error }, { status });
+
+/**
+ * Validate the id and, for the stored-copy methods, resolve the store
+ * @returns {Promise<{ id: string, store?: Object, error?: Response }>}
+ */
+async function resolve(params, { needsStore = true } = {}) {
+    const { id } = await params;
+    if (!isValidSessionId(id)) return { error: errorResponse("Invalid conversation id", 400) };
+    if (!needsStore) return { id };
+
+    const store = getConversationStore();
+    if (!store) return { error: errorResponse("Conversation sync is not enabled", 501) };
+    return { id, store };
+}
+
+/**
+ * The API's usual 500 response
+ */
+function serverError(error) {
+    console.error("Conversation error:", error);
+    return NextResponse.json(
+        {
+            error: "Something went wrong. Please try again.",
+            details: error.message,
+        },
+        { status: 500 }
+    );
+}
+
+export async function GET(request, { params }) {
+    try {
+        const { id, store, error } = await resolve(params);
+        if (error) return error;
+
+        const record = await store.get(id);
+        if (!record) return errorResponse("Conversation not found", 404);
+        if (record.ownerId !== request.nextUrl.searchParams.get("owner")) {
+            return errorResponse("Conversation belongs to someone else", 403);
+        }
+
+        const { ownerId, ...conversation } = record;
+        return NextResponse.json({ conversation });
+    } catch (error) {
+        return serverError(error);
+    }
+}
+
+export async function PUT(request, { params }) {
+    try {
+        const { id, store, error } = await resolve(params);
+        if (error) return error;
+
+        const body = await request.text();
+        if (body.length > MAX_RECORD_BYTES) return errorResponse("Conversation is too large to save", 413);
+
+        const { ownerId, conversation: raw } = JSON.parse(body);
+        if (!isValidSessionId(ownerId)) return errorResponse("Invalid owner id", 400);
+
+        const conversation = sanitizeConversation({ ...raw, id });
+        if (!conversation) return errorResponse("Conversation has no messages", 400);
+
+        const existing = await store.get(id);
+        if (existing && existing.ownerId !== ownerId) return errorResponse("Conversation belongs to someone else", 403);
+
+        const saved = await store.save({ ...conversation, ownerId });
+        return NextResponse.json({ id, updatedAt: saved.updatedAt });
+    } catch (error) {
+        return serverError(error);
+    }
+}
+
+export async function DELETE(request, { params }) {
+    try {
+        const { id, store, error } = await resolve(params);
+        if (error) return error;
+
+        const existing = await store.get(id);
+        if (existing && existing.ownerId !== request.nextUrl.searchParams.get("owner")) {
+            return errorResponse("Conversation belongs to someone else", 403);
+        }
+
+        await store.delete(id);
+        return NextResponse.json({ id, deleted: true });
+    } catch (error) {
+        return serverError(error);
+    }
+}
+
+export async function POST(request, { params }) {
+    try {
+        const { id, error } = await resolve(params, { needsStore: false });
+        if (error) return error;
+
+        const { messages: rawMessages, profile } = await request.json();
+        const session = await loadSession(id);
+
+        // A live session is authoritative; only an empty one is seeded from the saved copy
+        if (session.messages.length > 0) {
+            return NextResponse.json({ sessionId: id, restored: false });
+        }
+
+        const messages = sanitizeMessages(rawMessages);
+        // The client's copy still has the original text of refused injection attempts
+        session.messages = messages.map(({ role, content }) => ({
+            role,
+            content: role === "user" && isWithheld(checkInput(content, { checkTopic: false })) ? WITHHELD_MESSAGE : content,
+        }));
+        session.profile = sanitizeProfile(profile);
+        session.lastIntent = lastSearchIntent(messages);
+        await saveSession(session);
+
+        return NextResponse.json({ sessionId: id, restored: true });
+    } catch (error) {
+        return serverError(error);
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * GET /api/conversations?owner=<ownerId>
+ *
+ * History sidebar entries ({ id, title, createdAt, updatedAt, messageCount }) for the
+ * conversations a browser has saved on the server, newest first.
+ * Answers 501 when CONVERSATION_STORE is off.
+ */
+
+import { isValidSessionId } from "@/lib/sessionStore";
+import { getConversationStore, listConversations } from "@/lib/conversationStore";
+import { NextResponse } from "next/server";
+
+export async function GET(request) {
+    const store = getConversationStore();
+    if (!store) {
+        return NextResponse.json(
+            { error: "Conversation sync is not enabled" },
+            { status: 501 }
+        );
+    }
+
+    const ownerId = request.nextUrl.searchParams.get("owner");
+    if (!isValidSessionId(ownerId)) {
+        return NextResponse.json(
+            { error: "Invalid owner id" },
+            { status: 400 }
+        );
+    }
+
+    try {
+        return NextResponse.json({ conversations: await listConversations(store, ownerId) });
+    } catch (error) {
+        console.error("Conversations error:", error);
+        return NextResponse.json(
+            {
+                error: "Something went wrong. Please try again.",
+                details: error.message,
+            },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * GET /api/products/:id
+ *
+ * Product details for the detail drawer — the display product plus its size variants
+ * with per-size pricing, looked up through the active catalog adapter.
+ * `approximateSizes` is true when the source has no per-size data and the sizes were
+ * inferred from the product's price range.
+ */
+
+import { getProductDetails } from "@/lib/catalog";
+import { NextResponse } from "next/server";
+
+export async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        const details = await getProductDetails(id);
+        if (!details) {
+            return NextResponse.json(
+                { error: "Product not found" },
+                { status: 404 }
+            );
+        }
+        return NextResponse.json(details);
+    } catch (error) {
+        console.error("Product details error:", error);
+        return NextResponse.json(
+            {
+                error: "Something went wrong. Please try again.",
+                details: error.message,
+            },
+            { status: 500 }
+        );
+    }
+}
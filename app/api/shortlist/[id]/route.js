@@ -0,0 +1,92 @@
+/**
+ * GET /api/shortlist/:id — the server copy of a browser's shortlist
+ * PUT /api/shortlist/:id — replace it ({ ids: [...] })
+ *
+ * Only available when SHORTLIST_STORE is enabled; otherwise both answer 501 and the
+ * client keeps its shortlist in localStorage alone. GET rebuilds the products from the
+ * catalog and returns { products, missing, updatedAt }.
+ */
+
+import { getProductsByIds, formatProductForDisplay } from "@/lib/catalog";
+import { isValidSessionId } from "@/lib/sessionStore";
+import { getShortlistStore } from "@/lib/shortlistStore";
+import { parseShortlistIds } from "@/lib/shortlist";
+import { NextResponse } from "next/server";
+
+/**
+ * Resolve the store and validate the id, or return the error response to send
+ */
+async function resolve(params) {
+    const { id } = await params;
+    const store = getShortlistStore();
+
+    if (!store) {
+        return {
+            error: NextResponse.json(
+                { error: "Shortlist sync is not enabled" },
+                { status: 501 }
+            ),
+        };
+    }
+    if (!isValidSessionId(id)) {
+        return {
+            error: NextResponse.json(
+                { error: "Invalid shortlist id" },
+                { status: 400 }
+            ),
+        };
+    }
+    return { id, store };
+}
+
+export async function GET(request, { params }) {
+    try {
+        const { id, store, error } = await resolve(params);
+        if (error) return error;
+
+        const shortlist = await store.get(id);
+        if (!shortlist) {
+            return NextResponse.json(
+                { error: "Shortlist not found" },
+                { status: 404 }
+            );
+        }
+
+        const { products, missing } = await getProductsByIds(shortlist.ids);
+        return NextResponse.json({
+            products: products.map(formatProductForDisplay),
+            missing,
+            updatedAt: shortlist.updatedAt,
+        });
+    } catch (error) {
+        console.error("Shortlist error:", error);
+        return NextResponse.json(
+            {
+                error: "Something went wrong. Please try again.",
+                details: error.message,
+            },
+            { status: 500 }
+        );
+    }
+}
+
+export async function PUT(request, { params }) {
+    try {
+        const { id, store, error } = await resolve(params);
+        if (error) return error;
+
+        const { ids } = await request.json();
+        const saved = await store.save({ id, ids: parseShortlistIds(ids) });
+
+        return NextResponse.json({ ids: saved.ids, updatedAt: saved.updatedAt });
+    } catch (error) {
+        console.error("Shortlist error:", error);
+        return NextResponse.json(
+            {
+                error: "Something went wrong. Please try again.",
+                details: error.message,
+            },
+            { status: 500 }
+        );
+    }
+}
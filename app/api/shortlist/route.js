@@ -0,0 +1,39 @@
+/**
+ * GET /api/shortlist?ids=101,102
+ *
+ * Rebuilds a shared shortlist from product ids through the active catalog adapter.
+ * Products come back in the order of the ids; ids the catalog no longer has are listed
+ * in `missing` so the page can say some items are gone.
+ */
+
+import { getProductsByIds, formatProductForDisplay } from "@/lib/catalog";
+import { parseShortlistIds } from "@/lib/shortlist";
+import { NextResponse } from "next/server";
+
+export async function GET(request) {
+    const ids = parseShortlistIds(request.nextUrl.searchParams.get("ids"));
+
+    if (ids.length === 0) {
+        return NextResponse.json(
+            { error: "At least one product id is required" },
+            { status: 400 }
+        );
+    }
+
+    try {
+        const { products, missing } = await getProductsByIds(ids);
+        return NextResponse.json({
+            products: products.map(formatProductForDisplay),
+            missing,
+        });
+    } catch (error) {
+        console.error("Shortlist error:", error);
+        return NextResponse.json(
+            {
+                error: "Something went wrong. Please try again.",
+                details: error.message,
+            },
+            { status: 500 }
+        );
+    }
+}
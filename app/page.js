@@ -1,29 +1,525 @@
 "use client";
 
-import { useState, useCallback } from "react";
+import { useState, useCallback, useEffect, useMemo, useRef } from "react";
 import ChatPanel from "@/components/ChatPanel";
 import ProductGrid from "@/components/ProductGrid";
+import ShortlistPanel from "@/components/ShortlistPanel";
+import ConversationHistory from "@/components/ConversationHistory";
+import GiftCalendar from "@/components/GiftCalendar";
+import { readEventStream } from "@/lib/chatStream";
+import { EMPTY_FACET_SELECTION } from "@/lib/facets";
+import { setOrderQuantity } from "@/lib/bulkOrder";
+import {
+  MAX_SHORTLIST_SIZE,
+  SHORTLIST_URL_PARAM,
+  loadLocalShortlist,
+  saveLocalShortlist,
+  toShortlistItem,
+  toggleShortlistItem,
+} from "@/lib/shortlist";
+import {
+  loadLocalConversations,
+  saveLocalConversations,
+  sanitizeConversation,
+  summarizeConversation,
+  titleForConversation,
+  upsertConversation,
+} from "@/lib/conversations";
+import {
+  loadLocalCalendar,
+  saveLocalCalendar,
+  upsertOccasion,
+  setRecommendations,
+  needsRecommendations,
+  upcomingOccasions,
+} from "@/lib/giftCalendar";
+import { emptyProfile } from "@/lib/shoppingProfile";
 import styles from "./page.module.css";
 
+// Products per page in the grid; "Show more" pages through the rest of the ranked results
+const PAGE_SIZE = 8;
+
 export default function Home() {
+  const [sessionId, setSessionId] = useState(() => crypto.randomUUID());
+  const [messages, setMessages] = useState([]);
+  const [profile, setProfile] = useState(null);
+  const [facetSelection, setFacetSelection] = useState(EMPTY_FACET_SELECTION);
   const [products, setProducts] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [relaxations, setRelaxations] = useState([]);
+  // Multi-recipient gift plan grouping the grid's products (see lib/giftPlan.js)
+  const [plan, setPlan] = useState(null);
+  // Group order lines with quantities (see lib/bulkOrder.js) — kept across searches in the conversation
+  const [orderItems, setOrderItems] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
   const [highlightedProductId, setHighlightedProductId] = useState(null);
+  // Product the next chat message asks about (from the detail drawer)
+  const [askProduct, setAskProduct] = useState(null);
+  // Hearted products — outlive "Clear", saved in localStorage and optionally on the server
+  const [shortlist, setShortlist] = useState({ id: null, items: [], updatedAt: null });
+  const [isShortlistOpen, setIsShortlistOpen] = useState(false);
+  const [sharedShortlist, setSharedShortlist] = useState(null);
+  // null until the server answers; false when SHORTLIST_STORE is off
+  const shortlistSyncRef = useRef(null);
+  const lastSyncedAtRef = useRef(null);
+
+  // Saved conversations (local records, plus summaries of ones only the server has)
+  const [conversations, setConversations] = useState([]);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isResuming, setIsResuming] = useState(false);
+  const conversationOwnerRef = useRef(null);
+  const conversationSyncRef = useRef(null);
+  const conversationCreatedAtRef = useRef(null);
+
+  // Gift calendar — occasions with dates, kept in localStorage with precomputed gift ideas
+  const [occasions, setOccasions] = useState([]);
+  const [isCalendarOpen, setIsCalendarOpen] = useState(false);
+  const [isRefreshingIdeas, setIsRefreshingIdeas] = useState(false);
+  const [isCalendarLoaded, setIsCalendarLoaded] = useState(false);
+  const [isConversationsLoaded, setIsConversationsLoaded] = useState(false);
+
+  const shortlistIds = useMemo(() => new Set(shortlist.items.map((item) => item.id)), [shortlist.items]);
+
+  // Restore the saved shortlist, prefer a newer server copy, and open any shared link
+  useEffect(() => {
+    const local = loadLocalShortlist();
+    setShortlist(local);
+
+    fetch(`/api/shortlist/${local.id}`)
+      .then(async (response) => {
+        shortlistSyncRef.current = response.status !== 501;
+        const data = response.ok ? await response.json() : null;
+        if (data && (!local.updatedAt || data.updatedAt > local.updatedAt)) {
+          lastSyncedAtRef.current = data.updatedAt;
+          setShortlist({ id: local.id, items: data.products.map(toShortlistItem), updatedAt: data.updatedAt });
+        } else if (shortlistSyncRef.current && local.items.length > 0) {
+          // The browser copy is newer (or the server has none yet) — push it up
+          setShortlist((prev) => ({ ...prev, updatedAt: new Date().toISOString() }));
+        }
+      })
+      .catch((error) => console.error("Shortlist sync error:", error));
+
+    const params = new URLSearchParams(window.location.search);
+    const sharedIds = params.get(SHORTLIST_URL_PARAM);
+    if (!sharedIds) return;
+
+    setSharedShortlist({ items: [], missing: [], isLoading: true, error: null });
+    setIsShortlistOpen(true);
+    params.delete(SHORTLIST_URL_PARAM);
+    const query = params.toString();
+    window.history.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
+
+    fetch(`/api/shortlist?ids=${encodeURIComponent(sharedIds)}`)
+      .then((response) => {
+        if (!response.ok) throw new Error("Failed to load shared shortlist");
+        return response.json();
+      })
+      .then((data) => {
+        setSharedShortlist({ items: data.products.map(toShortlistItem), missing: data.missing, isLoading: false, error: null });
+      })
+      .catch((error) => {
+        console.error("Shared shortlist error:", error);
+        setSharedShortlist({ items: [], missing: [], isLoading: false, error: "This shared shortlist couldn't be loaded." });
+      });
+  }, []);
+
+  // Persist every change locally, and to the server when sync is on
+  useEffect(() => {
+    if (!shortlist.id) return;
+    saveLocalShortlist(shortlist);
+
+    if (!shortlistSyncRef.current || !shortlist.updatedAt || shortlist.updatedAt === lastSyncedAtRef.current) return;
+    lastSyncedAtRef.current = shortlist.updatedAt;
+    fetch(`/api/shortlist/${shortlist.id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ids: shortlist.items.map((item) => item.id) }),
+    }).catch((error) => console.error("Shortlist sync error:", error));
+  }, [shortlist]);
+
+  const updateShortlistItems = useCallback((update) => {
+    setShortlist((prev) => ({ ...prev, items: update(prev.items), updatedAt: new Date().toISOString() }));
+  }, []);
+
+  // Hearts pass a product (grid) or just an id (chat references)
+  const handleShortlistToggle = useCallback(async (productOrId) => {
+    if (typeof productOrId === "object") {
+      updateShortlistItems((items) => toggleShortlistItem(items, productOrId));
+      return;
+    }
+
+    const id = String(productOrId);
+    if (shortlistIds.has(id)) {
+      updateShortlistItems((items) => items.filter((item) => item.id !== id));
+      return;
+    }
+
+    let product = products.find((p) => String(p.id) === id);
+    if (!product) {
+      try {
+        const response = await fetch(`/api/products/${encodeURIComponent(id)}`);
+        if (!response.ok) throw new Error("Product not found");
+        product = (await response.json()).product;
+      } catch (error) {
+        console.error("Shortlist error:", error);
+        return;
+      }
+    }
+    updateShortlistItems((items) => toggleShortlistItem(items, product));
+  }, [products, shortlistIds, updateShortlistItems]);
 
-  const handleProductsUpdate = useCallback((newProducts) => {
+  const handleSaveShared = useCallback(() => {
+    const shared = sharedShortlist?.items || [];
+    updateShortlistItems((items) =>
+      [...shared.filter((s) => !items.some((item) => item.id === s.id)), ...items].slice(0, MAX_SHORTLIST_SIZE)
+    );
+    setSharedShortlist(null);
+  }, [sharedShortlist, updateShortlistItems]);
+
+  const handleProductsUpdate = useCallback((newProducts, { nextCursor: cursor = null, relaxations: relaxed = [], plan: newPlan = null } = {}) => {
     setProducts(newProducts);
+    setNextCursor(cursor);
+    setRelaxations(relaxed || []);
+    setPlan(newPlan || null);
+  }, []);
+
+  const handleOrderQuantityChange = useCallback((product, quantity) => {
+    setOrderItems((prev) => setOrderQuantity(prev, product, quantity));
+  }, []);
+
+  // Swap a recipient's pick in the gift plan; the running total follows
+  const handlePlanPick = useCallback((groupId, productId) => {
+    setPlan((prev) => prev && {
+      ...prev,
+      groups: prev.groups.map((group) => (group.id === groupId ? { ...group, pickId: String(productId) } : group)),
+    });
   }, []);
 
+  // Append the next page of the current ranked results
+  const handleLoadMore = useCallback(async () => {
+    if (!nextCursor) return;
+    setIsLoadingMore(true);
+
+    try {
+      const response = await fetch("/api/chat", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ cursor: nextCursor, limit: PAGE_SIZE }),
+      });
+
+      if (!response.ok) {
+        throw new Error("Failed to load more products");
+      }
+
+      await readEventStream(response, (event, data) => {
+        if (event === "done") {
+          setProducts((prev) => {
+            const seen = new Set(prev.map((p) => String(p.id)));
+            return [...prev, ...data.products.filter((p) => !seen.has(String(p.id)))];
+          });
+          setNextCursor(data.nextCursor);
+        }
+        if (event === "error") throw new Error(data.details || data.error);
+      });
+    } catch (error) {
+      console.error("Load more error:", error);
+      setNextCursor(null);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [nextCursor]);
+
   const handleLoadingChange = useCallback((loading) => {
     setIsLoading(loading);
   }, []);
 
+  // Start a fresh server-side session so the old profile doesn't carry over
+  const handleClear = useCallback(() => {
+    setSessionId(crypto.randomUUID());
+    setProfile(null);
+    setFacetSelection(EMPTY_FACET_SELECTION);
+    setAskProduct(null);
+    setOrderItems([]);
+    conversationCreatedAtRef.current = null;
+  }, []);
+
   const handleProductClick = useCallback((productId) => {
     setHighlightedProductId(productId);
     // Clear highlight after animation duration
     setTimeout(() => setHighlightedProductId(null), 2000);
   }, []);
 
+  // Ask the assistant to compare the selected products in the context of the conversation,
+  // streaming the narrative back to the modal and recording the exchange in the chat
+  const handleCompare = useCallback(async (selectedProducts, onToken) => {
+    const userMessage = `Compare ${selectedProducts
+      .map((p) => `**${p.name}** [ID:${p.id}]`)
+      .join(" vs ")}`;
+
+    const response = await fetch("/api/chat", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        message: userMessage,
+        compareProducts: selectedProducts,
+        sessionId,
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error("Failed to get comparison");
+    }
+
+    let comparison = "";
+    let prompts;
+    await readEventStream(response, (event, data) => {
+      if (event === "token") onToken?.(data.text);
+      if (event === "done") {
+        comparison = data.message;
+        prompts = data.prompts;
+      }
+      if (event === "error") throw new Error(data.details || data.error);
+    });
+
+    // Follow-up questions ("which one is better for a vegan?") build on this exchange
+    setMessages((prev) => [
+      ...prev,
+      { role: "user", content: userMessage, products: selectedProducts },
+      { role: "assistant", content: comparison, products: selectedProducts, prompts },
+    ]);
+
+    return comparison;
+  }, [sessionId]);
+
+  // Constraint chip edits re-run search and filtering on the server without another LLM turn
+  const handleProfileEdit = useCallback(async (editedProfile) => {
+    setProfile(editedProfile);
+    setIsLoading(true);
+
+    try {
+      const response = await fetch("/api/chat", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ profile: editedProfile, sessionId, manualFilters: facetSelection, limit: PAGE_SIZE }),
+      });
+
+      if (!response.ok) {
+        throw new Error("Failed to refine products");
+      }
+
+      await readEventStream(response, (event, data) => {
+        if (event === "products") {
+          setProducts(data.products);
+          setPlan(null);
+        }
+        if (event === "done") {
+          setProfile(data.profile);
+          setNextCursor(data.nextCursor);
+          setRelaxations(data.relaxations || []);
+        }
+        if (event === "error") throw new Error(data.details || data.error);
+      });
+    } catch (error) {
+      console.error("Refine error:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [sessionId, facetSelection]);
+
+  // Put a saved conversation back on screen exactly as it was: chat, grid, profile and filters
+  const restoreConversation = useCallback((conversation) => {
+    setSessionId(conversation.id);
+    setMessages(conversation.messages);
+    setProducts(conversation.products);
+    setNextCursor(conversation.nextCursor);
+    setRelaxations(conversation.relaxations);
+    setPlan(conversation.plan);
+    setOrderItems(conversation.orderItems);
+    setProfile(conversation.profile);
+    setFacetSelection(conversation.facetSelection);
+    setAskProduct(null);
+    conversationCreatedAtRef.current = conversation.createdAt;
+
+    // The server-side session may have expired — seed it so the next turn keeps its context
+    fetch(`/api/conversations/${conversation.id}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ messages: conversation.messages, profile: conversation.profile }),
+    }).catch((error) => console.error("Resume error:", error));
+  }, []);
+
+  // Persist the local records once they have been loaded, so the empty initial list is never written
+  useEffect(() => {
+    if (!isConversationsLoaded) return;
+    saveLocalConversations({
+      ownerId: conversationOwnerRef.current,
+      activeId: sessionId,
+      conversations: conversations.filter((c) => c.messages),
+    });
+  }, [conversations, sessionId, isConversationsLoaded]);
+
+  // Load saved conversations, reopen the one that was on screen, and list the server's copies
+  useEffect(() => {
+    const saved = loadLocalConversations();
+    conversationOwnerRef.current = saved.ownerId;
+    setConversations(saved.conversations);
+    setIsConversationsLoaded(true);
+
+    const active = saved.conversations.find((c) => c.id === saved.activeId);
+    if (active) restoreConversation(active);
+
+    fetch(`/api/conversations?owner=${saved.ownerId}`)
+      .then(async (response) => {
+        conversationSyncRef.current = response.status !== 501;
+        if (!response.ok) return;
+        const data = await response.json();
+        setConversations((prev) =>
+          [...prev, ...data.conversations.filter((remote) => !prev.some((c) => c.id === remote.id))]
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        );
+      })
+      .catch((error) => console.error("Conversation sync error:", error));
+  }, [restoreConversation]);
+
+  // Snapshot the conversation whenever a turn completes or the grid changes
+  useEffect(() => {
+    if (isLoading || messages.length === 0 || messages.some((m) => m.isStreaming)) return;
+
+    const now = new Date().toISOString();
+    conversationCreatedAtRef.current ??= now;
+    const conversation = sanitizeConversation({
+      id: sessionId,
+      title: titleForConversation(profile, messages),
+      createdAt: conversationCreatedAtRef.current,
+      updatedAt: now,
+      messages,
+      products,
+      nextCursor,
+      relaxations,
+      plan,
+      orderItems,
+      profile,
+      facetSelection,
+    });
+    if (!conversation) return;
+
+    setConversations((prev) => upsertConversation(prev, conversation));
+    if (conversationSyncRef.current) {
+      fetch(`/api/conversations/${sessionId}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ownerId: conversationOwnerRef.current, conversation }),
+      }).catch((error) => console.error("Conversation sync error:", error));
+    }
+  }, [sessionId, messages, products, nextCursor, relaxations, plan, orderItems, profile, facetSelection, isLoading]);
+
+  const startNewConversation = useCallback(() => {
+    setMessages([]);
+    handleProductsUpdate([]);
+    handleClear();
+    setIsHistoryOpen(false);
+  }, [handleProductsUpdate, handleClear]);
+
+  // Conversations only the server has are fetched in full when opened
+  const handleResumeConversation = useCallback(async (id) => {
+    let conversation = conversations.find((c) => c.id === id);
+    if (!conversation) return;
+
+    if (!conversation.messages) {
+      setIsResuming(true);
+      try {
+        const response = await fetch(`/api/conversations/${id}?owner=${conversationOwnerRef.current}`);
+        if (!response.ok) {
+          throw new Error("Failed to load conversation");
+        }
+        conversation = sanitizeConversation((await response.json()).conversation);
+      } catch (error) {
+        console.error("Resume error:", error);
+        return;
+      } finally {
+        setIsResuming(false);
+      }
+    }
+
+    if (conversation) restoreConversation(conversation);
+    setIsHistoryOpen(false);
+  }, [conversations, restoreConversation]);
+
+  const handleDeleteConversation = useCallback((id) => {
+    setConversations((prev) => prev.filter((c) => c.id !== id));
+    if (conversationSyncRef.current) {
+      fetch(`/api/conversations/${id}?owner=${conversationOwnerRef.current}`, { method: "DELETE" })
+        .catch((error) => console.error("Conversation sync error:", error));
+    }
+    if (id === sessionId) startNewConversation();
+  }, [sessionId, startNewConversation]);
+
+  // Precompute gift ideas for occasions that have none or stale ones (or all given, with force)
+  const refreshRecommendations = useCallback(async (targets, { force = false } = {}) => {
+    const stale = targets.filter((occasion) => force || needsRecommendations(occasion));
+    if (stale.length === 0) return;
+
+    setIsRefreshingIdeas(true);
+    try {
+      const response = await fetch("/api/calendar/recommendations", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ occasions: stale }),
+      });
+      if (!response.ok) {
+        throw new Error("Failed to load gift ideas");
+      }
+      const { recommendations } = await response.json();
+      setOccasions((prev) =>
+        Object.entries(recommendations).reduce((list, [id, ideas]) => setRecommendations(list, id, ideas), prev)
+      );
+    } catch (error) {
+      console.error("Calendar error:", error);
+    } finally {
+      setIsRefreshingIdeas(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    setOccasions(loadLocalCalendar());
+    setIsCalendarLoaded(true);
+  }, []);
+
+  // Persist only once the saved calendar has been read, so the empty initial list is never written
+  useEffect(() => {
+    if (isCalendarLoaded) saveLocalCalendar(occasions);
+  }, [occasions, isCalendarLoaded]);
+
+  const handleSaveOccasion = useCallback((reminder) => {
+    const { occasions: next, occasion } = upsertOccasion(occasions, reminder);
+    if (!occasion) return;
+    setOccasions(next);
+    refreshRecommendations([occasion]);
+  }, [occasions, refreshRecommendations]);
+
+  const handleShowCalendar = useCallback(() => {
+    setIsCalendarOpen(true);
+    refreshRecommendations(occasions);
+  }, [occasions, refreshRecommendations]);
+
+  // Put the occasion's details into the profile and search, like editing the constraint chips
+  const handleShopOccasion = useCallback((occasion) => {
+    setIsCalendarOpen(false);
+    handleProfileEdit({
+      ...emptyProfile(),
+      occasion: occasion.occasion,
+      recipient: occasion.recipient,
+      budget_max: occasion.budget_max,
+      dietary_restrictions: occasion.dietary_restrictions,
+    });
+  }, [handleProfileEdit]);
+
+  const upcomingOccasionCount = useMemo(
+    () => upcomingOccasions(occasions).filter((occasion) => occasion.isSoon).length,
+    [occasions]
+  );
+
   return (
     <main className={styles.main}>
       {/* Background decoration */}
@@ -34,6 +530,21 @@ export default function Home() {
       <div className={styles.splitPane}>
         <div className={styles.chatSide}>
           <ChatPanel
+            sessionId={sessionId}
+            manualFilters={facetSelection}
+            pageSize={PAGE_SIZE}
+            productContext={askProduct}
+            onProductContextClear={() => setAskProduct(null)}
+            shortlistIds={shortlistIds}
+            onShortlistToggle={handleShortlistToggle}
+            onShowHistory={() => setIsHistoryOpen(true)}
+            onShowCalendar={handleShowCalendar}
+            upcomingOccasionCount={upcomingOccasionCount}
+            onReminder={handleSaveOccasion}
+            messages={messages}
+            setMessages={setMessages}
+            onProfileUpdate={setProfile}
+            onClear={handleClear}
             onProductsUpdate={handleProductsUpdate}
             onLoadingChange={handleLoadingChange}
             onProductClick={handleProductClick}
@@ -42,11 +553,61 @@ export default function Home() {
         <div className={styles.productSide}>
           <ProductGrid
             products={products}
+            profile={profile}
+            relaxations={relaxations}
+            plan={plan}
+            onPlanPick={handlePlanPick}
+            orderItems={orderItems}
+            onOrderQuantityChange={handleOrderQuantityChange}
+            onProfileChange={handleProfileEdit}
+            facetSelection={facetSelection}
+            onFacetSelectionChange={setFacetSelection}
             isLoading={isLoading}
+            hasMore={Boolean(nextCursor)}
+            isLoadingMore={isLoadingMore}
+            onLoadMore={handleLoadMore}
+            onCompare={handleCompare}
+            onAskAboutProduct={setAskProduct}
+            shortlistIds={shortlistIds}
+            onShortlistToggle={handleShortlistToggle}
+            onShowShortlist={() => setIsShortlistOpen(true)}
+            onProductClick={handleProductClick}
             highlightedProductId={highlightedProductId}
           />
         </div>
       </div>
+
+      <ConversationHistory
+        isOpen={isHistoryOpen}
+        conversations={conversations.map(summarizeConversation)}
+        activeId={messages.length > 0 ? sessionId : null}
+        isResuming={isResuming}
+        onResume={handleResumeConversation}
+        onDelete={handleDeleteConversation}
+        onNewChat={startNewConversation}
+        onClose={() => setIsHistoryOpen(false)}
+      />
+
+      <GiftCalendar
+        isOpen={isCalendarOpen}
+        occasions={occasions}
+        isRefreshing={isRefreshingIdeas}
+        onAdd={handleSaveOccasion}
+        onDelete={(id) => setOccasions((prev) => prev.filter((occasion) => occasion.id !== id))}
+        onRefresh={(occasion) => refreshRecommendations([occasion], { force: true })}
+        onShop={handleShopOccasion}
+        onClose={() => setIsCalendarOpen(false)}
+      />
+
+      <ShortlistPanel
+        isOpen={isShortlistOpen}
+        items={shortlist.items}
+        shared={sharedShortlist}
+        onClose={() => setIsShortlistOpen(false)}
+        onRemove={handleShortlistToggle}
+        onSaveShared={handleSaveShared}
+        onDismissShared={() => setSharedShortlist(null)}
+      />
     </main>
   );
 }
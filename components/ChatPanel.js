@@ -1,6 +1,8 @@
 "use client";
 
 import { useState, useRef, useEffect } from "react";
+import { readEventStream } from "@/lib/chatStream";
+import MessageContent from "./MessageContent";
 import styles from "./ChatPanel.module.css";
 
 const SUGGESTION_CHIPS = [
@@ -14,44 +16,19 @@ const SUGGESTION_CHIPS = [
     { label: "🍫 Chocolate Lover", value: "What are your best chocolate covered options?" },
 ];
 
-export default function ChatPanel({ onProductsUpdate, onLoadingChange, onProductClick }) {
-    const [messages, setMessages] = useState([]);
+export default function ChatPanel({ sessionId, manualFilters, pageSize, productContext, onProductContextClear, shortlistIds, onShortlistToggle, onShowHistory, onShowCalendar, upcomingOccasionCount, onReminder, messages, setMessages, onProfileUpdate, onClear, onProductsUpdate, onLoadingChange, onProductClick }) {
     const [inputValue, setInputValue] = useState("");
     const [isLoading, setIsLoading] = useState(false);
     const [showChips, setShowChips] = useState(true);
     const messagesEndRef = useRef(null);
     const inputRef = useRef(null);
-    const messagesAreaRef = useRef(null);
-
-    // Handle clicks on product links using event delegation
-    useEffect(() => {
-        const handleMessageClick = (e) => {
-            const productRef = e.target.closest('.product-ref');
-            if (productRef) {
-                const productId = productRef.dataset.productId;
-                if (productId && onProductClick) {
-                    onProductClick(productId);
-                }
-            }
-        };
-
-        const messagesArea = messagesAreaRef.current;
-        if (messagesArea) {
-            messagesArea.addEventListener('click', handleMessageClick);
-        }
-
-        return () => {
-            if (messagesArea) {
-                messagesArea.removeEventListener('click', handleMessageClick);
-            }
-        };
-    }, [onProductClick]);
 
     const handleClear = () => {
         setMessages([]);
         setInputValue("");
         setShowChips(true);
         onProductsUpdate?.([]);
+        onClear?.();
     };
 
     const scrollToBottom = () => {
@@ -66,30 +43,40 @@ export default function ChatPanel({ onProductsUpdate, onLoadingChange, onProduct
         onLoadingChange?.(isLoading);
     }, [isLoading, onLoadingChange]);
 
+    // A new conversation started from the history sidebar gets the suggestion chips back
+    useEffect(() => {
+        if (messages.length === 0) setShowChips(true);
+    }, [messages.length]);
+
+    // "Ask about this product" — focus the input so the customer can type their question
+    useEffect(() => {
+        if (productContext) inputRef.current?.focus();
+    }, [productContext]);
+
     const sendMessage = async (text) => {
         const userMessage = text || inputValue.trim();
         if (!userMessage || isLoading) return;
 
         setInputValue("");
         setShowChips(false);
+        const askedProduct = productContext;
+        if (askedProduct) onProductContextClear?.();
 
         const newMessages = [...messages, { role: "user", content: userMessage }];
         setMessages(newMessages);
         setIsLoading(true);
 
         try {
-            // Build conversation history for the API
-            const conversationHistory = newMessages.map((m) => ({
-                role: m.role,
-                content: m.content,
-            }));
-
+            // The server keeps the transcript for this session — only the new message is sent
             const response = await fetch("/api/chat", {
                 method: "POST",
                 headers: { "Content-Type": "application/json" },
                 body: JSON.stringify({
                     message: userMessage,
-                    conversationHistory: conversationHistory.slice(0, -1), // exclude current message
+                    sessionId,
+                    manualFilters,
+                    limit: pageSize,
+                    productId: askedProduct?.id,
                 }),
             });
 
@@ -97,33 +84,82 @@ export default function ChatPanel({ onProductsUpdate, onLoadingChange, onProduct
                 throw new Error("Failed to get response");
             }
 
-            const data = await response.json();
-
-            // Add AI response to messages
-            setMessages((prev) => [
-                ...prev,
-                { role: "assistant", content: data.message, products: data.products },
-            ]);
+            // Placeholder assistant bubble that fills in as tokens stream
+            setMessages((prev) => [...prev, { role: "assistant", content: "", isStreaming: true }]);
 
-            // Update products in parent
-            if (data.products && data.products.length > 0) {
-                onProductsUpdate?.(data.products);
-            }
+            const updateAssistant = (update) => {
+                setMessages((prev) => {
+                    const next = [...prev];
+                    const last = next[next.length - 1];
+                    next[next.length - 1] = { ...last, ...update(last) };
+                    return next;
+                });
+            };
+
+            await readEventStream(response, (event, data) => {
+                switch (event) {
+                    case "intent":
+                        if (data.profile) onProfileUpdate?.(data.profile);
+                        break;
+                    case "products":
+                        // Show ranked products while the response is still being written
+                        if (data.products && data.products.length > 0) {
+                            onProductsUpdate?.(data.products, { relaxations: data.relaxations, plan: data.plan });
+                        }
+                        // The streaming bubble's product chips read from these
+                        updateAssistant(() => ({ products: data.products }));
+                        break;
+                    case "token":
+                        updateAssistant((last) => ({ content: last.content + data.text }));
+                        break;
+                    case "done":
+                        updateAssistant(() => ({
+                            content: data.message,
+                            // A product question's chips come from the product that was asked about
+                            products: data.products ?? (askedProduct ? [askedProduct] : undefined),
+                            intent: data.intent,
+                            // Prompt versions behind this response, for comparing A/B variants
+                            prompts: data.prompts,
+                            isStreaming: false,
+                        }));
+                        if (data.profile) onProfileUpdate?.(data.profile);
+                        // Products reordered to match the order they were mentioned
+                        if (data.products && data.products.length > 0) {
+                            onProductsUpdate?.(data.products, {
+                                nextCursor: data.nextCursor,
+                                relaxations: data.relaxations,
+                                plan: data.plan,
+                            });
+                        }
+                        // A date to remember ("Mom's birthday is March 12") goes to the gift calendar
+                        if (data.reminder) onReminder?.(data.reminder);
+                        break;
+                    case "error":
+                        throw new Error(data.details || data.error);
+                }
+            });
         } catch (error) {
             console.error("Chat error:", error);
-            setMessages((prev) => [
-                ...prev,
-                {
-                    role: "assistant",
-                    content:
-                        "I'm sorry, I had trouble processing that. Could you try rephrasing your question? 🛍️",
-                },
-            ]);
+            const fallback = {
+                role: "assistant",
+                content:
+                    "I'm sorry, I had trouble processing that. Could you try rephrasing your question? 🛍️",
+            };
+            // Replace a partially streamed bubble rather than leaving it half-written
+            setMessages((prev) =>
+                prev[prev.length - 1]?.isStreaming
+                    ? [...prev.slice(0, -1), fallback]
+                    : [...prev, fallback]
+            );
         } finally {
             setIsLoading(false);
         }
     };
 
+    // Keep the typing indicator up until the first response token arrives
+    const lastMessage = messages[messages.length - 1];
+    const isAwaitingResponse = isLoading && !(lastMessage?.role === "assistant" && lastMessage.content);
+
     const handleKeyDown = (e) => {
         if (e.key === "Enter" && !e.shiftKey) {
             e.preventDefault();
@@ -135,61 +171,6 @@ export default function ChatPanel({ onProductsUpdate, onLoadingChange, onProduct
         sendMessage(chipValue);
     };
 
-    const formatMessage = (content) => {
-        if (!content) return "";
-
-        // Check if content contains a markdown table
-        const tablePattern = /\|(.+)\|\n\|[-|\s]+\|\n((?:\|.+\|\n?)+)/g;
-        let formatted = content;
-
-        // Parse markdown tables
-        formatted = formatted.replace(tablePattern, (match, headerRow, bodyRows) => {
-            // Parse header cells
-            const headers = headerRow.split('|').map(h => h.trim()).filter(h => h);
-
-            // Parse body rows
-            const rows = bodyRows.trim().split('\n').map(row =>
-                row.split('|').map(cell => cell.trim()).filter(cell => cell)
-            );
-
-            // Build HTML table
-            let tableHtml = '<table class="comparison-table">';
-            tableHtml += '<thead><tr>';
-            headers.forEach(header => {
-                // Apply bold and product ID formatting to headers
-                let h = header.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-                h = h.replace(/\[ID:(\d+)\]/g, '<span class="product-ref" data-product-id="$1">🔗</span>');
-                tableHtml += `<th>${h}</th>`;
-            });
-            tableHtml += '</tr></thead>';
-            tableHtml += '<tbody>';
-            rows.forEach(row => {
-                tableHtml += '<tr>';
-                row.forEach(cell => {
-                    // Apply bold and product ID formatting to cells
-                    let c = cell.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-                    c = c.replace(/\[ID:(\d+)\]/g, '<span class="product-ref" data-product-id="$1">🔗</span>');
-                    tableHtml += `<td>${c}</td>`;
-                });
-                tableHtml += '</tr>';
-            });
-            tableHtml += '</tbody></table>';
-
-            return tableHtml;
-        });
-
-        // Bold text (for non-table content)
-        formatted = formatted.replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>");
-        // Product IDs as data attributes for linking (for non-table content)
-        formatted = formatted.replace(
-            /\[ID:(\d+)\]/g,
-            '<span class="product-ref" data-product-id="$1">🔗</span>'
-        );
-        // Line breaks (but not inside tables)
-        formatted = formatted.replace(/\n/g, "<br>");
-        return formatted;
-    };
-
     return (
         <div className={styles.chatPanel}>
             {/* Header */}
@@ -202,24 +183,51 @@ export default function ChatPanel({ onProductsUpdate, onLoadingChange, onProduct
                         Online — Ready to help
                     </span>
                 </div>
-                {messages.length > 0 && (
+                <div className={styles.headerActions}>
                     <button
-                        className={styles.clearButton}
-                        onClick={handleClear}
-                        title="Clear chat and start over"
+                        className={styles.historyButton}
+                        onClick={onShowHistory}
+                        title="Past conversations"
                     >
                         <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                            <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"></path>
-                            <line x1="10" y1="11" x2="10" y2="17"></line>
-                            <line x1="14" y1="11" x2="14" y2="17"></line>
+                            <circle cx="12" cy="12" r="9"></circle>
+                            <polyline points="12 7 12 12 15 14"></polyline>
                         </svg>
-                        Clear
+                        History
                     </button>
-                )}
+                    <button
+                        className={styles.historyButton}
+                        onClick={onShowCalendar}
+                        title={upcomingOccasionCount > 0 ? `${upcomingOccasionCount} occasion(s) coming up` : "Gift calendar"}
+                    >
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <rect x="3" y="5" width="18" height="16" rx="2"></rect>
+                            <line x1="3" y1="10" x2="21" y2="10"></line>
+                            <line x1="8" y1="3" x2="8" y2="7"></line>
+                            <line x1="16" y1="3" x2="16" y2="7"></line>
+                        </svg>
+                        Calendar
+                        {upcomingOccasionCount > 0 && <span className={styles.badge}>{upcomingOccasionCount}</span>}
+                    </button>
+                    {messages.length > 0 && (
+                        <button
+                            className={styles.clearButton}
+                            onClick={handleClear}
+                            title="Start a new conversation — this one stays in History"
+                        >
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"></path>
+                                <line x1="10" y1="11" x2="10" y2="17"></line>
+                                <line x1="14" y1="11" x2="14" y2="17"></line>
+                            </svg>
+                            Clear
+                        </button>
+                    )}
+                </div>
             </div>
 
             {/* Messages Area */}
-            <div className={styles.messagesArea} ref={messagesAreaRef}>
+            <div className={styles.messagesArea}>
                 {/* Welcome message */}
                 {messages.length === 0 && (
                     <div className={styles.welcome}>
@@ -233,8 +241,8 @@ export default function ChatPanel({ onProductsUpdate, onLoadingChange, onProduct
                     </div>
                 )}
 
-                {/* Message bubbles */}
-                {messages.map((msg, i) => (
+                {/* Message bubbles (an empty streaming bubble waits behind the typing indicator) */}
+                {messages.filter((msg) => !(msg.isStreaming && !msg.content)).map((msg, i) => (
                     <div
                         key={i}
                         className={`${styles.messageBubble} ${msg.role === "user" ? styles.userBubble : styles.assistantBubble
@@ -243,17 +251,19 @@ export default function ChatPanel({ onProductsUpdate, onLoadingChange, onProduct
                         {msg.role === "assistant" && (
                             <div className={styles.avatarSmall}>🛍️</div>
                         )}
-                        <div
+                        <MessageContent
                             className={styles.bubbleContent}
-                            dangerouslySetInnerHTML={{
-                                __html: formatMessage(msg.content),
-                            }}
+                            content={msg.content}
+                            products={msg.products}
+                            shortlistIds={msg.role === "assistant" ? shortlistIds : undefined}
+                            onProductClick={onProductClick}
+                            onShortlistToggle={onShortlistToggle}
                         />
                     </div>
                 ))}
 
-                {/* Loading indicator */}
-                {isLoading && (
+                {/* Loading indicator — hidden once response tokens start arriving */}
+                {isAwaitingResponse && (
                     <div className={`${styles.messageBubble} ${styles.assistantBubble}`}>
                         <div className={styles.avatarSmall}>🛍️</div>
                         <div className={styles.typingIndicator}>
@@ -284,11 +294,25 @@ export default function ChatPanel({ onProductsUpdate, onLoadingChange, onProduct
 
             {/* Input Area */}
             <div className={styles.inputArea}>
+                {productContext && (
+                    <div className={styles.productContext}>
+                        <span>
+                            💬 Asking about <strong>{productContext.name}</strong>
+                        </span>
+                        <button
+                            className={styles.productContextClear}
+                            onClick={onProductContextClear}
+                            aria-label="Stop asking about this product"
+                        >
+                            ✕
+                        </button>
+                    </div>
+                )}
                 <div className={styles.inputWrapper}>
                     <input
                         ref={inputRef}
                         type="text"
-                        placeholder="Tell me what you're looking for..."
+                        placeholder={productContext ? "Ask a question about this product..." : "Tell me what you're looking for..."}
                         value={inputValue}
                         onChange={(e) => setInputValue(e.target.value)}
                         onKeyDown={handleKeyDown}
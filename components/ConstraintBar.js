@@ -0,0 +1,319 @@
+"use client";
+
+import { useState } from "react";
+import { INTENT_ENUMS } from "@/lib/intentSchema";
+import styles from "./ConstraintBar.module.css";
+
+const BUDGET_SLIDER_MAX = 500;
+
+const URGENCY_LABELS = {
+    one_hour: "Within the hour",
+    same_day: "Today",
+    standard: "Standard delivery",
+};
+
+const formatOccasion = (occasion) => {
+    const label = occasion.replace(/_/g, " ");
+    return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+const formatBudget = (min, max) => {
+    if (min != null && max != null) return `$${min}–$${max}`;
+    if (max != null) return `Under $${max}`;
+    return `Over $${min}`;
+};
+
+// Which chip a relaxed constraint belongs to, and the short note shown on it
+const RELAXED_CHIPS = {
+    occasion: { chip: "occasion", note: () => "dropped" },
+    budget_max: { chip: "budget", note: (r) => `→ up to $${r.to}` },
+    budget_min: { chip: "budget", note: (r) => `→ from $${r.to}` },
+    budget: { chip: "budget", note: () => "set aside" },
+    urgency: { chip: "urgency", note: () => "dropped" },
+    budget_per_person: { chip: "headcount", note: () => "budget set aside" },
+};
+
+const formatGroup = (headcount, perPerson) =>
+    `${headcount} people${perPerson != null ? ` · $${perPerson} each` : ""}`;
+
+export default function ConstraintBar({ profile, relaxations = [], onChange, disabled }) {
+    const [editing, setEditing] = useState(null);
+    const [draft, setDraft] = useState(null);
+
+    if (!profile) return null;
+
+    const startEdit = (field, initial) => {
+        if (disabled) return;
+        setEditing(field);
+        setDraft(initial);
+    };
+
+    const cancelEdit = () => {
+        setEditing(null);
+        setDraft(null);
+    };
+
+    const commit = (changes) => {
+        setEditing(null);
+        setDraft(null);
+        onChange?.({ ...profile, ...changes });
+    };
+
+    const removeDietary = (restriction) => {
+        commit({
+            dietary_restrictions: profile.dietary_restrictions.filter((r) => r !== restriction),
+        });
+    };
+
+    const hasBudget = profile.budget_min != null || profile.budget_max != null;
+
+    // Constraints the server had to loosen to find any products, keyed by chip
+    const relaxedByChip = {};
+    for (const relaxation of relaxations) {
+        const target = RELAXED_CHIPS[relaxation.constraint];
+        if (target) (relaxedByChip[target.chip] ??= []).push({ ...relaxation, note: target.note(relaxation) });
+    }
+
+    // Inline editor for the chip being edited
+    const renderEditor = () => {
+        switch (editing) {
+            case "occasion":
+            case "urgency": {
+                const options = INTENT_ENUMS[editing];
+                const labelFor = editing === "occasion" ? formatOccasion : (u) => URGENCY_LABELS[u];
+                return (
+                    <select
+                        className={styles.editorInput}
+                        value={draft || ""}
+                        onChange={(e) => setDraft(e.target.value)}
+                        autoFocus
+                    >
+                        <option value="" disabled>Choose…</option>
+                        {options.map((option) => (
+                            <option key={option} value={option}>{labelFor(option)}</option>
+                        ))}
+                    </select>
+                );
+            }
+            case "headcount":
+                return (
+                    <div className={styles.groupEditor}>
+                        <label>
+                            People
+                            <input
+                                className={styles.editorInput}
+                                type="number"
+                                min="2"
+                                value={draft.headcount}
+                                onChange={(e) => setDraft({ ...draft, headcount: e.target.value })}
+                                autoFocus
+                            />
+                        </label>
+                        <label>
+                            Budget per person ($)
+                            <input
+                                className={styles.editorInput}
+                                type="number"
+                                min="0"
+                                placeholder="Any"
+                                value={draft.perPerson}
+                                onChange={(e) => setDraft({ ...draft, perPerson: e.target.value })}
+                                onKeyDown={(e) => e.key === "Enter" && applyEdit()}
+                            />
+                        </label>
+                    </div>
+                );
+            case "recipient":
+            case "dietary":
+                return (
+                    <input
+                        className={styles.editorInput}
+                        type="text"
+                        value={draft || ""}
+                        placeholder={editing === "recipient" ? "Who is it for?" : "e.g. peanut, dairy"}
+                        onChange={(e) => setDraft(e.target.value)}
+                        onKeyDown={(e) => e.key === "Enter" && applyEdit()}
+                        autoFocus
+                    />
+                );
+            case "budget":
+                return (
+                    <div className={styles.budgetEditor}>
+                        <label>
+                            Min ${draft.min}
+                            <input
+                                type="range"
+                                min="0"
+                                max={BUDGET_SLIDER_MAX}
+                                step="5"
+                                value={draft.min}
+                                onChange={(e) => setDraft({ ...draft, min: Math.min(Number(e.target.value), draft.max) })}
+                            />
+                        </label>
+                        <label>
+                            Max ${draft.max}
+                            <input
+                                type="range"
+                                min="0"
+                                max={BUDGET_SLIDER_MAX}
+                                step="5"
+                                value={draft.max}
+                                onChange={(e) => setDraft({ ...draft, max: Math.max(Number(e.target.value), draft.min) })}
+                            />
+                        </label>
+                    </div>
+                );
+            default:
+                return null;
+        }
+    };
+
+    const applyEdit = () => {
+        switch (editing) {
+            case "occasion":
+            case "urgency":
+                if (draft) commit({ [editing]: draft });
+                else cancelEdit();
+                break;
+            case "recipient":
+                commit({ recipient: draft?.trim() || null });
+                break;
+            case "dietary": {
+                const added = (draft || "")
+                    .split(",")
+                    .map((r) => r.trim().toLowerCase())
+                    .filter(Boolean);
+                commit({
+                    dietary_restrictions: [...new Set([...profile.dietary_restrictions, ...added])],
+                });
+                break;
+            }
+            case "budget":
+                commit({
+                    budget_min: draft.min > 0 ? draft.min : null,
+                    budget_max: draft.max,
+                });
+                break;
+            case "headcount": {
+                const headcount = Number(draft.headcount);
+                if (!(headcount >= 1)) {
+                    cancelEdit();
+                    break;
+                }
+                commit({
+                    headcount,
+                    budget_per_person: draft.perPerson === "" ? null : Number(draft.perPerson),
+                });
+                break;
+            }
+            default:
+                cancelEdit();
+        }
+    };
+
+    const chip = (key, label, { onEdit, onRemove }) => (
+        <span
+            key={key}
+            className={`${styles.chip} ${editing === key ? styles.chipActive : ""} ${relaxedByChip[key] ? styles.chipRelaxed : ""}`}
+            title={relaxedByChip[key]?.map((r) => r.description).join("; ")}
+        >
+            <button className={styles.chipLabel} onClick={onEdit} disabled={disabled || !onEdit}>
+                {label}
+                {relaxedByChip[key] && (
+                    <span className={styles.relaxedNote}>{relaxedByChip[key].map((r) => r.note).join(", ")}</span>
+                )}
+            </button>
+            <button
+                className={styles.chipRemove}
+                onClick={onRemove}
+                disabled={disabled}
+                title="Remove"
+                aria-label={`Remove ${label}`}
+            >
+                ✕
+            </button>
+        </span>
+    );
+
+    const addChip = (key, label, initial) => (
+        <button
+            key={key}
+            className={styles.addChip}
+            onClick={() => startEdit(key, initial)}
+            disabled={disabled}
+        >
+            ＋ {label}
+        </button>
+    );
+
+    return (
+        <div className={styles.bar}>
+            <span className={styles.barLabel}>What I know so far</span>
+            <div className={styles.chips}>
+                {profile.occasion
+                    ? chip("occasion", `🎉 ${formatOccasion(profile.occasion)}`, {
+                        onEdit: () => startEdit("occasion", profile.occasion),
+                        onRemove: () => commit({ occasion: null }),
+                    })
+                    : addChip("occasion", "Occasion", "")}
+
+                {profile.recipient
+                    ? chip("recipient", `🎁 For ${profile.recipient}`, {
+                        onEdit: () => startEdit("recipient", profile.recipient),
+                        onRemove: () => commit({ recipient: null }),
+                    })
+                    : addChip("recipient", "Recipient", "")}
+
+                {hasBudget
+                    ? chip("budget", `💰 ${formatBudget(profile.budget_min, profile.budget_max)}`, {
+                        onEdit: () => startEdit("budget", {
+                            min: profile.budget_min ?? 0,
+                            max: profile.budget_max ?? BUDGET_SLIDER_MAX,
+                        }),
+                        onRemove: () => commit({ budget_min: null, budget_max: null }),
+                    })
+                    : addChip("budget", "Budget", { min: 0, max: 50 })}
+
+                {profile.dietary_restrictions.map((restriction) =>
+                    chip(`dietary-${restriction}`, `🚫 No ${restriction}`, {
+                        onRemove: () => removeDietary(restriction),
+                    })
+                )}
+                {addChip("dietary", "Dietary", "")}
+
+                {profile.urgency
+                    ? chip("urgency", `⚡ ${URGENCY_LABELS[profile.urgency]}`, {
+                        onEdit: () => startEdit("urgency", profile.urgency),
+                        onRemove: () => commit({ urgency: null }),
+                    })
+                    : addChip("urgency", "Delivery", "")}
+
+                {profile.headcount != null
+                    ? chip("headcount", `👥 ${formatGroup(profile.headcount, profile.budget_per_person)}`, {
+                        onEdit: () => startEdit("headcount", {
+                            headcount: String(profile.headcount),
+                            perPerson: profile.budget_per_person != null ? String(profile.budget_per_person) : "",
+                        }),
+                        onRemove: () => commit({ headcount: null, budget_per_person: null }),
+                    })
+                    : profile.occasion === "corporate" && addChip("headcount", "Group size", { headcount: "10", perPerson: "" })}
+            </div>
+
+            {relaxations.length > 0 && (
+                <p className={styles.relaxedHint}>
+                    Nothing matched everything, so I loosened: {relaxations.map((r) => r.description).join("; ")}.
+                </p>
+            )}
+
+            {editing && (
+                <div className={styles.editor}>
+                    {renderEditor()}
+                    <div className={styles.editorActions}>
+                        <button className={styles.applyBtn} onClick={applyEdit}>Apply</button>
+                        <button className={styles.cancelBtn} onClick={cancelEdit}>Cancel</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
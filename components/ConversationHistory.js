@@ -0,0 +1,72 @@
+"use client";
+
+import styles from "./ConversationHistory.module.css";
+
+/**
+ * "Today, 3:40 PM" / "Mar 2"
+ */
+function formatWhen(timestamp) {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return "";
+    const time = date.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+    return date.toDateString() === new Date().toDateString()
+        ? `Today, ${time}`
+        : date.toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+export default function ConversationHistory({ isOpen, conversations, activeId, isResuming, onResume, onDelete, onNewChat, onClose }) {
+    if (!isOpen) return null;
+
+    return (
+        <div className={styles.overlay} onClick={onClose}>
+            <aside className={styles.sidebar} onClick={(e) => e.stopPropagation()} aria-label="Past conversations">
+                <div className={styles.header}>
+                    <h3>Conversations</h3>
+                    <button className={styles.closeBtn} onClick={onClose} aria-label="Close history">
+                        ✕
+                    </button>
+                </div>
+
+                <button className={styles.newChatBtn} onClick={onNewChat}>
+                    ＋ New conversation
+                </button>
+
+                <div className={styles.body}>
+                    {conversations.length === 0 ? (
+                        <p className={styles.empty}>Your conversations will be saved here so you can pick them up later.</p>
+                    ) : (
+                        <ul className={styles.list}>
+                            {conversations.map((conversation) => (
+                                <li
+                                    key={conversation.id}
+                                    className={`${styles.item} ${conversation.id === activeId ? styles.itemActive : ""}`}
+                                >
+                                    <button
+                                        className={styles.resumeBtn}
+                                        onClick={() => onResume(conversation.id)}
+                                        disabled={isResuming}
+                                    >
+                                        <span className={styles.title}>{conversation.title}</span>
+                                        <span className={styles.meta}>
+                                            {formatWhen(conversation.updatedAt)}
+                                            {conversation.messageCount > 0 && ` · ${conversation.messageCount} messages`}
+                                            {conversation.id === activeId && " · Open"}
+                                        </span>
+                                    </button>
+                                    <button
+                                        className={styles.deleteBtn}
+                                        onClick={() => onDelete(conversation.id)}
+                                        aria-label={`Delete "${conversation.title}"`}
+                                        title="Delete conversation"
+                                    >
+                                        ✕
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </aside>
+        </div>
+    );
+}
@@ -0,0 +1,149 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { deriveFacets, hasActiveFacets, EMPTY_FACET_SELECTION, SORT_OPTIONS } from "@/lib/facets";
+import styles from "./FacetBar.module.css";
+
+export default function FacetBar({ products, selection, onSelectionChange, sortKey, onSortChange }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const facets = useMemo(() => deriveFacets(products), [products]);
+
+    if (products.length === 0) return null;
+
+    const update = (changes) => onSelectionChange?.({ ...selection, ...changes });
+
+    const toggleValue = (field, value) => {
+        const current = selection[field];
+        update({
+            [field]: current.includes(value)
+                ? current.filter((v) => v !== value)
+                : [...current, value],
+        });
+    };
+
+    const activeCount =
+        (selection.priceMin != null || selection.priceMax != null ? 1 : 0) +
+        selection.occasions.length +
+        selection.categories.length +
+        (selection.oneHourOnly ? 1 : 0) +
+        (selection.onSaleOnly ? 1 : 0) +
+        selection.sizeCounts.length;
+
+    const renderOptions = (field, options, labelFor = (v) => v) => (
+        <div className={styles.options}>
+            {options.slice(0, 10).map(({ value, count }) => (
+                <label key={value} className={styles.option}>
+                    <input
+                        type="checkbox"
+                        checked={selection[field].includes(value)}
+                        onChange={() => toggleValue(field, value)}
+                    />
+                    {labelFor(value)} <span className={styles.count}>{count}</span>
+                </label>
+            ))}
+        </div>
+    );
+
+    return (
+        <div className={styles.facetBar}>
+            <div className={styles.toolbar}>
+                <button
+                    className={`${styles.filterToggle} ${isOpen ? styles.filterToggleOpen : ""}`}
+                    onClick={() => setIsOpen(!isOpen)}
+                >
+                    ⚙️ Filters{activeCount > 0 ? ` (${activeCount})` : ""}
+                </button>
+
+                {hasActiveFacets(selection) && (
+                    <button
+                        className={styles.clearBtn}
+                        onClick={() => onSelectionChange?.({ ...EMPTY_FACET_SELECTION })}
+                    >
+                        Clear filters
+                    </button>
+                )}
+
+                <label className={styles.sortLabel}>
+                    Sort
+                    <select
+                        className={styles.sortSelect}
+                        value={sortKey}
+                        onChange={(e) => onSortChange?.(e.target.value)}
+                    >
+                        {SORT_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            {isOpen && (
+                <div className={styles.panel}>
+                    <div className={styles.section}>
+                        <h4>Price</h4>
+                        <div className={styles.priceInputs}>
+                            <input
+                                type="number"
+                                min="0"
+                                placeholder={`$${facets.price.min}`}
+                                value={selection.priceMin ?? ""}
+                                onChange={(e) => update({ priceMin: e.target.value === "" ? null : Number(e.target.value) })}
+                            />
+                            <span>–</span>
+                            <input
+                                type="number"
+                                min="0"
+                                placeholder={`$${facets.price.max}`}
+                                value={selection.priceMax ?? ""}
+                                onChange={(e) => update({ priceMax: e.target.value === "" ? null : Number(e.target.value) })}
+                            />
+                        </div>
+                    </div>
+
+                    {facets.occasions.length > 0 && (
+                        <div className={styles.section}>
+                            <h4>Occasion</h4>
+                            {renderOptions("occasions", facets.occasions)}
+                        </div>
+                    )}
+
+                    {facets.categories.length > 0 && (
+                        <div className={styles.section}>
+                            <h4>Category</h4>
+                            {renderOptions("categories", facets.categories)}
+                        </div>
+                    )}
+
+                    <div className={styles.section}>
+                        <h4>Delivery &amp; deals</h4>
+                        <div className={styles.options}>
+                            <label className={styles.option}>
+                                <input
+                                    type="checkbox"
+                                    checked={selection.oneHourOnly}
+                                    onChange={(e) => update({ oneHourOnly: e.target.checked })}
+                                />
+                                ⚡ 1-Hr Delivery <span className={styles.count}>{facets.oneHourCount}</span>
+                            </label>
+                            <label className={styles.option}>
+                                <input
+                                    type="checkbox"
+                                    checked={selection.onSaleOnly}
+                                    onChange={(e) => update({ onSaleOnly: e.target.checked })}
+                                />
+                                On sale <span className={styles.count}>{facets.onSaleCount}</span>
+                            </label>
+                        </div>
+                    </div>
+
+                    {facets.sizeCounts.length > 1 && (
+                        <div className={styles.section}>
+                            <h4>Sizes</h4>
+                            {renderOptions("sizeCounts", facets.sizeCounts, (n) => `${n} size${n === 1 ? "" : "s"}`)}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,190 @@
+"use client";
+
+import { useState } from "react";
+import { INTENT_ENUMS } from "@/lib/intentSchema";
+import { REMINDER_DAYS, upcomingOccasions, titleForOccasion, buildIcs } from "@/lib/giftCalendar";
+import styles from "./GiftCalendar.module.css";
+
+const formatOccasion = (occasion) => {
+    const label = occasion.replace(/_/g, " ");
+    return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+const formatDaysAway = (days) => {
+    if (days === 0) return "Today";
+    if (days === 1) return "Tomorrow";
+    return `In ${days} days`;
+};
+
+const EMPTY_DRAFT = { recipient: "", occasion: "birthday", date: "", yearly: true };
+
+export default function GiftCalendar({ isOpen, occasions, isRefreshing, onAdd, onDelete, onRefresh, onShop, onClose }) {
+    const [draft, setDraft] = useState(null);
+
+    if (!isOpen) return null;
+
+    const upcoming = upcomingOccasions(occasions);
+
+    const exportIcs = () => {
+        const blob = new Blob([buildIcs(occasions)], { type: "text/calendar" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = "gift-calendar.ics";
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    // <input type="date"> gives YYYY-MM-DD; yearly occasions keep only the month and day
+    const submitDraft = (e) => {
+        e.preventDefault();
+        if (!draft.date || (!draft.recipient.trim() && !draft.occasion)) return;
+        onAdd({
+            recipient: draft.recipient.trim() || null,
+            occasion: draft.occasion || null,
+            date: draft.yearly ? draft.date.slice(5) : draft.date,
+        });
+        setDraft(null);
+    };
+
+    return (
+        <div className={styles.overlay} onClick={onClose}>
+            <aside className={styles.panel} onClick={(e) => e.stopPropagation()} aria-label="Gift calendar">
+                <div className={styles.header}>
+                    <h3>📅 Gift Calendar</h3>
+                    <button className={styles.closeBtn} onClick={onClose} aria-label="Close gift calendar">
+                        ✕
+                    </button>
+                </div>
+
+                <div className={styles.body}>
+                    {draft ? (
+                        <form className={styles.addForm} onSubmit={submitDraft}>
+                            <label>
+                                Who is it for?
+                                <input
+                                    type="text"
+                                    value={draft.recipient}
+                                    placeholder="e.g. Mom"
+                                    onChange={(e) => setDraft({ ...draft, recipient: e.target.value })}
+                                    autoFocus
+                                />
+                            </label>
+                            <label>
+                                Occasion
+                                <select value={draft.occasion} onChange={(e) => setDraft({ ...draft, occasion: e.target.value })}>
+                                    <option value="">Other</option>
+                                    {INTENT_ENUMS.occasion.map((occasion) => (
+                                        <option key={occasion} value={occasion}>{formatOccasion(occasion)}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label>
+                                Date
+                                <input
+                                    type="date"
+                                    value={draft.date}
+                                    onChange={(e) => setDraft({ ...draft, date: e.target.value })}
+                                    required
+                                />
+                            </label>
+                            <label className={styles.checkbox}>
+                                <input
+                                    type="checkbox"
+                                    checked={draft.yearly}
+                                    onChange={(e) => setDraft({ ...draft, yearly: e.target.checked })}
+                                />
+                                Every year
+                            </label>
+                            <div className={styles.formActions}>
+                                <button type="submit" className={styles.primaryBtn}>Save</button>
+                                <button type="button" className={styles.secondaryBtn} onClick={() => setDraft(null)}>Cancel</button>
+                            </div>
+                        </form>
+                    ) : (
+                        <button className={styles.addBtn} onClick={() => setDraft(EMPTY_DRAFT)}>
+                            ＋ Add an occasion
+                        </button>
+                    )}
+
+                    {upcoming.length === 0 ? (
+                        <p className={styles.empty}>
+                            Tell the assistant a date — &ldquo;Mom&apos;s birthday is March 12&rdquo; — and it will be
+                            saved here with gift ideas ready ahead of time.
+                        </p>
+                    ) : (
+                        <ul className={styles.list}>
+                            {upcoming.map((occasion) => (
+                                <li key={occasion.id} className={`${styles.item} ${occasion.isSoon ? styles.itemSoon : ""}`}>
+                                    <div className={styles.itemHeader}>
+                                        <div className={styles.itemTitle}>
+                                            <span className={styles.itemName}>{titleForOccasion(occasion)}</span>
+                                            <span className={styles.itemWhen}>
+                                                {occasion.nextDate
+                                                    ? `${occasion.nextDate.toLocaleDateString([], { weekday: "short", month: "short", day: "numeric" })} · ${formatDaysAway(occasion.daysAway)}`
+                                                    : "Passed"}
+                                                {occasion.budget_max != null && ` · under $${occasion.budget_max}`}
+                                                {occasion.dietary_restrictions.length > 0 && ` · no ${occasion.dietary_restrictions.join(", ")}`}
+                                            </span>
+                                        </div>
+                                        <button
+                                            className={styles.removeBtn}
+                                            onClick={() => onDelete(occasion.id)}
+                                            aria-label={`Delete ${titleForOccasion(occasion)}`}
+                                        >
+                                            ✕
+                                        </button>
+                                    </div>
+
+                                    {occasion.recommendations.length > 0 ? (
+                                        <div className={styles.ideas}>
+                                            {occasion.recommendations.map((product) => (
+                                                <a
+                                                    key={product.id}
+                                                    className={styles.idea}
+                                                    href={product.url || undefined}
+                                                    target="_blank"
+                                                    rel="noopener noreferrer"
+                                                    title={product.name}
+                                                >
+                                                    <img src={product.thumbnail || product.image} alt={product.name} />
+                                                    <span>{product.minPrice != null ? `$${product.minPrice.toFixed(2)}` : ""}</span>
+                                                </a>
+                                            ))}
+                                        </div>
+                                    ) : (
+                                        <p className={styles.muted}>{isRefreshing ? "Finding gift ideas…" : "No gift ideas yet."}</p>
+                                    )}
+
+                                    {occasion.nextDate && (
+                                        <div className={styles.itemActions}>
+                                            <button className={styles.secondaryBtn} onClick={() => onShop(occasion)}>
+                                                Shop for this
+                                            </button>
+                                            <button
+                                                className={styles.linkBtn}
+                                                onClick={() => onRefresh(occasion)}
+                                                disabled={isRefreshing}
+                                            >
+                                                Refresh ideas
+                                            </button>
+                                        </div>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                {occasions.length > 0 && (
+                    <div className={styles.footer}>
+                        <span className={styles.total}>Reminders {REMINDER_DAYS} days ahead</span>
+                        <button className={styles.primaryBtn} onClick={exportIcs}>
+                            Export to calendar (.ics)
+                        </button>
+                    </div>
+                )}
+            </aside>
+        </div>
+    );
+}
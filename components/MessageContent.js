@@ -0,0 +1,108 @@
+"use client";
+
+import { Fragment, useMemo } from "react";
+import { parseMarkdown } from "@/lib/markdown";
+import styles from "./MessageContent.module.css";
+
+/**
+ * Renders assistant (or customer) text as React elements — never as raw HTML
+ * [ID:xxxx] references become product chips with the thumbnail and price of the matching
+ * product from the turn; given the shortlisted ids, each chip also gets a heart toggle.
+ */
+export default function MessageContent({ content, products = [], shortlistIds, onProductClick, onShortlistToggle, className = "" }) {
+    const blocks = useMemo(() => parseMarkdown(content), [content]);
+    const productsById = useMemo(() => new Map((products || []).map((p) => [String(p.id), p])), [products]);
+
+    const renderChip = (id, key) => {
+        const product = productsById.get(id);
+        const saved = shortlistIds?.has(id);
+        const image = product?.thumbnail || product?.image;
+
+        return (
+            <span key={key} className={styles.productChip}>
+                <button
+                    type="button"
+                    className={styles.chipLink}
+                    onClick={() => onProductClick?.(id)}
+                    title={product ? `Show ${product.name}` : "Show this product"}
+                >
+                    {image ? <img src={image} alt="" /> : <span aria-hidden="true">🔗</span>}
+                    {product?.minPrice != null ? `$${product.minPrice.toFixed(2)}` : product ? null : "View"}
+                </button>
+                {shortlistIds && (
+                    <button
+                        type="button"
+                        className={`${styles.chipHeart} ${saved ? styles.chipHeartSaved : ""}`}
+                        onClick={() => onShortlistToggle?.(id)}
+                        title={saved ? "Remove from shortlist" : "Add to shortlist"}
+                        aria-pressed={Boolean(saved)}
+                    >
+                        {saved ? "♥" : "♡"}
+                    </button>
+                )}
+            </span>
+        );
+    };
+
+    const renderInline = (nodes) =>
+        nodes.map((node, i) => {
+            switch (node.type) {
+                case "text":
+                    return <Fragment key={i}>{node.text}</Fragment>;
+                case "break":
+                    return <br key={i} />;
+                case "strong":
+                    return <strong key={i}>{renderInline(node.children)}</strong>;
+                case "em":
+                    return <em key={i}>{renderInline(node.children)}</em>;
+                case "code":
+                    return <code key={i}>{node.text}</code>;
+                case "link":
+                    return (
+                        <a key={i} href={node.href} target="_blank" rel="noopener noreferrer nofollow">
+                            {renderInline(node.children)}
+                        </a>
+                    );
+                case "product":
+                    return renderChip(node.id, i);
+                default:
+                    return null;
+            }
+        });
+
+    const renderBlock = (block, i) => {
+        switch (block.type) {
+            case "heading": {
+                const Heading = `h${Math.min(6, block.level + 2)}`;
+                return <Heading key={i} className={styles.heading}>{renderInline(block.children)}</Heading>;
+            }
+            case "list": {
+                const List = block.ordered ? "ol" : "ul";
+                return (
+                    <List key={i} className={styles.list}>
+                        {block.items.map((item, j) => <li key={j}>{renderInline(item)}</li>)}
+                    </List>
+                );
+            }
+            case "table":
+                return (
+                    <div key={i} className={styles.tableWrapper}>
+                        <table className={styles.table}>
+                            <thead>
+                                <tr>{block.header.map((cell, j) => <th key={j}>{renderInline(cell)}</th>)}</tr>
+                            </thead>
+                            <tbody>
+                                {block.rows.map((row, j) => (
+                                    <tr key={j}>{row.map((cell, k) => <td key={k}>{renderInline(cell)}</td>)}</tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                );
+            default:
+                return <p key={i} className={styles.paragraph}>{renderInline(block.children)}</p>;
+        }
+    };
+
+    return <div className={`${styles.content} ${className}`}>{blocks.map(renderBlock)}</div>;
+}
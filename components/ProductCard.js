@@ -1,9 +1,16 @@
 "use client";
 
 import { useState } from "react";
+import { describeAllergenCheck } from "@/lib/allergens";
 import styles from "./ProductCard.module.css";
 
-export default function ProductCard({ product, onCompareToggle, isComparing, isHighlighted }) {
+const ALLERGEN_BADGES = {
+    safe: { label: "✓ Allergen-safe", className: "badgeAllergenSafe" },
+    unknown: { label: "⚠ Check allergens", className: "badgeAllergenUnknown" },
+    unsafe: { label: "✕ Contains allergen", className: "badgeAllergenUnsafe" },
+};
+
+export default function ProductCard({ product, onCompareToggle, onOpen, onShortlistToggle, isComparing, isShortlisted, isHighlighted }) {
     const [isDescExpanded, setIsDescExpanded] = useState(false);
 
     const priceDisplay = () => {
@@ -16,9 +23,17 @@ export default function ProductCard({ product, onCompareToggle, isComparing, isH
 
     const hasPromo = product.promo && product.promo.trim().length > 0;
     const hasTag = product.productTag && product.productTag.trim().length > 0;
+    const allergenBadge = product.allergens && ALLERGEN_BADGES[product.allergens.status];
 
     return (
-        <div className={`${styles.card} ${isComparing ? styles.comparing : ""} ${isHighlighted ? styles.highlighted : ""}`}>
+        <div
+            className={`${styles.card} ${isComparing ? styles.comparing : ""} ${isHighlighted ? styles.highlighted : ""}`}
+            onClick={() => onOpen?.(product)}
+            onKeyDown={(e) => e.key === "Enter" && e.target === e.currentTarget && onOpen?.(product)}
+            role="button"
+            tabIndex={0}
+            aria-label={`View details for ${product.name}`}
+        >
             {/* Image */}
             <div className={styles.imageWrapper}>
                 <img
@@ -31,6 +46,14 @@ export default function ProductCard({ product, onCompareToggle, isComparing, isH
                 <div className={styles.badges}>
                     {hasTag && <span className={styles.badgeTag}>{product.productTag}</span>}
                     {product.onSale && <span className={styles.badgeSale}>Sale</span>}
+                    {allergenBadge && (
+                        <span
+                            className={styles[allergenBadge.className]}
+                            title={describeAllergenCheck(product.allergens)}
+                        >
+                            {allergenBadge.label}
+                        </span>
+                    )}
                 </div>
                 {/* 1-Hr Delivery Badge - Bottom Right */}
                 {product.isOneHourDelivery && (
@@ -41,6 +64,7 @@ export default function ProductCard({ product, onCompareToggle, isComparing, isH
                     className={`${styles.compareButton} ${isComparing ? styles.compareActive : ""}`}
                     onClick={(e) => {
                         e.preventDefault();
+                        e.stopPropagation();
                         onCompareToggle?.(product.id);
                     }}
                     id={`compare-product-${product.id}`}
@@ -48,6 +72,19 @@ export default function ProductCard({ product, onCompareToggle, isComparing, isH
                 >
                     {isComparing ? "✓" : "⚖️"}
                 </button>
+                {/* Shortlist Button - below Compare */}
+                <button
+                    className={`${styles.shortlistButton} ${isShortlisted ? styles.shortlistActive : ""}`}
+                    onClick={(e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        onShortlistToggle?.(product);
+                    }}
+                    title={isShortlisted ? "Remove from shortlist" : "Add to shortlist"}
+                    aria-pressed={Boolean(isShortlisted)}
+                >
+                    {isShortlisted ? "♥" : "♡"}
+                </button>
             </div>
 
             {/* Info */}
@@ -62,7 +99,10 @@ export default function ProductCard({ product, onCompareToggle, isComparing, isH
                         {product.description.length > 100 && (
                             <button
                                 className={styles.readMoreBtn}
-                                onClick={() => setIsDescExpanded(!isDescExpanded)}
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    setIsDescExpanded(!isDescExpanded);
+                                }}
                             >
                                 {isDescExpanded ? 'Read less' : 'Read more'}
                             </button>
@@ -0,0 +1,147 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { describeAllergenCheck } from "@/lib/allergens";
+import styles from "./ProductDrawer.module.css";
+
+const formatPrice = (price) => (price != null ? `$${price.toFixed(2)}` : "—");
+
+export default function ProductDrawer({ product, onClose, onAsk }) {
+    const [details, setDetails] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Fetch size variants (and the freshest product record) whenever a product is opened
+    useEffect(() => {
+        if (!product) return;
+
+        let cancelled = false;
+        setDetails(null);
+        setError(null);
+        setIsLoading(true);
+
+        fetch(`/api/products/${encodeURIComponent(product.id)}`)
+            .then((response) => {
+                if (!response.ok) throw new Error("Failed to load product details");
+                return response.json();
+            })
+            .then((data) => {
+                if (!cancelled) setDetails(data);
+            })
+            .catch((err) => {
+                console.error("Product details error:", err);
+                if (!cancelled) setError("Size and pricing details are unavailable right now.");
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [product]);
+
+    // Close on Escape
+    useEffect(() => {
+        if (!product) return;
+        const handleKeyDown = (e) => e.key === "Escape" && onClose?.();
+        window.addEventListener("keydown", handleKeyDown);
+        return () => window.removeEventListener("keydown", handleKeyDown);
+    }, [product, onClose]);
+
+    if (!product) return null;
+
+    // The grid's copy carries per-turn data (allergen check, ranking); the catalog copy fills gaps
+    const shown = { ...details?.product, ...product };
+    const savings = shown.onSale && shown.originalPrice != null && shown.minPrice != null && shown.originalPrice > shown.minPrice
+        ? shown.originalPrice - shown.minPrice
+        : null;
+
+    return (
+        <div className={styles.overlay} onClick={onClose}>
+            <aside className={styles.drawer} onClick={(e) => e.stopPropagation()} aria-label={shown.name}>
+                <div className={styles.header}>
+                    <h3>{shown.name}</h3>
+                    <button className={styles.closeBtn} onClick={onClose} aria-label="Close details">
+                        ✕
+                    </button>
+                </div>
+
+                <div className={styles.body}>
+                    <img src={shown.image || shown.thumbnail} alt={shown.name} className={styles.image} />
+
+                    <div className={styles.priceBlock}>
+                        <span className={styles.price}>
+                            {shown.maxPrice && shown.maxPrice !== shown.minPrice
+                                ? `${formatPrice(shown.minPrice)} – ${formatPrice(shown.maxPrice)}`
+                                : formatPrice(shown.minPrice)}
+                        </span>
+                        {savings != null && (
+                            <span className={styles.savings}>
+                                Save {formatPrice(savings)} ({Math.round((savings / shown.originalPrice) * 100)}% off{" "}
+                                <s>{formatPrice(shown.originalPrice)}</s>)
+                            </span>
+                        )}
+                        {shown.isOneHourDelivery && <span className={styles.delivery}>⚡ 1-Hr Delivery</span>}
+                    </div>
+
+                    {shown.description && <p className={styles.description}>{shown.description}</p>}
+
+                    <section className={styles.section}>
+                        <h4>Sizes</h4>
+                        {isLoading && <p className={styles.muted}>Loading sizes…</p>}
+                        {error && <p className={styles.muted}>{error}</p>}
+                        {details && (
+                            <>
+                                <table className={styles.sizeTable}>
+                                    <tbody>
+                                        {details.sizes.map((size) => (
+                                            <tr key={size.name}>
+                                                <td>{size.name}</td>
+                                                <td className={styles.sizePrice}>
+                                                    {size.onSale && size.originalPrice != null && (
+                                                        <s className={styles.muted}>{formatPrice(size.originalPrice)}</s>
+                                                    )}{" "}
+                                                    {formatPrice(size.price)}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {details.approximateSizes && (
+                                    <p className={styles.muted}>
+                                        Available in {shown.sizeCount} sizes — see the product page for every option.
+                                    </p>
+                                )}
+                            </>
+                        )}
+                    </section>
+
+                    {(shown.ingredients || shown.allergyInfo || shown.allergens) && (
+                        <section className={styles.section}>
+                            <h4>Ingredients &amp; allergens</h4>
+                            {shown.ingredients && <p>{shown.ingredients}</p>}
+                            {shown.allergyInfo && <p className={styles.allergyInfo}>{shown.allergyInfo}</p>}
+                            {shown.allergens && (
+                                <p className={styles.muted}>Checked against your restrictions — {describeAllergenCheck(shown.allergens)}</p>
+                            )}
+                        </section>
+                    )}
+
+                    {shown.catalogCode && <p className={styles.muted}>Item #{shown.catalogCode}</p>}
+                </div>
+
+                <div className={styles.actions}>
+                    <button className={styles.askBtn} onClick={() => onAsk?.(shown)}>
+                        💬 Ask about this product
+                    </button>
+                    {shown.url && (
+                        <a className={styles.siteLink} href={shown.url} target="_blank" rel="noopener noreferrer">
+                            View on site ↗
+                        </a>
+                    )}
+                </div>
+            </aside>
+        </div>
+    );
+}
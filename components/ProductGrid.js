@@ -2,13 +2,56 @@
 
 import { useState, useEffect, useRef } from "react";
 import ProductCard from "./ProductCard";
+import ConstraintBar from "./ConstraintBar";
+import FacetBar from "./FacetBar";
+import ProductDrawer from "./ProductDrawer";
+import MessageContent from "./MessageContent";
+import { describeProfile } from "@/lib/shoppingProfile";
+import { applyFacets, sortProducts, hasActiveFacets } from "@/lib/facets";
+import { planTotals, describeGroup } from "@/lib/giftPlan";
+import { isBulkOrder, quoteFor, orderTotals, formatQuote } from "@/lib/bulkOrder";
 import styles from "./ProductGrid.module.css";
 
-export default function ProductGrid({ products, isLoading, onCompare, highlightedProductId }) {
+export default function ProductGrid({
+    products,
+    profile,
+    relaxations,
+    plan,
+    onPlanPick,
+    orderItems = [],
+    onOrderQuantityChange,
+    onProfileChange,
+    facetSelection,
+    onFacetSelectionChange,
+    isLoading,
+    hasMore,
+    isLoadingMore,
+    onLoadMore,
+    onCompare,
+    onAskAboutProduct,
+    shortlistIds,
+    onShortlistToggle,
+    onShowShortlist,
+    onProductClick,
+    highlightedProductId,
+}) {
     const [compareIds, setCompareIds] = useState(new Set());
     const [isComparing, setIsComparing] = useState(false);
     const [compareResult, setCompareResult] = useState(null);
+    const [compareNarrative, setCompareNarrative] = useState("");
+    const [isNarrativeLoading, setIsNarrativeLoading] = useState(false);
+    const [compareError, setCompareError] = useState(null);
+    const [sortKey, setSortKey] = useState("mentioned");
+    const [detailProduct, setDetailProduct] = useState(null);
     const productRefs = useRef({});
+    const compareRequestRef = useRef(0);
+
+    const visibleProducts = sortProducts(applyFacets(products, facetSelection), sortKey);
+    const isFiltered = hasActiveFacets(facetSelection);
+    const totals = plan ? planTotals(plan, products) : null;
+    // Group orders (a headcount in the profile) quote every card and build an order with quantities
+    const isGroupOrder = !plan && isBulkOrder(profile);
+    const order = orderTotals(orderItems, profile);
 
     // Scroll to highlighted product
     useEffect(() => {
@@ -32,19 +75,50 @@ export default function ProductGrid({ products, isLoading, onCompare, highlighte
         });
     };
 
-    const handleCompare = () => {
+    const handleCompare = async () => {
         if (compareIds.size < 2) return;
         const selectedProducts = products.filter((p) => compareIds.has(p.id));
         setCompareResult(selectedProducts);
+        setCompareNarrative("");
+        setCompareError(null);
         setIsComparing(true);
+
+        if (!onCompare) return;
+
+        // Ignore late tokens from a comparison whose modal has since been closed
+        const requestId = ++compareRequestRef.current;
+        const isCurrent = () => compareRequestRef.current === requestId;
+
+        setIsNarrativeLoading(true);
+        try {
+            const narrative = await onCompare(selectedProducts, (text) => {
+                if (isCurrent()) setCompareNarrative((prev) => prev + text);
+            });
+            if (isCurrent()) setCompareNarrative(narrative);
+        } catch (error) {
+            console.error("Compare error:", error);
+            if (isCurrent()) setCompareError("I couldn't put together a comparison right now. The table below still has the details.");
+        } finally {
+            if (isCurrent()) setIsNarrativeLoading(false);
+        }
     };
 
     const closeCompare = () => {
+        compareRequestRef.current++;
         setIsComparing(false);
         setCompareResult(null);
+        setCompareNarrative("");
+        setIsNarrativeLoading(false);
+        setCompareError(null);
         setCompareIds(new Set());
     };
 
+    // [ID:xxxx] chips in the narrative close the modal and highlight the card
+    const handleNarrativeProductClick = (productId) => {
+        closeCompare();
+        onProductClick?.(productId);
+    };
+
     // Render comparison table from product array
     const renderComparisonTable = (productsToCompare) => {
         if (!productsToCompare || productsToCompare.length < 2) return null;
@@ -98,6 +172,128 @@ export default function ProductGrid({ products, isLoading, onCompare, highlighte
         );
     };
 
+    const renderCard = (product) => (
+        <ProductCard
+            product={product}
+            isComparing={compareIds.has(product.id)}
+            onCompareToggle={toggleCompare}
+            onOpen={setDetailProduct}
+            isShortlisted={shortlistIds?.has(String(product.id))}
+            onShortlistToggle={onShortlistToggle}
+            isHighlighted={String(highlightedProductId) === String(product.id)}
+        />
+    );
+
+    const exportQuote = () => {
+        const blob = new Blob([formatQuote(orderItems, profile)], { type: "text/plain" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `quote-${new Date().toISOString().slice(0, 10)}.txt`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    // Quantity × price for the headcount, with an add button or a stepper once it is in the order
+    const renderOrderControls = (product) => {
+        const quote = quoteFor(product, profile.headcount);
+        const line = orderItems.find((item) => item.id === String(product.id));
+
+        return (
+            <div className={styles.orderControls}>
+                <span className={styles.quoteLine}>
+                    {quote.quantity} × ${quote.unitPrice.toFixed(2)} = ${quote.total.toFixed(2)}
+                    {" · "}${quote.perPerson.toFixed(2)}/person
+                    {quote.servingsSource !== "single" && ` · serves ${quote.servings}${quote.servingsSource === "estimated" ? " (est.)" : ""} each`}
+                </span>
+                {line ? (
+                    <div className={styles.stepper}>
+                        <button
+                            onClick={() => onOrderQuantityChange?.(product, line.quantity - 1)}
+                            aria-label={`One fewer ${product.name}`}
+                        >
+                            −
+                        </button>
+                        <input
+                            type="number"
+                            min="0"
+                            value={line.quantity}
+                            onChange={(e) => onOrderQuantityChange?.(product, Number(e.target.value))}
+                            aria-label={`Quantity of ${product.name}`}
+                        />
+                        <button
+                            onClick={() => onOrderQuantityChange?.(product, line.quantity + 1)}
+                            aria-label={`One more ${product.name}`}
+                        >
+                            +
+                        </button>
+                        <span className={styles.lineTotal}>${(line.unitPrice * line.quantity).toFixed(2)}</span>
+                    </div>
+                ) : (
+                    <button className={styles.pickBtn} onClick={() => onOrderQuantityChange?.(product, quote.quantity)}>
+                        Add {quote.quantity} to order
+                    </button>
+                )}
+            </div>
+        );
+    };
+
+    // Gift plan: one section per recipient group, each with its pick and alternatives
+    const renderPlan = () => {
+        const visibleById = new Map(visibleProducts.map((p) => [String(p.id), p]));
+
+        return (
+            <div className={styles.planGroups}>
+                {plan.groups.map((group) => {
+                    const groupProducts = group.productIds.map((id) => visibleById.get(id)).filter(Boolean);
+                    return (
+                        <section key={group.id} className={styles.planGroup}>
+                            <div className={styles.planGroupHeader}>
+                                <h3>{describeGroup(group)}</h3>
+                                {group.budgetPerPerson != null && (
+                                    <span className={styles.planGroupBudget}>
+                                        up to ${group.budgetPerPerson.toFixed(2)} each
+                                        {group.budgetSource === "split" && " (split from the total)"}
+                                    </span>
+                                )}
+                            </div>
+                            {group.relaxations?.length > 0 && (
+                                <p className={styles.planGroupNote}>
+                                    Nothing matched everything for this group, so some requirements were loosened.
+                                </p>
+                            )}
+                            {groupProducts.length === 0 ? (
+                                <p className={styles.planGroupNote}>
+                                    {group.productIds.length === 0
+                                        ? "No matching products found for this group."
+                                        : "This group's products are hidden by the filters above."}
+                                </p>
+                            ) : (
+                                <div className={styles.grid}>
+                                    {groupProducts.map((product) => {
+                                        const isPick = group.pickId === String(product.id);
+                                        return (
+                                            <div key={product.id} ref={el => productRefs.current[product.id] = el}>
+                                                {renderCard(product)}
+                                                <button
+                                                    className={`${styles.pickBtn} ${isPick ? styles.pickBtnActive : ""}`}
+                                                    onClick={() => onPlanPick?.(group.id, product.id)}
+                                                    disabled={isPick}
+                                                >
+                                                    {isPick ? "✓ Chosen" : `Choose for ${group.name}`}
+                                                </button>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            )}
+                        </section>
+                    );
+                })}
+            </div>
+        );
+    };
+
     return (
         <div className={styles.gridPanel}>
             {/* Header */}
@@ -105,23 +301,105 @@ export default function ProductGrid({ products, isLoading, onCompare, highlighte
                 <div className={styles.headerLeft}>
                     <h2>
                         {products.length > 0
-                            ? `${products.length} Recommendations`
+                            ? isFiltered
+                                ? `${visibleProducts.length} of ${products.length} Recommendations`
+                                : `${products.length} Recommendations`
                             : "Product Recommendations"}
                     </h2>
                     <span className={styles.subtitle}>
                         {products.length > 0
-                            ? "Based on your preferences"
+                            ? describeProfile(profile) || "Based on your preferences"
                             : "Start a conversation to see recommendations"}
                     </span>
                 </div>
 
-                {compareIds.size >= 2 && !isComparing && (
-                    <button className={styles.compareBtn} onClick={handleCompare}>
-                        ⚖️ Compare {compareIds.size} Items
+                <div className={styles.headerActions}>
+                    {compareIds.size >= 2 && !isComparing && (
+                        <button className={styles.compareBtn} onClick={handleCompare}>
+                            ⚖️ Compare {compareIds.size} Items
+                        </button>
+                    )}
+                    <button className={styles.shortlistBtn} onClick={onShowShortlist}>
+                        ♥ Shortlist{shortlistIds?.size > 0 ? ` (${shortlistIds.size})` : ""}
                     </button>
-                )}
+                </div>
             </div>
 
+            {/* Gift plan running total */}
+            {plan && totals && (
+                <div className={`${styles.summaryBar} ${totals.remaining < 0 ? styles.summaryOver : ""}`}>
+                    <span className={styles.summaryLabel}>🎁 Gift plan</span>
+                    <span>
+                        ${totals.spent.toFixed(2)}
+                        {totals.budget != null && ` of $${totals.budget.toFixed(2)}`}
+                    </span>
+                    {totals.remaining != null && (
+                        <span className={styles.summaryRemaining}>
+                            {totals.remaining >= 0
+                                ? `$${totals.remaining.toFixed(2)} left`
+                                : `$${(-totals.remaining).toFixed(2)} over budget`}
+                        </span>
+                    )}
+                </div>
+            )}
+
+            {/* Group order total and quote export */}
+            {(isGroupOrder || orderItems.length > 0) && (
+                <div className={styles.orderSummary}>
+                    <div className={`${styles.summaryBar} ${order.remaining < 0 ? styles.summaryOver : ""}`}>
+                        <span className={styles.summaryLabel}>
+                            🏢 Order{profile?.headcount ? ` for ${profile.headcount} people` : ""}
+                        </span>
+                        <span>
+                            {order.itemCount} item{order.itemCount === 1 ? "" : "s"} · ${order.total.toFixed(2)}
+                            {order.perPerson != null && order.itemCount > 0 && ` · $${order.perPerson.toFixed(2)}/person`}
+                        </span>
+                        {order.remaining != null && (
+                            <span className={styles.summaryRemaining}>
+                                {order.remaining >= 0
+                                    ? `$${order.remaining.toFixed(2)} left of $${order.budget.toFixed(2)}`
+                                    : `$${(-order.remaining).toFixed(2)} over budget`}
+                            </span>
+                        )}
+                        <button className={styles.exportBtn} onClick={exportQuote} disabled={orderItems.length === 0}>
+                            Export quote
+                        </button>
+                    </div>
+                    {orderItems.length > 0 && (
+                        <ul className={styles.orderLines}>
+                            {orderItems.map((item) => (
+                                <li key={item.id}>
+                                    {item.quantity} × {item.name} · ${(item.unitPrice * item.quantity).toFixed(2)}
+                                    <button
+                                        onClick={() => onOrderQuantityChange?.(item, 0)}
+                                        aria-label={`Remove ${item.name} from the order`}
+                                    >
+                                        ✕
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+
+            {/* Active constraints — editable without another chat turn */}
+            <ConstraintBar
+                profile={profile}
+                relaxations={plan ? [] : relaxations}
+                onChange={onProfileChange}
+                disabled={isLoading}
+            />
+
+            {/* Manual facets and sorting over the displayed products */}
+            <FacetBar
+                products={products}
+                selection={facetSelection}
+                onSelectionChange={onFacetSelectionChange}
+                sortKey={sortKey}
+                onSortChange={setSortKey}
+            />
+
             {/* Compare Modal */}
             {isComparing && (
                 <div className={styles.compareOverlay}>
@@ -132,8 +410,27 @@ export default function ProductGrid({ products, isLoading, onCompare, highlighte
                                 ✕
                             </button>
                         </div>
-                        <div className={styles.compareBody}>
-                            {renderComparisonTable(compareResult)}
+                        <div className={`${styles.compareBody} ${styles.compareLayout}`}>
+                            <div className={styles.compareTableColumn}>
+                                {renderComparisonTable(compareResult)}
+                            </div>
+                            <div className={styles.compareNarrative}>
+                                {compareError && <p className={styles.compareError}>{compareError}</p>}
+                                {!compareError && isNarrativeLoading && !compareNarrative && (
+                                    <div className={styles.compareLoading}>
+                                        <div className={styles.spinner}></div>
+                                        <p>Comparing these for you...</p>
+                                    </div>
+                                )}
+                                {compareNarrative && (
+                                    <MessageContent
+                                        className={styles.compareContent}
+                                        content={compareNarrative}
+                                        products={compareResult}
+                                        onProductClick={handleNarrativeProductClick}
+                                    />
+                                )}
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -166,22 +463,51 @@ export default function ProductGrid({ products, isLoading, onCompare, highlighte
                     </div>
                 )}
 
-                {products.length > 0 && (
+                {products.length > 0 && visibleProducts.length === 0 && (
+                    <div className={styles.emptyState}>
+                        <div className={styles.emptyIcon}>🔍</div>
+                        <h3>No products match these filters</h3>
+                        <p>Loosen a filter above, or tell the assistant what you&apos;d like to change.</p>
+                    </div>
+                )}
+
+                {visibleProducts.length > 0 && plan && renderPlan()}
+
+                {visibleProducts.length > 0 && !plan && (
                     <div className={styles.grid}>
-                        {products.map((product) => (
+                        {visibleProducts.map((product) => (
                             <div key={product.id} ref={el => productRefs.current[product.id] = el}>
-                                <ProductCard
-                                    product={product}
-                                    isComparing={compareIds.has(product.id)}
-                                    onCompareToggle={toggleCompare}
-                                    isHighlighted={String(highlightedProductId) === String(product.id)}
-                                />
+                                {renderCard(product)}
+                                {isGroupOrder && renderOrderControls(product)}
                             </div>
                         ))}
                     </div>
                 )}
+
+                {/* More products from the same ranked results — no new search or LLM call */}
+                {hasMore && !plan && products.length > 0 && (
+                    <div className={styles.loadMore}>
+                        <button
+                            className={styles.loadMoreBtn}
+                            onClick={onLoadMore}
+                            disabled={isLoading || isLoadingMore}
+                        >
+                            {isLoadingMore ? "Loading…" : "Show more"}
+                        </button>
+                    </div>
+                )}
             </div>
 
+            {/* Product detail drawer */}
+            <ProductDrawer
+                product={detailProduct}
+                onClose={() => setDetailProduct(null)}
+                onAsk={(product) => {
+                    setDetailProduct(null);
+                    onAskAboutProduct?.(product);
+                }}
+            />
+
             {/* Compare hint */}
             {products.length > 0 && compareIds.size > 0 && compareIds.size < 2 && (
                 <div className={styles.compareHint}>
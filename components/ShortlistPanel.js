@@ -0,0 +1,128 @@
+"use client";
+
+import { useState } from "react";
+import { buildShareUrl } from "@/lib/shortlist";
+import styles from "./ShortlistPanel.module.css";
+
+const formatPrice = (price) => (price != null ? `$${price.toFixed(2)}` : "—");
+
+function ShortlistItem({ item, onRemove }) {
+    return (
+        <li className={styles.item}>
+            <img src={item.thumbnail || item.image} alt={item.name} className={styles.thumb} />
+            <div className={styles.itemText}>
+                {item.url ? (
+                    <a href={item.url} target="_blank" rel="noopener noreferrer" className={styles.itemName}>
+                        {item.name}
+                    </a>
+                ) : (
+                    <span className={styles.itemName}>{item.name}</span>
+                )}
+                <span className={styles.itemPrice}>
+                    {item.maxPrice && item.maxPrice !== item.minPrice
+                        ? `${formatPrice(item.minPrice)} – ${formatPrice(item.maxPrice)}`
+                        : formatPrice(item.minPrice)}
+                    {item.onSale && " · Sale"}
+                </span>
+            </div>
+            {onRemove && (
+                <button
+                    className={styles.removeBtn}
+                    onClick={() => onRemove(item)}
+                    aria-label={`Remove ${item.name} from shortlist`}
+                >
+                    ✕
+                </button>
+            )}
+        </li>
+    );
+}
+
+export default function ShortlistPanel({ isOpen, items, shared, onClose, onRemove, onSaveShared, onDismissShared }) {
+    const [copyState, setCopyState] = useState(null);
+
+    if (!isOpen) return null;
+
+    const handleShare = async () => {
+        const url = buildShareUrl(window.location.origin, items);
+        try {
+            await navigator.clipboard.writeText(url);
+            setCopyState("Link copied — send it to anyone splitting the gift");
+        } catch {
+            // Clipboard access can be blocked; show the link so it can be copied by hand
+            setCopyState(url);
+        }
+    };
+
+    const total = items.reduce((sum, item) => sum + (item.minPrice || 0), 0);
+
+    return (
+        <div className={styles.overlay} onClick={onClose}>
+            <aside className={styles.panel} onClick={(e) => e.stopPropagation()} aria-label="Shortlist">
+                <div className={styles.header}>
+                    <h3>♥ Shortlist</h3>
+                    <button className={styles.closeBtn} onClick={onClose} aria-label="Close shortlist">
+                        ✕
+                    </button>
+                </div>
+
+                <div className={styles.body}>
+                    {/* A shortlist someone shared by link */}
+                    {shared && (
+                        <section className={styles.shared}>
+                            <h4>Shared with you</h4>
+                            {shared.isLoading && <p className={styles.muted}>Loading shared picks…</p>}
+                            {shared.error && <p className={styles.muted}>{shared.error}</p>}
+                            {shared.items.length > 0 && (
+                                <ul className={styles.list}>
+                                    {shared.items.map((item) => (
+                                        <ShortlistItem key={item.id} item={item} />
+                                    ))}
+                                </ul>
+                            )}
+                            {shared.missing.length > 0 && (
+                                <p className={styles.muted}>
+                                    {shared.missing.length} shared item{shared.missing.length === 1 ? " is" : "s are"} no longer available.
+                                </p>
+                            )}
+                            <div className={styles.sharedActions}>
+                                {shared.items.length > 0 && (
+                                    <button className={styles.primaryBtn} onClick={onSaveShared}>
+                                        Add to my shortlist
+                                    </button>
+                                )}
+                                <button className={styles.secondaryBtn} onClick={onDismissShared}>
+                                    Dismiss
+                                </button>
+                            </div>
+                        </section>
+                    )}
+
+                    {items.length === 0 ? (
+                        <p className={styles.empty}>
+                            Tap ♡ on a product — in the grid or in the chat — to keep it here.
+                        </p>
+                    ) : (
+                        <ul className={styles.list}>
+                            {items.map((item) => (
+                                <ShortlistItem key={item.id} item={item} onRemove={onRemove} />
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                {items.length > 0 && (
+                    <div className={styles.footer}>
+                        <span className={styles.total}>
+                            {items.length} item{items.length === 1 ? "" : "s"} · from {formatPrice(total)}
+                        </span>
+                        <button className={styles.primaryBtn} onClick={handleShare}>
+                            🔗 Share shortlist
+                        </button>
+                        {copyState && <p className={styles.copyState}>{copyState}</p>}
+                    </div>
+                )}
+            </aside>
+        </div>
+    );
+}
@@ -0,0 +1,281 @@
+/**
+ * Eval Runner — Scores the pipeline against a golden dataset of conversations
+ *
+ * Every case in the dataset (eval/golden.json by default) is a conversation. Its turns go
+ * through processMessage one by one, with the transcript and shopping profile carried forward
+ * the way the chat route does, over a fixture catalog (eval/fixtures/catalog.json). Turns with
+ * an `expect` block are scored field by field:
+ * - intent.<field>: the effective intent (profile applied), e.g. occasion, budget_max,
+ *   dietary_restrictions, needs_clarification
+ * - products.<check>: minCount, maxCount, maxPrice, includeIds, excludeIds, occasion,
+ *   oneHourDelivery. Allergen safety is expected as excludeIds (the fixture products a
+ *   restriction rules out), so it is not scored with the allergen check it is testing.
+ * - guardrail.verdict, reminder.<field> and plan.groups
+ *
+ * --llm mock (default) answers intent extraction with each turn's `mockIntent`, so the run is
+ * offline and deterministic and checks everything downstream of the model (schema coercion,
+ * profile merging, filtering, ranking, guardrails). --llm env uses the provider configured by
+ * LLM_PROVIDER (e.g. a local model through LLM_PROVIDER=openai) to check the prompts themselves.
+ *
+ * The report is stable JSON with no timestamps, so re-running after a prompt change and diffing
+ * it (or passing --baseline) shows exactly which checks moved. The run exits with 1 when any
+ * check fails.
+ *
+ * Usage: npm run eval -- [--llm mock|env] [--dataset file] [--catalog file] [--out file]
+ *                        [--baseline report.json] [--case id] [--verbose]
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from "node:fs";
+import { dirname, join, relative } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { processMessage } from "../lib/aiPipeline.js";
+import { setCatalog } from "../lib/catalog.js";
+import { createLocalCatalog } from "../lib/localCatalog.js";
+import { createMockProvider, getLLMProvider, setLLMProvider } from "../lib/llmProviders.js";
+import { defaultIntent } from "../lib/intentSchema.js";
+import { delimit } from "../lib/guardrails.js";
+
+const EVAL_DIR = dirname(fileURLToPath(import.meta.url));
+const ROOT_DIR = join(EVAL_DIR, "..");
+
+const { values: args } = parseArgs({
+    options: {
+        llm: { type: "string", default: "mock" },
+        dataset: { type: "string", default: join(EVAL_DIR, "golden.json") },
+        catalog: { type: "string", default: join(EVAL_DIR, "fixtures", "catalog.json") },
+        out: { type: "string" },
+        baseline: { type: "string" },
+        case: { type: "string" },
+        verbose: { type: "boolean", default: false },
+    },
+});
+
+const print = console.log.bind(console);
+if (!args.verbose) {
+    // The pipeline logs every stage; keep the eval output readable
+    console.log = () => {};
+    console.warn = () => {};
+}
+
+// ─────────────────────────────────────────────
+// Comparison
+// ─────────────────────────────────────────────
+
+/**
+ * Normalize a value for comparison: case-insensitive strings (without "my"/"the"),
+ * order-insensitive arrays
+ */
+function normalize(value) {
+    if (Array.isArray(value)) return value.map(normalize).sort();
+    if (typeof value === "string") return value.trim().toLowerCase().replace(/^(my|our|the|a|an)\s+/, "");
+    return value ?? null;
+}
+
+const sameValue = (expected, actual) => JSON.stringify(normalize(expected)) === JSON.stringify(normalize(actual));
+
+/**
+ * Product checks: each returns [passed, actual]
+ */
+const PRODUCT_CHECKS = {
+    minCount: (products, min) => [products.length >= min, products.length],
+    maxCount: (products, max) => [products.length <= max, products.length],
+    maxPrice: (products, max) => {
+        const over = products.filter((p) => p.minPrice != null && p.minPrice > max).map((p) => p.id);
+        return [over.length === 0, over.length === 0 ? `all ≤ ${max}` : { over }];
+    },
+    includeIds: (products, ids) => {
+        const missing = ids.filter((id) => !products.some((p) => String(p.id) === id));
+        return [missing.length === 0, missing.length === 0 ? ids : { missing }];
+    },
+    excludeIds: (products, ids) => {
+        const present = ids.filter((id) => products.some((p) => String(p.id) === id));
+        return [present.length === 0, present.length === 0 ? "none present" : { present }];
+    },
+    occasion: (products, occasion) => {
+        const other = products.filter((p) => !String(p.occasion || "").toLowerCase().includes(occasion.toLowerCase())).map((p) => p.id);
+        return [other.length === 0, other.length === 0 ? occasion : { other }];
+    },
+    oneHourDelivery: (products, wanted) => {
+        const other = products.filter((p) => Boolean(p.isOneHourDelivery) !== wanted).map((p) => p.id);
+        return [other.length === 0, other.length === 0 ? wanted : { other }];
+    },
+};
+
+/**
+ * Score one turn's result against its expectations
+ * @returns {Array<{ field, expected, actual, passed }>}
+ */
+function scoreTurn(expect, result) {
+    const checks = [];
+    const check = (field, expected, actual, passed = sameValue(expected, actual)) =>
+        checks.push({ field, expected, actual: actual ?? null, passed });
+
+    for (const [field, expected] of Object.entries(expect.intent || {})) {
+        check(`intent.${field}`, expected, result.intent ? result.intent[field] : undefined);
+    }
+    for (const [name, expected] of Object.entries(expect.products || {})) {
+        if (!PRODUCT_CHECKS[name]) throw new Error(`Unknown product check "${name}"`);
+        const [passed, actual] = PRODUCT_CHECKS[name](result.products || [], expected);
+        check(`products.${name}`, expected, actual, passed);
+    }
+    if (expect.guardrail) check("guardrail.verdict", expect.guardrail.verdict, result.guardrail?.verdict);
+    for (const [field, expected] of Object.entries(expect.reminder || {})) {
+        check(`reminder.${field}`, expected, result.reminder ? result.reminder[field] : undefined);
+    }
+    if (expect.plan) check("plan.groups", expect.plan.groups, result.plan?.groups.length ?? 0);
+
+    return checks;
+}
+
+// ─────────────────────────────────────────────
+// Running
+// ─────────────────────────────────────────────
+
+/**
+ * A mock provider that answers each turn's intent extraction with its mockIntent
+ * Matched on the delimited customer message, so earlier turns in the transcript don't collide
+ */
+function mockProviderFor(testCase) {
+    const intent = testCase.turns
+        .filter((turn) => turn.mockIntent)
+        .map((turn) => ({
+            match: delimit("customer_message", turn.message),
+            response: JSON.stringify({ ...defaultIntent(), ...turn.mockIntent }),
+        }));
+    return createMockProvider({ script: { intent } });
+}
+
+/**
+ * Run one conversation and score its turns
+ */
+async function runCase(testCase) {
+    if (args.llm === "mock") setLLMProvider(mockProviderFor(testCase));
+
+    const history = [];
+    let profile = null;
+    const checks = [];
+
+    for (const [index, turn] of testCase.turns.entries()) {
+        let result;
+        try {
+            result = await processMessage(turn.message, history, { profile });
+        } catch (error) {
+            if (!turn.expect) throw error;
+            checks.push({ turn: index + 1, field: "error", expected: null, actual: error.message, passed: false });
+            break;
+        }
+
+        history.push({ role: "user", content: turn.message }, { role: "assistant", content: result.message });
+        if (result.profile) profile = result.profile;
+
+        if (turn.expect) {
+            checks.push(...scoreTurn(turn.expect, result).map((c) => ({ turn: index + 1, ...c })));
+        }
+    }
+
+    return { id: testCase.id, checks };
+}
+
+/**
+ * The report: per-field accuracy plus each case's failures, in a stable order
+ */
+function buildReport(dataset, llm, caseResults) {
+    const allChecks = caseResults.flatMap((c) => c.checks);
+    const fields = {};
+    for (const c of allChecks) {
+        fields[c.field] ??= { passed: 0, total: 0 };
+        fields[c.field].total++;
+        if (c.passed) fields[c.field].passed++;
+    }
+    const checksPassed = allChecks.filter((c) => c.passed).length;
+
+    return {
+        dataset: relative(ROOT_DIR, dataset),
+        llm,
+        summary: {
+            cases: caseResults.length,
+            casesPassed: caseResults.filter((c) => c.checks.every((check) => check.passed)).length,
+            checks: allChecks.length,
+            checksPassed,
+            accuracy: round(checksPassed / Math.max(allChecks.length, 1)),
+        },
+        fields: Object.fromEntries(
+            Object.keys(fields)
+                .sort()
+                .map((field) => [field, { ...fields[field], accuracy: round(fields[field].passed / fields[field].total) }])
+        ),
+        cases: caseResults.map(({ id, checks }) => ({
+            id,
+            passed: checks.every((c) => c.passed),
+            checks: checks.length,
+            failures: checks.filter((c) => !c.passed).map(({ turn, field, expected, actual }) => ({ turn, field, expected, actual })),
+        })),
+    };
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Checks that changed between a baseline report and this one
+ */
+function compareWithBaseline(baseline, report) {
+    const failing = (r) => new Set(r.cases.flatMap((c) => c.failures.map((f) => `${c.id} · turn ${f.turn} · ${f.field}`)));
+    const before = failing(baseline);
+    const after = failing(report);
+    return {
+        regressions: [...after].filter((key) => !before.has(key)),
+        fixes: [...before].filter((key) => !after.has(key)),
+    };
+}
+
+async function main() {
+    const dataset = JSON.parse(readFileSync(args.dataset, "utf8"));
+    const cases = dataset.cases.filter((c) => !args.case || c.id === args.case);
+    if (cases.length === 0) throw new Error(args.case ? `No case with id "${args.case}"` : "The dataset has no cases");
+
+    setCatalog(createLocalCatalog({ path: args.catalog }));
+    if (args.llm === "env") setLLMProvider(null);
+    else if (args.llm !== "mock") throw new Error(`--llm must be "mock" or "env", not "${args.llm}"`);
+    const llmName = args.llm === "mock" ? "mock" : getLLMProvider().name;
+
+    const caseResults = [];
+    for (const testCase of cases) {
+        const result = await runCase(testCase);
+        caseResults.push(result);
+        const failures = result.checks.filter((c) => !c.passed);
+        print(`${failures.length === 0 ? "✓" : "✗"} ${testCase.id}${failures.length === 0 ? "" : ` (${failures.length} of ${result.checks.length} checks failed)`}`);
+        for (const failure of failures) {
+            print(`    turn ${failure.turn} ${failure.field}: expected ${JSON.stringify(failure.expected)}, got ${JSON.stringify(failure.actual)}`);
+        }
+    }
+
+    const report = buildReport(args.dataset, llmName, caseResults);
+    const out = args.out || join(EVAL_DIR, "reports", `${args.llm}.json`);
+    mkdirSync(dirname(out), { recursive: true });
+    writeFileSync(out, `${JSON.stringify(report, null, 2)}\n`);
+
+    print("");
+    print(`Cases: ${report.summary.casesPassed}/${report.summary.cases} passed · Checks: ${report.summary.checksPassed}/${report.summary.checks} (${percent(report.summary.accuracy)})`);
+    for (const [field, score] of Object.entries(report.fields)) {
+        print(`  ${field.padEnd(32)} ${String(score.passed).padStart(3)}/${String(score.total).padEnd(3)} ${percent(score.accuracy)}`);
+    }
+    print(`Report written to ${relative(process.cwd(), out)}`);
+    if (report.summary.checksPassed < report.summary.checks) process.exitCode = 1;
+
+    if (args.baseline) {
+        if (!existsSync(args.baseline)) throw new Error(`Baseline report ${args.baseline} not found`);
+        const { regressions, fixes } = compareWithBaseline(JSON.parse(readFileSync(args.baseline, "utf8")), report);
+        print(`\nAgainst ${relative(process.cwd(), args.baseline)}: ${regressions.length} regression(s), ${fixes.length} fix(es)`);
+        regressions.forEach((key) => print(`  - ${key}`));
+        fixes.forEach((key) => print(`  + ${key}`));
+        if (regressions.length > 0) process.exitCode = 1;
+    }
+}
+
+main().catch((error) => {
+    print(`Eval failed: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -1,126 +1,199 @@
 /**
  * AI Pipeline — Orchestrates intent extraction, search, filtering, and response generation
  * 
- * Uses meta/llama-3.1-8b-instruct via NVIDIA NIM
- * Pipeline: User Message → Intent Extraction → Multi-Search → Filter/Rank → Response Generation
+ * Uses the provider configured in llmProviders.js (meta/llama-3.1-8b-instruct via NVIDIA NIM by default)
+ * Pipeline: User Message → Guardrail → Intent Extraction → Multi-Search → Filter/Rank → Response Generation
+ * Prompts are rendered from the prompt registry with the session's assigned versions, and every
+ * result lists the { name, version } of each prompt it used.
  */
 
+import "./prompts.js";
+import { renderPrompt } from "./promptRegistry.js";
 import {
-    SYSTEM_PROMPT,
-    buildIntentExtractionPrompt,
-    buildClarificationPrompt,
-    buildResponsePrompt,
-    buildComparisonPrompt,
-} from "./prompts.js";
-import {
+    getCatalog,
     multiSearch,
-    filterProducts,
     cleanProductForLLM,
     formatProductForDisplay,
-} from "./edibleApi.js";
-
-const NIM_API_URL = "https://integrate.api.nvidia.com/v1/chat/completions";
-const MODEL_ID = "meta/llama-3.1-8b-instruct";
+    getProductDetails,
+    getProductsByIds,
+} from "./catalog.js";
+import { getLLMProvider } from "./llmProviders.js";
+import { defaultIntent, parseIntentJson, validateIntent } from "./intentSchema.js";
+import { mergeProfile, applyProfile } from "./shoppingProfile.js";
+import { applyFacets, describeFacets, hasActiveFacets } from "./facets.js";
+import { rankProducts } from "./ranking.js";
+import { assessAllergens, buildAllergyWarning } from "./allergens.js";
+import {
+    PLAN_PRODUCTS_PER_GROUP,
+    isGiftPlan,
+    splitBudget,
+    recipientIntent,
+    assignPicks,
+    planTotals,
+    describeGroup,
+} from "./giftPlan.js";
+import { isBulkOrder, quoteFor } from "./bulkOrder.js";
+import { reminderFromIntent, titleForOccasion, formatOccasionDate, RECOMMENDATIONS_PER_OCCASION } from "./giftCalendar.js";
+import { filterWithRelaxation, describeRelaxations } from "./relaxation.js";
+import { withSemanticHits } from "./semanticSearch.js";
+import { DEFAULT_PAGE_SIZE, normalizePageSize, storeResultSet } from "./resultCache.js";
+import { checkInput, guardrailRefusal } from "./guardrails.js";
+import { checkResponse } from "./responseCheck.js";
+
+// How many of the ranked products the response LLM gets to choose from
+const LLM_PRODUCT_LIMIT = 10;
 
 /**
- * Call the LLM via NVIDIA NIM
+ * Call the configured LLM provider
+ * When `onToken` is provided the completion is streamed and each content
+ * delta is passed to it as it arrives; the full text is still returned.
+ * @param {string} options.step - Pipeline step, used for per-step model overrides
+ * @param {AbortSignal} [options.signal] - Aborts the request (e.g. when the client disconnects)
  */
-async function callLLM(messages, { temperature = 0.7, maxTokens = 1024 } = {}) {
-    const apiKey = process.env.NVIDIA_NIM_API_KEY;
-    if (!apiKey) {
-        throw new Error("NVIDIA_NIM_API_KEY is not set in environment variables");
-    }
+async function callLLM(messages, { step, temperature = 0.7, maxTokens = 1024, onToken, signal } = {}) {
+    return getLLMProvider().complete(messages, { step, temperature, maxTokens, onToken, signal });
+}
 
-    const response = await fetch(NIM_API_URL, {
-        method: "POST",
-        headers: {
-            Authorization: `Bearer ${apiKey}`,
-            "Content-Type": "application/json",
+/**
+ * Render prompts for one turn with the session's assigned versions, noting each one used
+ * @param {Object} [promptVersions] - Prompt name → version (see assignPromptVersions)
+ * @returns {{ render: Function, used: Array<{ name: string, version: string }> }}
+ */
+function createPromptSet(promptVersions) {
+    const used = [];
+    return {
+        render(name, variables) {
+            const { text, ref } = renderPrompt(name, variables, promptVersions);
+            if (!used.some((r) => r.name === ref.name)) used.push(ref);
+            return text;
         },
-        body: JSON.stringify({
-            model: MODEL_ID,
-            messages,
-            temperature,
-            max_tokens: maxTokens,
-        }),
-    });
+        used,
+    };
+}
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        console.error("NVIDIA NIM API error:", response.status, errorText);
-        throw new Error(`NVIDIA NIM API error: ${response.status}`);
-    }
+/**
+ * Generate a response that recommends products, then check its product claims
+ * IDs, starting prices and bolded names are verified against the products the model was given
+ * and corrected according to RESPONSE_CHECK (see responseCheck.js). A regeneration repeats the
+ * call with the problems listed and is not streamed; the checked text is what gets returned.
+ * @param {Array} messages - Chat messages for the LLM
+ * @param {Array} products - The products in the prompt
+ * @param {Object} options - callLLM options
+ * @returns {Promise<{ message: string, responseCheck: Object }>}
+ */
+async function generateCheckedResponse(messages, products, options) {
+    const text = await callLLM(messages, options);
+    const { message, report } = await checkResponse(text, products, {
+        regenerate: (problems) => callLLM(
+            [
+                ...messages,
+                { role: "assistant", content: text },
+                {
+                    role: "user",
+                    content: `Some product claims in your response are wrong:\n${problems}\n\nWrite the whole response again, mentioning only the products, IDs and starting prices you were given.`,
+                },
+            ],
+            { ...options, onToken: undefined }
+        ),
+    });
 
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content || "";
+    if (report.issues.length > 0) console.warn(`[Response Check] ${report.action}:`, report.issues.map((i) => `${i.type} ${i.id ?? i.name}`).join(", "));
+    return { message, responseCheck: report };
 }
 
-
 /**
- * Step 1: Extract user intent from message
+ * Render the last 12 messages as a "Customer:/Concierge:" transcript for prompts
  */
-async function extractIntent(userMessage, conversationHistory) {
-    const contextSummary = conversationHistory
-        .slice(-12) // Last 12 exchanges
+export function formatConversationHistory(conversationHistory = []) {
+    return conversationHistory
+        .slice(-12)
         .map((m) => `${m.role === "user" ? "Customer" : "Concierge"}: ${m.content}`)
         .join("\n");
+}
+
+/**
+ * Step 1: Extract user intent from message
+ * The model output is validated against the intent schema; if it is unparseable or
+ * invalid, the errors are sent back for one corrective retry before falling back.
+ * @returns {Promise<{ intent: Object, validation: Object }>} Cleaned intent plus validation report
+ */
+async function extractIntent(userMessage, conversationHistory, prompts, signal) {
+    const contextSummary = formatConversationHistory(conversationHistory);
 
-    const prompt = buildIntentExtractionPrompt(userMessage, contextSummary);
+    const prompt = prompts.render("intent", { userMessage, conversationContext: contextSummary });
 
-    const result = await callLLM(
-        [
-            {
-                role: "system",
-                content: `You are an intent extraction system. Respond with ONLY valid JSON. No markdown, no backticks, no explanation.
-
-CRITICAL RULE for needs_clarification:
-- If the user message is vague and lacks ALL of: occasion, recipient, product type, and budget → set needs_clarification to true.
-- Examples of vague messages where needs_clarification MUST be true: "gift", "help", "hi", "I need something", "what do you have", "looking for a present"
-- Only set needs_clarification to false when the user provides at least ONE specific detail.`,
-            },
-            { role: "user", content: prompt },
-        ],
-        { temperature: 0, maxTokens: 512 }
-    );
+    const messages = [
+        { role: "system", content: prompts.render("intent_system") },
+        { role: "user", content: prompt },
+    ];
+
+    const result = await callLLM(messages, { step: "intent", temperature: 0, maxTokens: 512, signal });
+    let parsed = parseIntentJson(result);
+    let validation = validateIntent(parsed);
+    let firstAttemptErrors = null;
 
-    try {
-        // Try to parse JSON, handling potential markdown wrapping
-        let jsonStr = result.trim();
-        if (jsonStr.startsWith("```")) {
-            jsonStr = jsonStr.replace(/```json?\n?/g, "").replace(/```/g, "").trim();
+    if (!validation.valid) {
+        console.warn("[Intent Extraction] Invalid intent, retrying:", validation.errors);
+        firstAttemptErrors = validation.errors;
+
+        const retryResult = await callLLM(
+            [
+                ...messages,
+                { role: "assistant", content: result },
+                {
+                    role: "user",
+                    content: `Your JSON did not match the required schema:\n${validation.errors.map((e) => `- ${e}`).join("\n")}\n\nRespond again with ONLY the corrected JSON object.`,
+                },
+            ],
+            { step: "intent", temperature: 0, maxTokens: 512, signal }
+        );
+
+        const retryParsed = parseIntentJson(retryResult);
+        const retryValidation = validateIntent(retryParsed);
+        // Keep whichever attempt produced usable output, preferring the retry
+        if (retryParsed || !parsed) {
+            parsed = retryParsed;
+            validation = retryValidation;
         }
-        const parsed = JSON.parse(jsonStr);
-        console.log("[Intent Extraction] Input:", userMessage);
-        console.log("[Intent Extraction] Result:", JSON.stringify(parsed, null, 2));
-        return parsed;
-    } catch (e) {
+    }
+
+    const report = {
+        valid: validation.valid,
+        retried: firstAttemptErrors !== null,
+        firstAttemptErrors,
+        errors: validation.errors,
+        coercions: validation.coercions,
+        fallback: !parsed,
+    };
+
+    console.log("[Intent Extraction] Input:", userMessage);
+
+    if (!parsed) {
         console.error("Failed to parse intent JSON:", result);
         // Fallback intent
         return {
-            search_keywords: [userMessage.split(" ").slice(0, 3).join(" ")],
-            occasion: null,
-            budget_min: null,
-            budget_max: null,
-            recipient: null,
-            dietary_restrictions: [],
-            urgency: null,
-            product_type_preference: "any",
-            intent_type: "browse",
-            needs_clarification: false,
-            clarification_topic: null,
-            sentiment: "neutral",
+            intent: defaultIntent({
+                search_keywords: [userMessage.split(" ").slice(0, 3).join(" ")],
+            }),
+            validation: report,
         };
     }
+
+    console.log("[Intent Extraction] Result:", JSON.stringify(validation.intent, null, 2));
+    return { intent: validation.intent, validation: report };
 }
 
 /**
  * Step 2: Search products based on extracted intent
+ * With semantic search on, nearest neighbours of the customer's own words are merged in,
+ * so meaning that did not fit into three keywords still reaches the ranking
+ * @param {string} [userMessage] - The customer's message, when there is one
  */
-async function searchFromIntent(intent) {
-    let keywords = intent.search_keywords || [];
+async function searchFromIntent(intent, userMessage = "") {
+    let keywords = [...intent.search_keywords];
 
     // Add occasion as a keyword if not already present
-    if (intent.occasion && intent.occasion !== "null" && !keywords.includes(intent.occasion)) {
+    if (intent.occasion && !keywords.includes(intent.occasion)) {
         keywords.push(intent.occasion.replace("_", " "));
     }
 
@@ -133,46 +206,143 @@ async function searchFromIntent(intent) {
     keywords = keywords.slice(0, 3);
 
     const products = await multiSearch(keywords);
-    return products;
+
+    const semanticQuery = [userMessage, ...intent.search_keywords, intent.recipient].filter(Boolean).join(" ");
+    return withSemanticHits(semanticQuery, products, getCatalog());
 }
 
 /**
  * Step 3: Filter and rank products based on intent
+ * Constraints are relaxed in priority order (never dietary ones) if nothing would survive them.
+ * Group orders with a per-person budget are checked on cost per head instead of item price.
+ * @param {Object} [manualFilters] - Facets the customer set in the grid; set aside if nothing would survive them
+ * @returns {{ products: Array, relaxations: Array }} Ranked products and the constraints that had to be relaxed
  */
-function filterAndRank(products, intent) {
+function filterAndRank(products, intent, manualFilters = null) {
     // Apply filters
     const filters = {};
 
-    if (intent.budget_min) filters.minBudget = intent.budget_min;
-    if (intent.budget_max) filters.maxBudget = intent.budget_max;
+    const perPersonBudget = isBulkOrder(intent) ? intent.budget_per_person : null;
+    if (perPersonBudget == null) {
+        if (intent.budget_min) filters.minBudget = intent.budget_min;
+        if (intent.budget_max) filters.maxBudget = intent.budget_max;
+    }
 
-    if (intent.occasion && intent.occasion !== "null") {
+    if (intent.occasion) {
         filters.occasion = intent.occasion.replace("_", " ");
     }
-    if (intent.dietary_restrictions && intent.dietary_restrictions.length > 0) {
-        filters.excludeIngredients = intent.dietary_restrictions;
+    if (intent.dietary_restrictions.length > 0) {
+        filters.dietaryRestrictions = intent.dietary_restrictions;
     }
     if (intent.urgency === "one_hour" || intent.urgency === "same_day") {
         filters.urgentDelivery = true;
     }
 
-    let filtered = filterProducts(products, filters);
+    let { products: filtered, relaxations } = filterWithRelaxation(products, filters);
+
+    if (perPersonBudget != null) {
+        const affordable = filtered.filter((p) => quoteFor(p, intent.headcount).perPerson <= perPersonBudget);
+        if (affordable.length > 0) {
+            filtered = affordable;
+        } else if (filtered.length > 0) {
+            relaxations = [...relaxations, {
+                constraint: "budget_per_person",
+                from: perPersonBudget,
+                to: null,
+                description: `nothing came in under $${perPersonBudget} a head for ${intent.headcount} people, so the per-person budget was set aside`,
+            }];
+        }
+    }
 
-    // Sort by relevance score from API
-    filtered.sort((a, b) => (b["@search.score"] || 0) - (a["@search.score"] || 0));
+    if (hasActiveFacets(manualFilters)) {
+        const narrowed = applyFacets(filtered, manualFilters);
+        if (narrowed.length > 0) {
+            filtered = narrowed;
+        } else if (filtered.length > 0) {
+            relaxations = [...relaxations, {
+                constraint: "facets",
+                from: describeFacets(manualFilters),
+                to: null,
+                description: `nothing matched the grid filters (${describeFacets(manualFilters)}), so they were set aside`,
+            }];
+        }
+    }
 
-    return filtered;
+    // Hybrid re-rank: search score, keywords, product type, budget fit, urgency, sale, diversity
+    return { products: rankProducts(filtered, intent), relaxations };
+}
+
+/**
+ * Multi-recipient planning: split the budget, then search, filter and rank once per recipient
+ * @returns {Promise<{ plan: Object, products: Array, groups: Array }>} The plan, the deduplicated
+ *   display products it refers to, and per-group LLM-ready products for the prompt
+ */
+async function buildGiftPlan(intent, manualFilters = null) {
+    const recipients = splitBudget(intent.recipients, intent.total_budget);
+
+    const results = await Promise.all(
+        recipients.map(async (recipient) => {
+            const groupIntent = recipientIntent(intent, recipient);
+            const found = await searchFromIntent(groupIntent);
+            const { products: ranked, relaxations } = filterAndRank(found, groupIntent, manualFilters);
+            return { recipient, groupIntent, top: ranked.slice(0, PLAN_PRODUCTS_PER_GROUP), relaxations };
+        })
+    );
+
+    const groups = assignPicks(
+        results.map(({ recipient, groupIntent, top, relaxations }, i) => ({
+            id: `r${i}`,
+            name: recipient.name,
+            count: recipient.count,
+            budgetPerPerson: recipient.budgetPerPerson,
+            budgetSource: recipient.budgetSource,
+            occasion: groupIntent.occasion,
+            dietaryRestrictions: groupIntent.dietary_restrictions,
+            productIds: top.map((p) => String(p.id)),
+            relaxations,
+        }))
+    );
+
+    const products = [];
+    const seen = new Set();
+    for (const { top } of results) {
+        for (const product of toDisplayProducts(top)) {
+            if (seen.has(String(product.id))) continue;
+            seen.add(String(product.id));
+            products.push(product);
+        }
+    }
+
+    console.log("[Gift Plan]", groups.map((g) => `${describeGroup(g)}: ${g.productIds.length} products, $${g.budgetPerPerson ?? "any"} each`).join(" | "));
+
+    return {
+        plan: { totalBudget: intent.total_budget, groups },
+        products,
+        groups: groups.map((group, i) => ({
+            ...group,
+            label: describeGroup(group),
+            products: results[i].top.map(cleanProductForLLM),
+        })),
+    };
+}
+
+/**
+ * Format ranked products for display, keeping each one's ranking position for "sort by relevance"
+ */
+function toDisplayProducts(rankedProducts) {
+    return rankedProducts.map((p, rank) => ({ ...formatProductForDisplay(p), rank }));
 }
 
 /**
  * Reorder products to match the order they're mentioned in the AI response
  * @param {string} aiResponse - The AI's response text
- * @param {Array} displayProducts - Products already formatted for display (top 8)
+ * @param {Array} displayProducts - Products already formatted for display (first page)
  * @param {Array} allAvailableProducts - All products the AI had access to (top 10+)
+ * @param {number} limit - Page size; mentioned products are kept first, then the rest fill the page
  */
-function reorderProductsByMention(aiResponse, displayProducts, allAvailableProducts) {
+function reorderProductsByMention(aiResponse, displayProducts, allAvailableProducts, limit = DEFAULT_PAGE_SIZE) {
     // Extract product IDs in the order they appear in the response
-    const idPattern = /\[ID:(\d+)\]/g;
+    const idPattern = /\[ID:([\w-]+)\]/g;
     const mentionedIds = [];
     let match;
 
@@ -220,9 +390,9 @@ function reorderProductsByMention(aiResponse, displayProducts, allAvailableProdu
         }
     });
 
-    // Add remaining display products (up to 8 total)
+    // Add remaining display products (up to a full page)
     const remaining = Array.from(displayMap.values());
-    const slotsLeft = 8 - reordered.length;
+    const slotsLeft = limit - reordered.length;
     if (slotsLeft > 0) {
         reordered.push(...remaining.slice(0, slotsLeft));
     }
@@ -234,110 +404,328 @@ function reorderProductsByMention(aiResponse, displayProducts, allAvailableProdu
 
 /**
  * Main pipeline: Process a user message and return response + products
+ * Messages the guardrail refuses (see guardrails.js) get a scoped refusal with no intent,
+ * no products and the profile unchanged; every result carries the guardrail decision and the
+ * `prompts` it used ({ name, version } each, none for a refusal).
+ * @param {Function} [options.onEvent] - Receives (event, data) as each stage completes:
+ *   "intent" once extracted, "products" once ranked, then "token" for each response delta
+ * @param {Object} [options.profile] - The session's shopping profile so far; the new intent is merged into it
+ * @param {Object} [options.manualFilters] - Facet selection from the product grid
+ * @param {number} [options.limit] - Products per page; the rest of the ranked set is reachable via nextCursor
+ * @param {Object} [options.promptVersions] - The session's prompt versions (see promptRegistry.js)
+ * @param {AbortSignal} [options.signal] - Aborts the LLM calls (e.g. when the client disconnects)
  */
-export async function processMessage(userMessage, conversationHistory = []) {
-    // Step 1: Extract intent
-    const intent = await extractIntent(userMessage, conversationHistory);
+export async function processMessage(userMessage, conversationHistory = [], { onEvent, profile: previousProfile = null, manualFilters = null, limit, promptVersions, signal } = {}) {
+    const emit = (event, data) => onEvent?.(event, data);
+    const onToken = onEvent ? (text) => emit("token", { text }) : undefined;
+    const pageSize = normalizePageSize(limit);
+    const prompts = createPromptSet(promptVersions);
+
+    // Off-topic requests and injection attempts get a scoped refusal before any LLM call
+    const guardrail = checkInput(userMessage);
+    if (guardrail.verdict !== "on_topic") console.warn("[Guardrail]", guardrail.verdict, guardrail.action, guardrail.mode, guardrail.reasons);
+    if (guardrail.action === "refuse") {
+        const message = guardrailRefusal(guardrail);
+        onToken?.(message);
+        return {
+            message,
+            products: [],
+            nextCursor: null,
+            totalResults: 0,
+            relaxations: [],
+            reminder: null,
+            intent: null,
+            profile: previousProfile,
+            guardrail,
+            prompts: prompts.used,
+            debug: { guardrail },
+        };
+    }
+
+    // Step 1: Extract intent, then merge it into the running profile
+    const { intent: extractedIntent, validation } = await extractIntent(userMessage, conversationHistory, prompts, signal);
+    const profile = mergeProfile(previousProfile, extractedIntent);
+    const intent = applyProfile(extractedIntent, profile);
+    // A date the customer wants remembered; the client saves it to their gift calendar
+    const reminder = reminderFromIntent(intent);
+    const debug = { guardrail, intentValidation: validation };
+    emit("intent", { intent, profile, debug });
 
     //If the query is too vague, ask for clarification instead of searching
     if (intent.needs_clarification) {
-        const historyStr = conversationHistory
-            .slice(-12)
-            .map((m) => `${m.role === "user" ? "Customer" : "Concierge"}: ${m.content}`)
-            .join("\n");
+        const historyStr = formatConversationHistory(conversationHistory);
 
-        const clarificationPrompt = buildClarificationPrompt(
+        const clarificationPrompt = prompts.render("clarification", {
             userMessage,
             intent,
-            historyStr
-        );
+            conversationHistory: historyStr,
+        });
 
         const clarificationResponse = await callLLM(
             [
-                { role: "system", content: SYSTEM_PROMPT },
+                { role: "system", content: prompts.render("system") },
                 { role: "user", content: clarificationPrompt },
             ],
-            { temperature: 0.7, maxTokens: 256 }
+            { step: "clarification", temperature: 0.7, maxTokens: 256, onToken, signal }
         );
 
         return {
             message: clarificationResponse,
             products: [],
+            nextCursor: null,
+            totalResults: 0,
+            relaxations: [],
+            reminder,
             intent,
+            profile,
+            guardrail,
+            prompts: prompts.used,
+            debug,
+        };
+    }
+
+    // Several recipients: plan per recipient instead of one search
+    if (isGiftPlan(intent)) {
+        const { plan, products, groups } = await buildGiftPlan(intent, manualFilters);
+        emit("products", { products, relaxations: [], plan });
+
+        const restrictions = [...new Set(plan.groups.flatMap((g) => g.dietaryRestrictions))];
+        const planPrompt = prompts.render("gift_plan", {
+            userMessage,
+            groups,
+            totals: planTotals(plan, products),
+            conversationHistory: formatConversationHistory(conversationHistory),
+            allergyWarning: buildAllergyWarning(restrictions, groups.flatMap((g) => g.products)),
+        });
+
+        const { message, responseCheck } = await generateCheckedResponse(
+            [
+                { role: "system", content: prompts.render("system") },
+                { role: "user", content: planPrompt },
+            ],
+            groups.flatMap((g) => g.products),
+            { step: "response", temperature: 0.7, maxTokens: 1024, onToken, signal }
+        );
+        debug.responseCheck = responseCheck;
+
+        return {
+            message,
+            products,
+            nextCursor: null,
+            totalResults: products.length,
+            relaxations: [],
+            plan,
+            reminder,
+            intent,
+            profile,
+            guardrail,
+            prompts: prompts.used,
+            debug,
         };
     }
 
     // Step 2: Search products
-    const allProducts = await searchFromIntent(intent);
+    const allProducts = await searchFromIntent(intent, userMessage);
 
     // Step 3: Filter and rank
-    const rankedProducts = filterAndRank(allProducts, intent);
+    const { products: rankedProducts, relaxations } = filterAndRank(allProducts, intent, manualFilters);
 
-    // Prepare top products for LLM
-    const topProducts = rankedProducts.slice(0, 10);
-    const productsForLLM = topProducts.map(cleanProductForLLM);
+    // Prepare top products for LLM; group orders carry each option's quote for the headcount
+    const topProducts = rankedProducts.slice(0, LLM_PRODUCT_LIMIT);
+    const productsForLLM = topProducts.map((p) => (isBulkOrder(intent)
+        ? { ...cleanProductForLLM(p), quote: quoteFor(p, intent.headcount) }
+        : cleanProductForLLM(p)));
 
-    // Prepare display products
-    const displayProducts = rankedProducts.slice(0, 8).map(formatProductForDisplay);
+    // Format the whole ranked set once; the first page is displayed, the rest is paged via cursor
+    const allDisplayProducts = toDisplayProducts(rankedProducts);
+    const displayProducts = allDisplayProducts.slice(0, pageSize);
 
     // Keep all available products formatted for potential display
-    const allAvailableProducts = topProducts.map(formatProductForDisplay);
+    const allAvailableProducts = allDisplayProducts.slice(0, LLM_PRODUCT_LIMIT);
+    emit("products", { products: displayProducts, relaxations });
 
     // Step 4: Build conversation history for response generation
-    const historyStr = conversationHistory
-        .slice(-12)
-        .map((m) => `${m.role === "user" ? "Customer" : "Concierge"}: ${m.content}`)
-        .join("\n");
+    const historyStr = formatConversationHistory(conversationHistory);
 
-    const responsePrompt = buildResponsePrompt(
+    const responsePrompt = prompts.render("response", {
         userMessage,
-        productsForLLM,
+        products: productsForLLM,
         intent,
-        historyStr
-    );
+        conversationHistory: historyStr,
+        manualFilters: describeFacets(manualFilters),
+        relaxedConstraints: describeRelaxations(relaxations),
+        savedReminder: reminder ? `${titleForOccasion(reminder)} on ${formatOccasionDate(reminder.date)}${reminder.date.length === 5 ? " (every year)" : ""}` : "",
+    });
 
     // Generate response
-    const aiResponse = await callLLM(
+    const { message: aiResponse, responseCheck } = await generateCheckedResponse(
         [
-            { role: "system", content: SYSTEM_PROMPT },
+            { role: "system", content: prompts.render("system") },
             { role: "user", content: responsePrompt },
         ],
-        { temperature: 0.7, maxTokens: 1024 }
+        productsForLLM,
+        { step: "response", temperature: 0.7, maxTokens: 1024, onToken, signal }
     );
+    debug.responseCheck = responseCheck;
 
     // Reorder products to match the order they're mentioned in the AI response
     // Pass both display products and all available products so mentioned items can be included
-    const reorderedProducts = reorderProductsByMention(aiResponse, displayProducts, allAvailableProducts);
+    const reorderedProducts = reorderProductsByMention(aiResponse, displayProducts, allAvailableProducts, pageSize);
+    const resultSet = storeResultSet(allDisplayProducts, reorderedProducts);
 
     return {
         message: aiResponse,
         products: reorderedProducts,
+        nextCursor: resultSet.cursor,
+        totalResults: resultSet.total,
+        relaxations,
+        reminder,
+        intent,
+        profile,
+        guardrail,
+        prompts: prompts.used,
+        debug,
+    };
+}
+
+
+/**
+ * Re-run search and filtering for an edited profile, without any LLM calls
+ * Used when the customer edits the constraint chips in the UI
+ * @param {Object|null} lastIntent - The session's last cleaned intent (keywords and product type)
+ * @param {Object} profile - The edited profile
+ * @param {Object} [manualFilters] - Facet selection from the product grid
+ * @param {number} [limit] - Products per page
+ */
+export async function refineProducts(lastIntent, profile, manualFilters = null, limit) {
+    const intent = applyProfile(lastIntent || defaultIntent(), profile);
+
+    const allProducts = await searchFromIntent(intent);
+    const { products: rankedProducts, relaxations } = filterAndRank(allProducts, intent, manualFilters);
+
+    const allDisplayProducts = toDisplayProducts(rankedProducts);
+    const products = allDisplayProducts.slice(0, normalizePageSize(limit));
+    const resultSet = storeResultSet(allDisplayProducts, products);
+
+    return {
+        products,
+        nextCursor: resultSet.cursor,
+        totalResults: resultSet.total,
+        relaxations,
         intent,
+        profile,
     };
 }
 
+/**
+ * Precompute gift ideas for a saved occasion with the regular search, filter and rank steps
+ * (no LLM call), using the budget and dietary needs saved with it
+ * @param {Object} occasion - Sanitized gift calendar occasion
+ * @returns {Promise<Array>} Display products
+ */
+export async function recommendForOccasion(occasion) {
+    const intent = defaultIntent({
+        search_keywords: [occasion.occasion?.replace(/_/g, " "), occasion.recipient].filter(Boolean),
+    });
+    const { products } = await refineProducts(intent, {
+        occasion: occasion.occasion,
+        recipient: occasion.recipient,
+        budget_min: null,
+        budget_max: occasion.budget_max,
+        dietary_restrictions: occasion.dietary_restrictions,
+        urgency: null,
+        headcount: null,
+        budget_per_person: null,
+    }, null, RECOMMENDATIONS_PER_OCCASION);
+    return products;
+}
 
 /**
  * Compare specific products
+ * The products are looked up in the catalog by id, so the comparison never rests on
+ * client-supplied names, prices or ingredients.
+ * @param {Array} productIds - IDs of the products to compare
+ * @param {string} userContext - Conversation transcript so the comparison can speak to the customer's needs
+ * @param {Object} [options.profile] - Session profile; its dietary restrictions are checked against each product
+ * @param {Function} [options.onToken] - Streams the comparison text as it is generated
+ * @param {Object} [options.promptVersions] - The session's prompt versions
+ * @param {AbortSignal} [options.signal] - Aborts the LLM call
+ * @returns {Promise<{ message: string, products: Array, responseCheck?: Object, prompts?: Array }>} The compared catalog products
  */
-export async function compareProducts(productIds, allProducts, userContext = "") {
-    const productsToCompare = allProducts
-        .filter((p) => productIds.includes(p.id))
-        .map(cleanProductForLLM);
+export async function compareProducts(productIds, userContext = "", { profile = null, onToken, promptVersions, signal } = {}) {
+    const ids = [...new Set(productIds.map(String))];
+    const { products, missing } = await getProductsByIds(ids);
+    if (missing.length > 0) console.warn("[Compare] Not in the catalog:", missing);
+
+    const productsToCompare = products.map((p) =>
+        cleanProductForLLM({ ...p, allergens: assessAllergens(p, profile?.dietary_restrictions) })
+    );
 
     if (productsToCompare.length < 2) {
-        return { message: "Please select at least 2 products to compare." };
+        return { message: "Please select at least 2 products to compare.", products: productsToCompare };
     }
 
-    const prompt = buildComparisonPrompt(productsToCompare, userContext);
+    const prompts = createPromptSet(promptVersions);
+    const prompt = prompts.render("comparison", { products: productsToCompare, userContext });
+
+    const { message, responseCheck } = await generateCheckedResponse(
+        [
+            { role: "system", content: prompts.render("system") },
+            { role: "user", content: prompt },
+        ],
+        productsToCompare,
+        { step: "comparison", temperature: 0.5, maxTokens: 1024, onToken, signal }
+    );
+
+    return { message, products: productsToCompare, responseCheck, prompts: prompts.used };
+}
+
+/**
+ * Answer a question about one product, grounded only in that product's data
+ * No intent extraction or search — the grid the customer is looking at stays as it is.
+ * @param {string} productId - Product the question is about
+ * @param {string} question - The customer's question
+ * @param {Array} conversationHistory - Prior messages, for follow-up questions
+ * @param {Object} [options.profile] - Session profile; its dietary restrictions are checked against the product
+ * @param {Function} [options.onToken] - Streams the answer as it is generated
+ * @param {Object} [options.promptVersions] - The session's prompt versions
+ * @param {AbortSignal} [options.signal] - Aborts the LLM call
+ * @returns {Promise<{ message: string, product: Object, guardrail: Object, responseCheck: Object, prompts: Array }|null>} Null when the product is not in the catalog
+ */
+export async function answerProductQuestion(productId, question, conversationHistory = [], { profile = null, onToken, promptVersions, signal } = {}) {
+    const details = await getProductDetails(productId);
+    if (!details) return null;
+
+    // Questions about a product need no shopping words, so only injection attempts are refused
+    const guardrail = checkInput(question, { checkTopic: false });
+    if (guardrail.verdict !== "on_topic") console.warn("[Guardrail]", guardrail.verdict, guardrail.action, guardrail.mode, guardrail.reasons);
+    if (guardrail.action === "refuse") {
+        const message = guardrailRefusal(guardrail);
+        onToken?.(message);
+        return { message, product: details.product, guardrail, prompts: [] };
+    }
+
+    const product = {
+        ...details.product,
+        allergens: assessAllergens(details.product, profile?.dietary_restrictions),
+    };
+    const prompts = createPromptSet(promptVersions);
+    const prompt = prompts.render("product_qa", {
+        product: cleanProductForLLM(product),
+        sizes: details.sizes,
+        question,
+        conversationHistory: formatConversationHistory(conversationHistory),
+    });
 
-    const response = await callLLM(
+    const { message, responseCheck } = await generateCheckedResponse(
         [
-            { role: "system", content: SYSTEM_PROMPT },
+            { role: "system", content: prompts.render("system") },
             { role: "user", content: prompt },
         ],
-        { temperature: 0.5, maxTokens: 1024 }
+        // Answers about sizes quote those sizes' prices, not only the starting price
+        [{ ...product, sizePrices: details.sizes.map((size) => size.price) }],
+        { step: "product_qa", temperature: 0.3, maxTokens: 512, onToken, signal }
     );
 
-    return { message: response };
+    return { message, product, guardrail, responseCheck, prompts: prompts.used };
 }
@@ -0,0 +1,303 @@
+/**
+ * Allergens — Safety checks for the customer's dietary restrictions
+ *
+ * A restriction ("tree nut", "dairy", "gluten-free", "vegan") resolves to one or more allergens
+ * from the taxonomy below, each with the ingredient words that indicate it. A product is checked
+ * against both its ingredient list and its allergy-information text, and gets one status per
+ * restriction:
+ * - "unsafe": an ingredient or a "contains" statement names the allergen (a negation elsewhere in
+ *   the same sentence, as in "contains no peanuts but contains milk", does not cancel it)
+ * - "unknown": only a "may contain"/shared-facility statement or an ambiguous word (e.g. "nuts"
+ *   for a peanut allergy) mentions it, the product has no ingredient data at all, or the
+ *   restriction is outside the taxonomy and its word doesn't appear
+ * - "safe": ingredient data is present and nothing mentions the allergen
+ * Pure functions — safe to import from client components and server code alike.
+ */
+
+/**
+ * Major allergens. `terms` mark the allergen as present, `ambiguous` words only make it
+ * unknown, and `except` lists phrases that contain a term but are not the allergen.
+ */
+export const ALLERGENS = {
+    milk: {
+        label: "milk",
+        aliases: ["milk", "dairy", "lactose", "casein", "whey"],
+        terms: ["milk", "cream", "butter", "buttermilk", "cheese", "cheesecake", "whey", "casein", "caseinate", "lactose", "yogurt", "yoghurt", "ghee", "curd", "custard", "ganache", "nougat", "toffee", "caramel", "fudge", "white chocolate", "milk chocolate", "milk solids", "nonfat dry milk"],
+        ambiguous: ["chocolate"],
+        except: ["coconut milk", "almond milk", "oat milk", "soy milk", "rice milk", "cocoa butter", "peanut butter", "nut butter", "almond butter", "apple butter", "shea butter", "cream of tartar", "dairy free", "dairy-free", "milk free", "milk-free"],
+    },
+    egg: {
+        label: "egg",
+        aliases: ["egg", "eggs"],
+        terms: ["egg", "egg white", "egg yolk", "albumin", "meringue", "mayonnaise", "eggnog"],
+        ambiguous: [],
+        except: ["eggplant", "egg free", "egg-free"],
+    },
+    peanut: {
+        label: "peanuts",
+        aliases: ["peanut", "peanuts", "groundnut"],
+        terms: ["peanut", "peanut butter", "groundnut", "arachis"],
+        ambiguous: ["nut", "mixed nut"],
+        except: ["peanut free", "peanut-free"],
+    },
+    tree_nut: {
+        label: "tree nuts",
+        aliases: ["tree nut", "tree nuts", "nut", "nuts", "treenut"],
+        terms: ["tree nut", "almond", "cashew", "pecan", "walnut", "hazelnut", "filbert", "pistachio", "macadamia", "brazil nut", "pine nut", "chestnut", "praline", "marzipan", "frangipane", "gianduja", "nutella", "mixed nut", "nut", "amaretto"],
+        ambiguous: [],
+        except: ["nutmeg", "coconut", "butternut", "doughnut", "donut", "peanut", "nut free", "nut-free", "tree nut free", "tree nut-free"],
+    },
+    wheat: {
+        label: "wheat/gluten",
+        aliases: ["wheat", "gluten", "celiac", "coeliac"],
+        terms: ["wheat", "flour", "gluten", "barley", "rye", "spelt", "semolina", "farro", "malt", "cookie", "biscuit", "brownie", "cake", "cupcake", "pretzel", "graham", "wafer", "cracker", "bread", "crust", "pastry"],
+        ambiguous: ["oat"],
+        except: ["buckwheat", "gluten free", "gluten-free", "wheat free", "wheat-free", "rice flour", "almond flour", "coconut flour", "flourless"],
+    },
+    soy: {
+        label: "soy",
+        aliases: ["soy", "soya", "soybean"],
+        terms: ["soy", "soya", "soybean", "soy lecithin", "tofu", "edamame", "miso"],
+        ambiguous: ["lecithin"],
+        except: ["sunflower lecithin", "soy free", "soy-free"],
+    },
+    sesame: {
+        label: "sesame",
+        aliases: ["sesame"],
+        terms: ["sesame", "tahini", "halva", "halvah"],
+        ambiguous: [],
+        except: ["sesame free", "sesame-free"],
+    },
+    fish: {
+        label: "fish",
+        aliases: ["fish"],
+        terms: ["fish", "anchovy", "salmon", "tuna", "cod"],
+        ambiguous: [],
+        except: ["swedish fish", "fish free"],
+    },
+    shellfish: {
+        label: "shellfish",
+        aliases: ["shellfish", "crustacean", "seafood"],
+        terms: ["shellfish", "shrimp", "prawn", "crab", "lobster", "crayfish", "scallop", "oyster", "clam", "mussel"],
+        ambiguous: [],
+        except: ["shellfish free"],
+    },
+};
+
+// Diets that rule out several allergens, plus any extra ingredient words of their own
+const DIETS = {
+    nut: { allergens: ["peanut", "tree_nut"], terms: [] },
+    nuts: { allergens: ["peanut", "tree_nut"], terms: [] },
+    vegan: { allergens: ["milk", "egg", "fish", "shellfish"], terms: ["honey", "gelatin", "beeswax", "carmine"] },
+    "plant based": { allergens: ["milk", "egg", "fish", "shellfish"], terms: ["honey", "gelatin"] },
+    "lactose intolerant": { allergens: ["milk"], terms: [] },
+};
+
+// Allergy-info clauses that describe cross-contact rather than an ingredient
+const MAY_CONTAIN_PATTERN = /\b(may contain|may include|traces? of|facility|facilities|shared equipment|same equipment|processed (?:on|in|with)|manufactured (?:on|in|with)|cross[- ]contact|cannot guarantee)\b/;
+// Words that negate the allergen mentions after them ("contains no peanuts or tree nuts")...
+const NEGATION_PATTERN = /\b(free of|free from|does not contain|do not contain|contains no|made without|without|no)\b/g;
+// ...until one of these starts a new statement ("... but contains milk")
+const SCOPE_END_PATTERN = /\b(but|however|although|includes?|made with)\b|\bcontains?\b(?!\s+no\b)/g;
+
+/**
+ * Lowercase, strip punctuation noise and collapse whitespace
+ */
+function normalizeText(text) {
+    return ` ${String(text || "").toLowerCase().replace(/[^a-z0-9\s-]/g, " ").replace(/\s+/g, " ").trim()} `;
+}
+
+/**
+ * Whole-word (or phrase) pattern for a term, tolerating plurals ("almonds", "peanuts", "berries")
+ */
+function termPattern(term, flags = "") {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "[\\s-]+");
+    return new RegExp(`\\b${escaped}(?:s|es)?\\b`, flags);
+}
+
+function mentions(text, term) {
+    return termPattern(term).test(text);
+}
+
+/**
+ * Whether an allergy-info statement names a term as present, not only as absent
+ * A mention counts as absent when a negation precedes it with no new statement in between,
+ * or when it is followed by "free" ("nut-free"); one present mention is enough.
+ */
+function statesPresent(text, term) {
+    const lastEnd = (pattern, before) =>
+        [...text.slice(0, before).matchAll(pattern)].reduce((end, m) => m.index + m[0].length, -1);
+
+    for (const match of text.matchAll(termPattern(term, "g"))) {
+        if (/^[\s-]+free\b/.test(text.slice(match.index + match[0].length))) continue;
+        const negatedAt = lastEnd(NEGATION_PATTERN, match.index);
+        if (negatedAt === -1 || lastEnd(SCOPE_END_PATTERN, match.index) > negatedAt) return true;
+    }
+    return false;
+}
+
+/**
+ * Remove phrases that contain an allergen word but are not that allergen ("coconut milk", "nutmeg")
+ */
+function stripExceptions(text, except) {
+    let result = text;
+    for (const phrase of except) {
+        result = result.replace(termPattern(phrase, "g"), " ");
+    }
+    return result;
+}
+
+/**
+ * Resolve a free-text restriction into the allergens and ingredient words it rules out
+ * "dairy-free" → milk, "allergic to almonds" → tree_nut, "vegan" → milk, egg, ...;
+ * anything outside the taxonomy ("strawberry") is matched literally
+ * @returns {{ restriction: string, allergens: string[], terms: string[] }}
+ */
+export function resolveRestriction(restriction) {
+    const key = String(restriction || "")
+        .toLowerCase()
+        .replace(/\b(allerg(y|ies|ic)( to)?|intoleran(t|ce)( to)?|sensitivity|no|free|without|avoid)\b/g, " ")
+        .replace(/[^a-z\s]/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+
+    const diet = DIETS[key] || DIETS[String(restriction || "").toLowerCase().trim()];
+    if (diet) return { restriction, allergens: diet.allergens, terms: diet.terms };
+
+    for (const [id, allergen] of Object.entries(ALLERGENS)) {
+        if (allergen.aliases.some((alias) => key === alias || key === `${alias}s`)) {
+            return { restriction, allergens: [id], terms: [] };
+        }
+    }
+    // A specific ingredient that belongs to an allergen group ("almond" → tree_nut)
+    for (const [id, allergen] of Object.entries(ALLERGENS)) {
+        if (key && allergen.terms.some((term) => mentions(` ${key} `, term) && !allergen.except.some((e) => mentions(` ${key} `, e)))) {
+            return { restriction, allergens: [id], terms: [key] };
+        }
+    }
+
+    return { restriction, allergens: [], terms: key ? [key] : [] };
+}
+
+/**
+ * Split allergy-info text into clauses tagged "may_contain" (cross-contact) or "statement"
+ * Statements can mix present and absent allergens; see statesPresent.
+ */
+function parseAllergyInfo(allergyInfo) {
+    return String(allergyInfo || "")
+        .split(/[.;\n]+/)
+        .map((clause) => normalizeText(clause))
+        .filter((clause) => clause.trim())
+        .map((clause) => {
+            if (MAY_CONTAIN_PATTERN.test(clause)) return { kind: "may_contain", text: clause };
+            return { kind: "statement", text: clause };
+        });
+}
+
+/**
+ * Check one allergen against a product's ingredient text and allergy-info clauses
+ * @returns {{ status: "safe"|"unsafe"|"unknown", evidence: string|null }}
+ */
+function checkAllergen(id, ingredients, clauses, hasIngredientData) {
+    const allergen = ALLERGENS[id];
+    const cleanIngredients = stripExceptions(ingredients, allergen.except);
+
+    const ingredientHit = allergen.terms.find((term) => mentions(cleanIngredients, term));
+    if (ingredientHit) return { status: "unsafe", evidence: `ingredients list ${ingredientHit}` };
+
+    // Any "contains" statement wins over cross-contact warnings
+    const allergenTerms = [...allergen.aliases, ...allergen.terms];
+    const cleanClauses = clauses.map((clause) => ({ ...clause, text: stripExceptions(clause.text, allergen.except) }));
+    for (const clause of cleanClauses.filter((c) => c.kind === "statement")) {
+        const hit = allergenTerms.find((term) => statesPresent(clause.text, term));
+        if (hit) return { status: "unsafe", evidence: `allergy info: contains ${hit}` };
+    }
+    for (const clause of cleanClauses.filter((c) => c.kind === "may_contain")) {
+        const hit = allergenTerms.find((term) => mentions(clause.text, term));
+        if (hit) return { status: "unknown", evidence: `allergy info: may contain ${hit}` };
+    }
+
+    const ambiguousHit = allergen.ambiguous.find((term) => mentions(cleanIngredients, term));
+    if (ambiguousHit) return { status: "unknown", evidence: `ingredients list ${ambiguousHit}` };
+
+    if (!hasIngredientData) return { status: "unknown", evidence: "no ingredient information" };
+    return { status: "safe", evidence: null };
+}
+
+const STATUS_ORDER = { safe: 0, unknown: 1, unsafe: 2 };
+
+/**
+ * Check a product against every restriction
+ * @param {Object} product - Canonical or display product (uses ingredients and allergyInfo)
+ * @param {string[]} restrictions - The customer's dietary restrictions
+ * @returns {{ status: "safe"|"unsafe"|"unknown", restrictions: Array<{ restriction: string, status: string, evidence: string|null }> }|null}
+ *   Null when there are no restrictions to check
+ */
+export function assessAllergens(product, restrictions = []) {
+    if (!restrictions || restrictions.length === 0) return null;
+
+    const ingredients = normalizeText(product.ingredients);
+    const clauses = parseAllergyInfo(product.allergyInfo);
+    const hasIngredientData = ingredients.trim().length > 0;
+
+    const results = restrictions.map((restriction) => {
+        const { allergens, terms } = resolveRestriction(restriction);
+        const checks = allergens.map((id) => checkAllergen(id, ingredients, clauses, hasIngredientData));
+
+        // Literal words (unlisted ingredients, diet extras) are checked against everything we know
+        const literalHit = terms.find((term) => mentions(ingredients, term)
+            || clauses.some((c) => c.kind === "statement" && statesPresent(c.text, term)));
+        if (literalHit) checks.push({ status: "unsafe", evidence: `lists ${literalHit}` });
+        else if (allergens.length === 0) {
+            // Outside the taxonomy ("kosher", "halal", "sugar free") a missing word proves nothing
+            checks.push({ status: "unknown", evidence: hasIngredientData ? `${restriction} not verified` : "no ingredient information" });
+        }
+
+        const worst = checks.reduce(
+            (acc, check) => (STATUS_ORDER[check.status] > STATUS_ORDER[acc.status] ? check : acc),
+            { status: "safe", evidence: null }
+        );
+        return { restriction, ...worst };
+    });
+
+    const status = results.reduce(
+        (acc, r) => (STATUS_ORDER[r.status] > STATUS_ORDER[acc] ? r.status : acc),
+        "safe"
+    );
+
+    return { status, restrictions: results };
+}
+
+/**
+ * Short human-readable summary of an assessment, for badges and tooltips
+ */
+export function describeAllergenCheck(check) {
+    if (!check) return "";
+    return check.restrictions
+        .map((r) => `${r.restriction}: ${r.status}${r.evidence ? ` (${r.evidence})` : ""}`)
+        .join("; ");
+}
+
+/**
+ * The allergy warning the assistant must include, built from what was actually checked
+ * @param {string[]} restrictions - The customer's dietary restrictions
+ * @param {Array} products - Products shown to the customer, each with an `allergens` assessment
+ * @returns {string} Empty when there are no restrictions
+ */
+export function buildAllergyWarning(restrictions, products = []) {
+    if (!restrictions || restrictions.length === 0) return "";
+
+    const unverified = products.filter((p) => p.allergens?.status === "unknown");
+    const labels = [...new Set(restrictions.flatMap((r) => {
+        const { allergens, terms } = resolveRestriction(r);
+        return [...allergens.map((id) => ALLERGENS[id].label), ...terms];
+    }))];
+
+    let warning = `Allergy Warning: I've left out products whose ingredients or allergy information list ${labels.join(", ")}.`;
+    if (unverified.length > 0) {
+        warning += ` ${unverified.length === 1 ? "One product" : `${unverified.length} products`} shown could not be fully verified (${unverified.map((p) => p.name).join(", ")}).`;
+    }
+    warning += " Products may be made in facilities that handle egg, wheat, soy, milk, peanuts, and tree nuts — please check the full ingredient list and take the necessary precautions.";
+
+    return warning;
+}
@@ -0,0 +1,178 @@
+/**
+ * Bulk Order — Quantity-aware pricing for office parties and other group orders
+ *
+ * When the profile has a headcount ("lunch for 40 people", "treats for the team of 12"),
+ * every option is quoted for the whole group: how many servings one item feeds (read from
+ * "serves 10–12" in its text, estimated for platters that don't say), how many to order,
+ * and quantity × starting price. A per-person budget (or a total split by headcount) is
+ * checked against the cost per head rather than the item price, and large groups favour
+ * platters and other multi-serving items in ranking.
+ *
+ * The order the customer builds in the grid is a list of { id, name, unitPrice, url, quantity }
+ * lines, independent of the products currently on screen so it survives new searches.
+ * Pure functions — safe to import from client components and server code alike.
+ */
+
+import { isGiftPlan } from "./giftPlan.js";
+
+// Smallest group that gets quantities and order totals
+export const BULK_MIN_HEADCOUNT = 2;
+// From this size on, multi-serving items are favoured in ranking
+export const LARGE_GROUP_HEADCOUNT = 10;
+export const MAX_ORDER_QUANTITY = 999;
+
+// Servings assumed for a platter, tray or board whose text doesn't say
+const DEFAULT_PLATTER_SERVINGS = 8;
+const MULTI_SERVING_TERMS = /\b(platters?|trays?|boards?|party|sharing|assortment)\b/i;
+const SERVES_PATTERN = /\b(?:serves|feeds|servings?:?)\s*(?:up to\s*)?(\d+)(?:\s*(?:-|–|to)\s*(\d+))?/i;
+
+const round = (value) => Math.round(value * 100) / 100;
+const money = (value) => `$${value.toFixed(2)}`;
+
+/**
+ * Whether an intent or profile describes a group order (and not a multi-recipient gift plan)
+ */
+export function isBulkOrder(intent) {
+    return intent?.headcount != null && intent.headcount >= BULK_MIN_HEADCOUNT && !isGiftPlan(intent);
+}
+
+/**
+ * How many people one item feeds
+ * Stated servings use the lower end of a range, so the quantity never comes up short
+ * @returns {{ count: number, source: "stated" | "estimated" | "single" }}
+ */
+export function estimateServings(product) {
+    const text = [product.name, product.productTag, product.description].filter(Boolean).join(" ");
+    const match = text.match(SERVES_PATTERN);
+    if (match && Number(match[1]) > 0) return { count: Number(match[1]), source: "stated" };
+
+    if (MULTI_SERVING_TERMS.test(`${product.category || ""} ${product.name || ""}`)) {
+        return { count: DEFAULT_PLATTER_SERVINGS, source: "estimated" };
+    }
+    return { count: 1, source: "single" };
+}
+
+/**
+ * Quote one product for the whole group: enough items to feed everyone at the starting price
+ * @returns {{ quantity, servings, servingsSource, unitPrice, total, perPerson }}
+ */
+export function quoteFor(product, headcount) {
+    const servings = estimateServings(product);
+    const quantity = Math.min(MAX_ORDER_QUANTITY, Math.ceil(headcount / servings.count));
+    const unitPrice = product.minPrice || 0;
+    const total = round(quantity * unitPrice);
+
+    return {
+        quantity,
+        servings: servings.count,
+        servingsSource: servings.source,
+        unitPrice,
+        total,
+        perPerson: round(total / headcount),
+    };
+}
+
+/**
+ * One-line quote for prompts, e.g. "Order for 40 people: 4 × $59.99 = $239.96 ($6.00 per person; serves 10 each)"
+ */
+export function describeQuote(quote, headcount) {
+    const servings = quote.servingsSource === "single"
+        ? "one per person"
+        : `serves ${quote.servings} each${quote.servingsSource === "estimated" ? " (estimated)" : ""}`;
+    return `Order for ${headcount} people: ${quote.quantity} × ${money(quote.unitPrice)} = ${money(quote.total)} (${money(quote.perPerson)} per person; ${servings})`;
+}
+
+/**
+ * The group budget: per person, and for the whole order
+ */
+export function orderBudget(profile) {
+    if (profile?.budget_per_person == null || !profile.headcount) return { perPerson: null, total: null };
+    return { perPerson: profile.budget_per_person, total: round(profile.budget_per_person * profile.headcount) };
+}
+
+/**
+ * Set a product's quantity in the order; zero removes the line
+ * @param {Array} items - Current order lines
+ * @param {Object} product - Display product (or an existing line)
+ * @param {number} quantity
+ * @returns {Array} New order lines
+ */
+export function setOrderQuantity(items, product, quantity) {
+    const id = String(product.id);
+    const clamped = Math.min(MAX_ORDER_QUANTITY, Math.max(0, Math.round(quantity) || 0));
+    if (clamped === 0) return items.filter((item) => item.id !== id);
+
+    const existing = items.find((item) => item.id === id);
+    if (existing) return items.map((item) => (item.id === id ? { ...item, quantity: clamped } : item));
+
+    return [...items, {
+        id,
+        name: product.name,
+        unitPrice: product.unitPrice ?? product.minPrice ?? 0,
+        url: product.url || "",
+        quantity: clamped,
+    }];
+}
+
+/**
+ * Keep only well-formed order lines (from localStorage or a saved conversation)
+ */
+export function sanitizeOrderItems(raw) {
+    if (!Array.isArray(raw)) return [];
+    return raw
+        .filter((item) => item && item.id != null && typeof item.name === "string" && Number.isFinite(item.unitPrice))
+        .reduce((items, item) => setOrderQuantity(items, item, item.quantity), []);
+}
+
+/**
+ * Order total, and how it compares with the group budget
+ * @returns {{ total: number, itemCount: number, perPerson: number|null, budget: number|null, remaining: number|null }}
+ */
+export function orderTotals(items, profile) {
+    const total = round(items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0));
+    const budget = orderBudget(profile).total;
+
+    return {
+        total,
+        itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+        perPerson: profile?.headcount ? round(total / profile.headcount) : null,
+        budget,
+        remaining: budget != null ? round(budget - total) : null,
+    };
+}
+
+/**
+ * Plain-text quote summary for the customer to download or forward
+ * @param {Array} items - Order lines
+ * @param {Object|null} profile - Shopping profile (headcount, budget, occasion)
+ * @param {Date} [date]
+ */
+export function formatQuote(items, profile, date = new Date()) {
+    const totals = orderTotals(items, profile);
+    const nameWidth = Math.max(4, ...items.map((item) => item.name.length));
+
+    const lines = [
+        "Order Quote",
+        `Date: ${date.toLocaleDateString([], { year: "numeric", month: "long", day: "numeric" })}`,
+    ];
+    if (profile?.occasion) lines.push(`Occasion: ${profile.occasion.replace(/_/g, " ")}`);
+    if (profile?.headcount) lines.push(`Headcount: ${profile.headcount} people`);
+    if (totals.budget != null) lines.push(`Budget: ${money(profile.budget_per_person)} per person (${money(totals.budget)} total)`);
+
+    lines.push("", `${"Item".padEnd(nameWidth)}   Qty   Unit price       Total`);
+    for (const item of items) {
+        lines.push(
+            `${item.name.padEnd(nameWidth)}   ${String(item.quantity).padStart(3)}   ${money(item.unitPrice).padStart(10)}   ${money(item.unitPrice * item.quantity).padStart(9)}`
+        );
+        if (item.url) lines.push(`  ${item.url}`);
+    }
+
+    lines.push("", `Order total: ${money(totals.total)} for ${totals.itemCount} item(s)`);
+    if (totals.perPerson != null) lines.push(`Per person: ${money(totals.perPerson)}`);
+    if (totals.remaining != null) {
+        lines.push(totals.remaining >= 0 ? `Under budget by ${money(totals.remaining)}` : `Over budget by ${money(-totals.remaining)}`);
+    }
+    lines.push("", "Prices are starting prices before delivery, tax and any size upgrades.");
+
+    return lines.join("\n");
+}
@@ -0,0 +1,318 @@
+/**
+ * Catalog Layer — Adapter selection plus catalog-agnostic search, filtering and formatting
+ *
+ * CATALOG_ADAPTER picks the product source:
+ * - "edible" (default): the Edible Arrangements search API (edibleApi.js)
+ * - "local": a JSON or CSV file at LOCAL_CATALOG_PATH served from an in-memory keyword index (localCatalog.js)
+ *
+ * Adapters normalize their records into the canonical product below, so everything
+ * downstream (filtering, ranking, prompts, UI) is independent of the source's field names.
+ */
+
+import { edibleCatalog } from "./edibleApi.js";
+import { createLocalCatalog } from "./localCatalog.js";
+import { assessAllergens } from "./allergens.js";
+
+/**
+ * @typedef {Object} CatalogProduct
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description - Plain text, HTML stripped
+ * @property {string} image
+ * @property {string} thumbnail
+ * @property {number|null} minPrice
+ * @property {number|null} maxPrice
+ * @property {string} url - Absolute product page URL
+ * @property {string} occasion - Comma-separated occasions
+ * @property {string} category
+ * @property {string} ingredients
+ * @property {string} allergyInfo
+ * @property {number} sizeCount
+ * @property {boolean} isOneHourDelivery
+ * @property {string} productTag
+ * @property {string} promo
+ * @property {boolean} onSale
+ * @property {number|null} originalPrice
+ * @property {string} catalogCode
+ * @property {ProductSize[]|null} [sizes] - Per-size pricing, when the source provides it
+ * @property {number} score - Search relevance reported by the adapter
+ * @property {Object} [allergens] - Allergen check against the customer's restrictions (see allergens.js), set by filterProducts
+ * @property {Object} [ranking] - Ranking explanation (see ranking.js), set when the pipeline ranks results
+ */
+
+/**
+ * @typedef {Object} ProductSize
+ * @property {string} name
+ * @property {number|null} price
+ * @property {number|null} originalPrice - Pre-sale price when this size is on sale
+ * @property {boolean} onSale
+ */
+
+/**
+ * @typedef {Object} CatalogAdapter
+ * @property {string} name
+ * @property {(keyword: string) => Promise<CatalogProduct[]>} search
+ * @property {(id: string) => Promise<CatalogProduct|null>} getById
+ * @property {() => Promise<CatalogProduct[]>} [list] - Every product, for adapters that can enumerate their catalog
+ * @property {(id: string) => Promise<ProductSize[]|null>} [getSizes] - Per-size pricing, for adapters that have it
+ * @property {(raw: Object) => CatalogProduct} normalize - Map a source record onto CatalogProduct
+ */
+
+let activeCatalog = null;
+
+/**
+ * Get the process-wide catalog adapter, created lazily from the environment
+ * @returns {CatalogAdapter}
+ */
+export function getCatalog() {
+    if (!activeCatalog) {
+        const adapter = (process.env.CATALOG_ADAPTER || "edible").toLowerCase();
+
+        if (adapter === "local") {
+            if (!process.env.LOCAL_CATALOG_PATH) {
+                throw new Error("LOCAL_CATALOG_PATH is required when CATALOG_ADAPTER=local");
+            }
+            activeCatalog = createLocalCatalog({ path: process.env.LOCAL_CATALOG_PATH });
+        } else if (adapter === "edible") {
+            activeCatalog = edibleCatalog;
+        } else {
+            throw new Error(`Unknown CATALOG_ADAPTER "${adapter}" (expected edible or local)`);
+        }
+
+        console.log("[Catalog] Using adapter:", activeCatalog.name);
+    }
+    return activeCatalog;
+}
+
+/**
+ * Replace the process-wide catalog (offline runs and tests); pass null to re-read the environment
+ */
+export function setCatalog(adapter) {
+    activeCatalog = adapter;
+}
+
+/**
+ * Search the active catalog by keyword
+ * @param {string} keyword - Search term
+ * @returns {Promise<CatalogProduct[]>}
+ */
+export async function searchProducts(keyword) {
+    if (!keyword || keyword.trim().length === 0) {
+        return [];
+    }
+    return getCatalog().search(keyword);
+}
+
+/**
+ * Look up a single product in the active catalog
+ * @returns {Promise<CatalogProduct|null>}
+ */
+export async function getProductById(id) {
+    return getCatalog().getById(String(id));
+}
+
+/**
+ * Look up several products, keeping the order of the ids
+ * Lookups run in parallel; ids the catalog no longer has are reported rather than thrown
+ * @param {string[]} ids
+ * @returns {Promise<{ products: CatalogProduct[], missing: string[] }>}
+ */
+export async function getProductsByIds(ids) {
+    const catalog = getCatalog();
+    const found = await Promise.all(
+        ids.map((id) =>
+            catalog.getById(String(id)).catch((error) => {
+                console.error("[Catalog] Lookup failed for", id, error.message);
+                return null;
+            })
+        )
+    );
+
+    return {
+        products: found.filter(Boolean),
+        missing: ids.filter((_, i) => !found[i]).map(String),
+    };
+}
+
+/**
+ * Size variants when the source has none: the min/max price range stands in for the
+ * smallest and largest size, and the sizes in between are unknown
+ * @returns {{ sizes: ProductSize[], approximate: boolean }}
+ */
+function sizesFromPriceRange(product) {
+    const smallest = {
+        price: product.minPrice,
+        originalPrice: product.onSale ? product.originalPrice ?? null : null,
+        onSale: Boolean(product.onSale),
+    };
+
+    if ((product.sizeCount || 1) <= 1 || product.maxPrice == null || product.maxPrice === product.minPrice) {
+        return { sizes: [{ name: "Standard", ...smallest }], approximate: false };
+    }
+    return {
+        sizes: [
+            { name: "Smallest", ...smallest },
+            { name: "Largest", price: product.maxPrice, originalPrice: null, onSale: false },
+        ],
+        approximate: true,
+    };
+}
+
+/**
+ * Everything the product detail view needs: the display product plus its size variants
+ * @returns {Promise<{ product: Object, sizes: ProductSize[], approximateSizes: boolean }|null>}
+ */
+export async function getProductDetails(id) {
+    const catalog = getCatalog();
+    const product = await catalog.getById(String(id));
+    if (!product) return null;
+
+    const sizes = typeof catalog.getSizes === "function" ? await catalog.getSizes(product.id) : null;
+    const fallback = sizesFromPriceRange(product);
+
+    return {
+        product: formatProductForDisplay(product),
+        sizes: sizes && sizes.length > 0 ? sizes : fallback.sizes,
+        approximateSizes: sizes && sizes.length > 0 ? false : fallback.approximate,
+    };
+}
+
+/**
+ * Search with multiple keywords and merge/deduplicate results
+ * @param {string[]} keywords - Array of search terms
+ * @returns {Promise<CatalogProduct[]>} Merged, deduplicated product array
+ */
+export async function multiSearch(keywords) {
+    if (!keywords || keywords.length === 0) return [];
+
+    const results = await Promise.all(keywords.map((kw) => searchProducts(kw)));
+
+    // Merge and deduplicate by product id
+    const seen = new Set();
+    const merged = [];
+
+    for (const resultSet of results) {
+        for (const product of resultSet) {
+            if (!seen.has(product.id)) {
+                seen.add(product.id);
+                merged.push(product);
+            }
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Filter products by various criteria
+ * Strict: no fallbacks — relaxation.js decides what to loosen when nothing matches
+ * @param {CatalogProduct[]} products - Product array
+ * @param {Object} filters - Filter criteria
+ * @returns {CatalogProduct[]} Filtered products
+ */
+export function filterProducts(products, filters = {}) {
+    let filtered = [...products];
+
+    console.log("[Filter] Starting with", products.length, "products, filters:", JSON.stringify(filters));
+
+    // Budget filter
+    if (filters.minBudget != null) {
+        const beforeCount = filtered.length;
+        filtered = filtered.filter(
+            (p) => p.minPrice != null && p.minPrice >= filters.minBudget
+        );
+        console.log("[Filter] minBudget filter:", beforeCount, "→", filtered.length);
+    }
+    if (filters.maxBudget != null) {
+        const beforeCount = filtered.length;
+        filtered = filtered.filter(
+            (p) => p.minPrice != null && p.minPrice <= filters.maxBudget
+        );
+        console.log("[Filter] maxBudget filter:", beforeCount, "→", filtered.length, "| Example prices:", filtered.slice(0, 3).map(p => p.minPrice));
+    }
+
+    // Occasion filter (check if product's occasion field contains the target)
+    if (filters.occasion) {
+        const occ = filters.occasion.toLowerCase();
+        filtered = filtered.filter(
+            (p) => p.occasion && p.occasion.toLowerCase().includes(occ)
+        );
+    }
+
+    // Dietary restrictions — drop products known to contain a restricted allergen,
+    // keep the rest annotated with their per-restriction safety status
+    if (filters.dietaryRestrictions && filters.dietaryRestrictions.length > 0) {
+        const beforeCount = filtered.length;
+        filtered = filtered
+            .map((p) => ({ ...p, allergens: assessAllergens(p, filters.dietaryRestrictions) }))
+            .filter((p) => p.allergens.status !== "unsafe");
+        console.log("[Filter] dietary filter:", beforeCount, "→", filtered.length, "| unverified:", filtered.filter((p) => p.allergens.status === "unknown").length);
+    }
+
+    // One-hour delivery filter
+    if (filters.urgentDelivery) {
+        const beforeCount = filtered.length;
+        filtered = filtered.filter((p) => p.isOneHourDelivery);
+        console.log("[Filter] urgentDelivery filter:", beforeCount, "→", filtered.length);
+    }
+
+    return filtered;
+}
+
+/**
+ * Clean product data for LLM consumption (reduce token count)
+ * Accepts canonical products as well as display products sent back by the client
+ * @param {CatalogProduct} product
+ * @returns {Object} Cleaned product with essential fields only
+ */
+export function cleanProductForLLM(product) {
+    return {
+        id: product.id,
+        name: product.name,
+        description: product.description || "",
+        minPrice: product.minPrice,
+        maxPrice: product.maxPrice,
+        occasion: product.occasion || "",
+        category: product.category || "",
+        ingredients: product.ingredients || "",
+        allergyInfo: product.allergyInfo || "",
+        allergens: product.allergens || null,
+        sizeOptions: product.sizeCount || 1,
+        isOneHourDelivery: product.isOneHourDelivery || false,
+        productTag: product.productTag || "",
+        promo: product.promo || "",
+        onSale: product.onSale || false,
+        originalPrice: product.originalPrice,
+    };
+}
+
+/**
+ * Prepare product data for frontend display
+ * @param {CatalogProduct} product
+ * @returns {Object} Display-ready product
+ */
+export function formatProductForDisplay(product) {
+    return {
+        id: product.id,
+        name: product.name,
+        description: product.description || "",
+        image: product.image,
+        thumbnail: product.thumbnail,
+        minPrice: product.minPrice,
+        maxPrice: product.maxPrice,
+        url: product.url || "",
+        occasion: product.occasion || "",
+        category: product.category || "",
+        ingredients: product.ingredients || "",
+        sizeCount: product.sizeCount || 1,
+        isOneHourDelivery: product.isOneHourDelivery || false,
+        productTag: product.productTag || "",
+        promo: product.promo || "",
+        onSale: product.onSale || false,
+        originalPrice: product.originalPrice,
+        allergyInfo: product.allergyInfo || "",
+        allergens: product.allergens || null,
+        ranking: product.ranking || null,
+        catalogCode: product.catalogCode || "",
+    };
+}
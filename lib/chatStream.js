@@ -0,0 +1,40 @@
+/**
+ * Client-side reader for the /api/chat event stream
+ * Parses "event: <name>\ndata: <json>" blocks and hands each one to a callback
+ */
+
+/**
+ * Read a server-sent event stream until it closes
+ * @param {Response} response - fetch() response with a text/event-stream body
+ * @param {Function} onEvent - Called with (event, data) for every parsed event
+ */
+export async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    const dispatch = (block) => {
+        let event = "message";
+        const dataLines = [];
+
+        for (const line of block.split("\n")) {
+            if (line.startsWith("event:")) event = line.slice(6).trim();
+            else if (line.startsWith("data:")) dataLines.push(line.slice(5).trim());
+        }
+
+        if (dataLines.length === 0) return;
+        onEvent(event, JSON.parse(dataLines.join("\n")));
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const blocks = buffer.split("\n\n");
+        buffer = blocks.pop();
+        blocks.forEach(dispatch);
+    }
+
+    if (buffer.trim()) dispatch(buffer);
+}
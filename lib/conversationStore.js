@@ -0,0 +1,50 @@
+/**
+ * Conversation Store — Optional server-side copy of saved conversations
+ *
+ * CONVERSATION_STORE picks the backend, using the same memory and file stores as sessions:
+ * - "off" (default): conversations are saved in the browser only
+ * - "memory": process memory, kept for CONVERSATION_TTL_DAYS (default 30) since the last change
+ * - "file": one JSON file per conversation under CONVERSATION_STORE_PATH (default .data/conversations)
+ *
+ * Each record carries the `ownerId` of the browser that saved it, and listing is per owner.
+ */
+
+import { join } from "node:path";
+import { createMemorySessionStore, createFileSessionStore } from "./sessionStore.js";
+import { summarizeConversation } from "./conversations.js";
+
+let activeStore;
+
+/**
+ * Get the process-wide conversation store, or null when CONVERSATION_STORE is off
+ */
+export function getConversationStore() {
+    if (activeStore === undefined) {
+        const kind = (process.env.CONVERSATION_STORE || "off").toLowerCase();
+
+        if (kind === "off") {
+            activeStore = null;
+        } else if (kind === "file") {
+            activeStore = createFileSessionStore({
+                dir: process.env.CONVERSATION_STORE_PATH || join(process.cwd(), ".data", "conversations"),
+            });
+        } else if (kind === "memory") {
+            const ttlDays = Number(process.env.CONVERSATION_TTL_DAYS) || 30;
+            activeStore = createMemorySessionStore({ ttlMs: ttlDays * 24 * 60 * 60 * 1000 });
+        } else {
+            throw new Error(`Unknown CONVERSATION_STORE "${kind}" (expected off, memory or file)`);
+        }
+    }
+    return activeStore;
+}
+
+/**
+ * Sidebar entries for one owner's conversations, newest first
+ */
+export async function listConversations(store, ownerId) {
+    const records = await store.list();
+    return records
+        .filter((record) => record.ownerId === ownerId)
+        .map(summarizeConversation)
+        .sort((a, b) => (b.updatedAt > a.updatedAt ? 1 : b.updatedAt < a.updatedAt ? -1 : 0));
+}
@@ -0,0 +1,201 @@
+/**
+ * Conversations — Saved chats that can be listed and resumed
+ *
+ * A conversation record is a snapshot of everything on screen: the messages (assistant turns
+ * carry their products, extracted intent and prompt versions), the product grid with its
+ * paging cursor, relaxations, any gift plan or group order, the shopping profile and the
+ * facet selection.
+ * Records are keyed by the chat's session id and titled from the profile ("Mom's birthday, under $50").
+ *
+ * Records are saved in localStorage and, when CONVERSATION_STORE is enabled, on the server
+ * (see conversationStore.js). Pure functions apart from the localStorage helpers — safe to
+ * import from client components and server code alike.
+ */
+
+import { sanitizeProfile } from "./shoppingProfile.js";
+import { sanitizeFacetSelection } from "./facets.js";
+import { validateIntent } from "./intentSchema.js";
+import { sanitizeOrderItems } from "./bulkOrder.js";
+
+export const CONVERSATIONS_STORAGE_KEY = "conversations";
+export const MAX_SAVED_CONVERSATIONS = 20;
+const MAX_MESSAGES = 200;
+const MAX_PRODUCTS = 200;
+const MAX_PROMPTS = 20;
+const MAX_TITLE_LENGTH = 60;
+
+// Turns that don't search, so their intent is not the one to resume from
+const NON_SEARCH_TURNS = new Set(["comparison", "product_question"]);
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * "mom" → "Mom's", "my parents" → "Parents'"
+ */
+export function possessive(recipient) {
+    const name = capitalize(recipient.trim().replace(/^(my|our)\s+/i, ""));
+    return /s$/i.test(name) ? `${name}'` : `${name}'s`;
+}
+
+/**
+ * Short human title for a conversation, e.g. "Mom's birthday, under $50" or "Corporate order for 40, $10/person"
+ * Built from the profile; falls back to the first thing the customer typed
+ * @param {Object|null} profile
+ * @param {Array} messages
+ */
+export function titleForConversation(profile, messages = []) {
+    const occasion = profile?.occasion ? profile.occasion.replace(/_/g, " ").toLowerCase() : null;
+    const recipient = profile?.recipient?.trim() || null;
+
+    let subject = null;
+    if (profile?.headcount) subject = `${capitalize(occasion || "group")} order for ${profile.headcount}`;
+    else if (recipient && occasion) subject = `${possessive(recipient)} ${occasion}`;
+    else if (occasion) subject = `${capitalize(occasion)} gift`;
+    else if (recipient) subject = `Gift for ${recipient}`;
+
+    let budget = null;
+    if (profile?.budget_min != null && profile?.budget_max != null) budget = `$${profile.budget_min}–$${profile.budget_max}`;
+    else if (profile?.budget_max != null) budget = `under $${profile.budget_max}`;
+    else if (profile?.budget_min != null) budget = `over $${profile.budget_min}`;
+    if (profile?.headcount && profile.budget_per_person != null) budget = `$${profile.budget_per_person}/person`;
+
+    if (subject || budget) {
+        return subject ? [subject, budget].filter(Boolean).join(", ") : `Gifts ${budget}`;
+    }
+
+    const firstMessage = messages.find((m) => m.role === "user")?.content?.trim();
+    if (!firstMessage) return "New conversation";
+    return firstMessage.length > MAX_TITLE_LENGTH ? `${firstMessage.slice(0, MAX_TITLE_LENGTH - 1)}…` : firstMessage;
+}
+
+/**
+ * The last search intent in a transcript — what "refine" and follow-ups build on
+ */
+export function lastSearchIntent(messages = []) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const intent = messages[i].intent;
+        if (messages[i].role === "assistant" && intent && !NON_SEARCH_TURNS.has(intent.intent_type)) {
+            return intent;
+        }
+    }
+    return null;
+}
+
+/**
+ * Keep only well-formed messages: role, text, and (assistant turns) products, intent and the
+ * prompt versions behind them
+ */
+export function sanitizeMessages(raw) {
+    if (!Array.isArray(raw)) return [];
+
+    return raw
+        .filter((m) => m && (m.role === "user" || m.role === "assistant") && typeof m.content === "string")
+        .slice(-MAX_MESSAGES)
+        .map((m) => {
+            const message = { role: m.role, content: m.content };
+            if (m.role === "assistant" && Array.isArray(m.products)) message.products = m.products.slice(0, MAX_PRODUCTS);
+            if (m.role === "assistant" && m.intent && typeof m.intent === "object") {
+                message.intent = NON_SEARCH_TURNS.has(m.intent.intent_type)
+                    ? { intent_type: m.intent.intent_type }
+                    : validateIntent(m.intent).intent;
+            }
+            if (m.role === "assistant" && Array.isArray(m.prompts)) {
+                message.prompts = m.prompts
+                    .filter((p) => p && typeof p.name === "string" && typeof p.version === "string")
+                    .slice(0, MAX_PROMPTS)
+                    .map(({ name, version }) => ({ name: name.slice(0, 40), version: version.slice(0, 20) }));
+            }
+            return message;
+        });
+}
+
+/**
+ * Clean a conversation record from the browser or the request body
+ * @returns {Object|null} Null when the record has no id or no messages
+ */
+export function sanitizeConversation(raw) {
+    if (!raw || typeof raw !== "object" || typeof raw.id !== "string") return null;
+
+    const messages = sanitizeMessages(raw.messages);
+    if (messages.length === 0) return null;
+
+    const profile = raw.profile ? sanitizeProfile(raw.profile) : null;
+    const now = new Date().toISOString();
+
+    return {
+        id: raw.id,
+        title: typeof raw.title === "string" && raw.title.trim() ? raw.title.trim().slice(0, 120) : titleForConversation(profile, messages),
+        createdAt: typeof raw.createdAt === "string" ? raw.createdAt : now,
+        updatedAt: typeof raw.updatedAt === "string" ? raw.updatedAt : now,
+        messages,
+        products: Array.isArray(raw.products) ? raw.products.slice(0, MAX_PRODUCTS) : [],
+        nextCursor: typeof raw.nextCursor === "string" ? raw.nextCursor : null,
+        relaxations: Array.isArray(raw.relaxations) ? raw.relaxations : [],
+        plan: raw.plan && Array.isArray(raw.plan.groups) ? raw.plan : null,
+        orderItems: sanitizeOrderItems(raw.orderItems),
+        profile,
+        facetSelection: sanitizeFacetSelection(raw.facetSelection),
+    };
+}
+
+/**
+ * List entry for the history sidebar
+ */
+export function summarizeConversation(conversation) {
+    return {
+        id: conversation.id,
+        title: conversation.title,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt,
+        messageCount: conversation.messages?.length ?? conversation.messageCount ?? 0,
+    };
+}
+
+/**
+ * Read saved conversations (newest first) plus this browser's owner id for the server copy
+ * @returns {{ ownerId: string, activeId: string|null, conversations: Array }}
+ */
+export function loadLocalConversations() {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(CONVERSATIONS_STORAGE_KEY));
+        if (saved && typeof saved.ownerId === "string" && Array.isArray(saved.conversations)) {
+            return {
+                ownerId: saved.ownerId,
+                activeId: saved.activeId || null,
+                conversations: saved.conversations.map(sanitizeConversation).filter(Boolean),
+            };
+        }
+    } catch (error) {
+        console.error("Could not read saved conversations:", error);
+    }
+    return { ownerId: crypto.randomUUID(), activeId: null, conversations: [] };
+}
+
+/**
+ * Save conversations to localStorage, dropping the oldest if the browser runs out of room
+ */
+export function saveLocalConversations(state) {
+    let conversations = state.conversations.slice(0, MAX_SAVED_CONVERSATIONS);
+
+    while (true) {
+        try {
+            window.localStorage.setItem(CONVERSATIONS_STORAGE_KEY, JSON.stringify({ ...state, conversations }));
+            return;
+        } catch (error) {
+            if (conversations.length <= 1) {
+                console.error("Could not save conversations:", error);
+                return;
+            }
+            conversations = conversations.slice(0, Math.ceil(conversations.length / 2));
+        }
+    }
+}
+
+/**
+ * Insert or replace a conversation, keeping the list newest first
+ */
+export function upsertConversation(conversations, conversation) {
+    return [conversation, ...conversations.filter((c) => c.id !== conversation.id)]
+        .sort((a, b) => (b.updatedAt > a.updatedAt ? 1 : b.updatedAt < a.updatedAt ? -1 : 0))
+        .slice(0, MAX_SAVED_CONVERSATIONS);
+}
@@ -1,21 +1,54 @@
 /**
- * Edible Arrangements API Wrapper
- * Handles product search via the Edible catalog API
+ * Edible Arrangements catalog adapter
+ * Handles product search via the Edible catalog API and maps its records
+ * (including the upstream field spellings) onto the canonical product shape
  * Includes in-memory caching to avoid redundant calls within a session
  */
 
-const EDIBLE_API_URL = "https://www.ediblearrangements.com/api/search/";
+const EDIBLE_API_URL = process.env.EDIBLE_API_URL || "https://www.ediblearrangements.com/api/search/";
+const EDIBLE_SITE_URL = "https://www.ediblearrangements.com/";
 
 // Simple in-memory cache for API results (keyword -> results)
 const searchCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
+// Products seen in searches, by id — the API has no lookup-by-id endpoint
+// Entries expire after PRODUCT_TTL and the least recently seen are evicted beyond MAX_PRODUCTS
+const productsById = new Map();
+const PRODUCT_TTL = 30 * 60 * 1000; // 30 minutes
+const MAX_PRODUCTS = 2000;
+
+/**
+ * Remember a product from a search, moving it to the most recently seen end
+ */
+function rememberProduct(product) {
+  productsById.delete(product.id);
+  productsById.set(product.id, { product, seenAt: Date.now() });
+  // Map iteration order is insertion order, so the first entries are the least recently seen
+  while (productsById.size > MAX_PRODUCTS) {
+    productsById.delete(productsById.keys().next().value);
+  }
+}
+
+/**
+ * A product seen in a search within PRODUCT_TTL, or null
+ */
+function recallProduct(id) {
+  const entry = productsById.get(id);
+  if (!entry) return null;
+  if (Date.now() - entry.seenAt > PRODUCT_TTL) {
+    productsById.delete(id);
+    return null;
+  }
+  return entry.product;
+}
+
 /**
  * Search the Edible Arrangements catalog by keyword
  * @param {string} keyword - Search term
- * @returns {Promise<Array>} Array of product objects
+ * @returns {Promise<Array>} Raw Edible product records
  */
-export async function searchProducts(keyword) {
+async function fetchSearchResults(keyword) {
   if (!keyword || keyword.trim().length === 0) {
     return [];
   }
@@ -56,149 +89,60 @@ export async function searchProducts(keyword) {
 }
 
 /**
- * Search with multiple keywords and merge/deduplicate results
- * @param {string[]} keywords - Array of search terms
- * @returns {Promise<Array>} Merged, deduplicated product array
+ * Map a raw Edible record onto the canonical catalog product
+ * @param {Object} raw - Product as returned by the Edible search API
+ * @returns {import("./catalog.js").CatalogProduct}
  */
-export async function multiSearch(keywords) {
-  if (!keywords || keywords.length === 0) return [];
-
-  const results = await Promise.all(keywords.map((kw) => searchProducts(kw)));
-
-  // Merge and deduplicate by product id
-  const seen = new Set();
-  const merged = [];
-
-  for (const resultSet of results) {
-    for (const product of resultSet) {
-      if (!seen.has(product.id)) {
-        seen.add(product.id);
-        merged.push(product);
-      }
-    }
-  }
-
-  return merged;
-}
-
-/**
- * Filter products by various criteria
- * @param {Array} products - Product array
- * @param {Object} filters - Filter criteria
- * @returns {Array} Filtered products
- */
-export function filterProducts(products, filters = {}) {
-  let filtered = [...products];
-
-  console.log("[Filter] Starting with", products.length, "products, filters:", JSON.stringify(filters));
-
-  // Budget filter
-  if (filters.minBudget != null) {
-    const beforeCount = filtered.length;
-    filtered = filtered.filter(
-      (p) => p.minPrice != null && p.minPrice >= filters.minBudget
-    );
-    console.log("[Filter] minBudget filter:", beforeCount, "→", filtered.length);
-  }
-  if (filters.maxBudget != null) {
-    const beforeCount = filtered.length;
-    filtered = filtered.filter(
-      (p) => p.minPrice != null && p.minPrice <= filters.maxBudget
-    );
-    console.log("[Filter] maxBudget filter:", beforeCount, "→", filtered.length, "| Example prices:", filtered.slice(0, 3).map(p => p.minPrice));
-  }
-
-  // Save budget-filtered results before applying occasion filter
-  const budgetFiltered = [...filtered];
-
-  // Occasion filter (check if product's occasion field contains the target)
-  if (filters.occasion) {
-    const occ = filters.occasion.toLowerCase();
-    filtered = filtered.filter(
-      (p) => p.occasion && p.occasion.toLowerCase().includes(occ)
-    );
-    // If filtering removed everything, fall back to budget-filtered results
-    if (filtered.length === 0) filtered = budgetFiltered;
-  }
-
-  // Dietary / ingredient exclusion
-  if (filters.excludeIngredients && filters.excludeIngredients.length > 0) {
-    filtered = filtered.filter((p) => {
-      const ingredients = (p.ingrediantNames || "").toLowerCase();
-      return !filters.excludeIngredients.some((exc) =>
-        ingredients.includes(exc.toLowerCase())
-      );
-    });
-  }
-
-  // One-hour delivery filter
-  if (filters.urgentDelivery) {
-    const beforeCount = filtered.length;
-    filtered = filtered.filter((p) => p.isOneHourDelivery);
-    console.log("[Filter] urgentDelivery filter:", beforeCount, "→", filtered.length);
-  }
-
-  return filtered;
-}
-
-/**
- * Clean product data for LLM consumption (reduce token count)
- * @param {Object} product - Raw product object
- * @returns {Object} Cleaned product with essential fields only
- */
-export function cleanProductForLLM(product) {
-  // Strip HTML from description
-  const cleanDesc = (product.description || "")
-    .replace(/<[^>]*>/g, "")
-    .replace(/\r\n/g, " ")
-    .trim();
-
+export function normalizeEdibleProduct(raw) {
   return {
-    id: product.id,
-    name: product.name,
-    description: cleanDesc,
-    minPrice: product.minPrice,
-    maxPrice: product.maxPrice,
-    occasion: product.occasion || "",
-    category: product.category || "",
-    ingredients: product.ingrediantNames || "",
-    sizeOptions: product.sizeCount || 1,
-    isOneHourDelivery: product.isOneHourDelivery || false,
-    productTag: product.productImageTag || "",
-    promo: product.nonPromo || product.promo || "",
-    onSale: product.isMinSizeOnSale || false,
-    originalPrice: product.minsizeProductPrice,
-  };
-}
-
-/**
- * Prepare product data for frontend display
- * @param {Object} product - Raw product object
- * @returns {Object} Display-ready product
- */
-export function formatProductForDisplay(product) {
-  return {
-    id: product.id,
-    name: product.name,
-    description: (product.description || "")
+    id: String(raw.id),
+    name: raw.name,
+    description: (raw.description || "")
       .replace(/<[^>]*>/g, "")
       .replace(/\r\n/g, " ")
       .trim(),
-    image: product.image,
-    thumbnail: product.thumbnail,
-    minPrice: product.minPrice,
-    maxPrice: product.maxPrice,
-    url: `https://www.ediblearrangements.com/${product.url}`,
-    occasion: product.occasion || "",
-    category: product.category || "",
-    ingredients: product.ingrediantNames || "",
-    sizeCount: product.sizeCount || 1,
-    isOneHourDelivery: product.isOneHourDelivery || false,
-    productTag: product.productImageTag || "",
-    promo: product.nonPromo || product.promo || "",
-    onSale: product.isMinSizeOnSale || false,
-    originalPrice: product.minsizeProductPrice,
-    allergyInfo: product.allergyinformation || "",
-    catalogCode: product.catalogCode || "",
+    image: raw.image,
+    thumbnail: raw.thumbnail,
+    minPrice: raw.minPrice ?? null,
+    maxPrice: raw.maxPrice ?? null,
+    url: raw.url ? `${EDIBLE_SITE_URL}${raw.url}` : "",
+    occasion: raw.occasion || "",
+    category: raw.category || "",
+    ingredients: raw.ingrediantNames || "",
+    allergyInfo: raw.allergyinformation || "",
+    sizeCount: raw.sizeCount || 1,
+    isOneHourDelivery: raw.isOneHourDelivery || false,
+    productTag: raw.productImageTag || "",
+    promo: raw.nonPromo || raw.promo || "",
+    onSale: raw.isMinSizeOnSale || false,
+    originalPrice: raw.minsizeProductPrice ?? null,
+    catalogCode: raw.catalogCode || "",
+    score: raw["@search.score"] || 0,
   };
 }
+
+/**
+ * Edible catalog adapter
+ * @type {import("./catalog.js").CatalogAdapter}
+ */
+export const edibleCatalog = {
+  name: "edible",
+
+  async search(keyword) {
+    const products = (await fetchSearchResults(keyword)).map(normalizeEdibleProduct);
+    products.forEach(rememberProduct);
+    return products;
+  },
+
+  async getById(id) {
+    const key = String(id);
+    const seen = recallProduct(key);
+    if (seen) return seen;
+
+    // Not seen in a search yet — try the id as a keyword and keep only an exact match
+    const results = await this.search(key);
+    return results.find((p) => p.id === key) || null;
+  },
+
+  normalize: normalizeEdibleProduct,
+};
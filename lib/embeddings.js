@@ -0,0 +1,154 @@
+/**
+ * Embeddings — Text embedding backends for semantic product search
+ *
+ * - "hashing": feature-hashed word and word-pair vectors computed in-process on the CPU.
+ *   No model download and no network; it captures shared vocabulary rather than meaning,
+ *   so it is a fallback for offline development.
+ * - "openai": any OpenAI-compatible /embeddings endpoint at EMBEDDING_BASE_URL — e.g. a local
+ *   Ollama (`nomic-embed-text`) or llama.cpp server running a small embedding model on the CPU.
+ *
+ * Every provider exposes embed(texts) → Promise<number[][]> (unit-length vectors), a `signature`
+ * that changes whenever vectors stop being comparable, and `minSimilarity`, the cosine score
+ * below which a hit is treated as noise.
+ */
+
+import { tokenize } from "./text.js";
+
+const STOPWORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "from", "i", "in", "is", "it",
+    "me", "my", "of", "on", "or", "our", "so", "some", "something", "that", "the", "their", "them",
+    "this", "to", "want", "was", "we", "who", "with", "you", "your", "need", "looking",
+]);
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Scale a vector to unit length (cosine similarity becomes a dot product)
+ */
+export function normalizeVector(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map((v) => v / norm) : vector;
+}
+
+/**
+ * Dot product of two unit vectors
+ */
+export function cosineSimilarity(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+/**
+ * In-process feature-hashing embedder
+ * @param {number} [options.dimensions] - Vector size
+ */
+export function createHashingEmbedder({ dimensions = 1024 } = {}) {
+    const embedOne = (text) => {
+        const vector = new Array(dimensions).fill(0);
+        const tokens = tokenize(text).filter((t) => !STOPWORDS.has(t));
+        const features = [
+            ...tokens.map((t) => [t, 1]),
+            ...tokens.slice(1).map((t, i) => [`${tokens[i]} ${t}`, 0.5]),
+        ];
+
+        for (const [feature, weight] of features) {
+            const h = hash(feature);
+            // The top bit picks the sign so unrelated collisions tend to cancel out
+            vector[h % dimensions] += h & 0x80000000 ? -weight : weight;
+        }
+        // Dampen repeated words
+        return normalizeVector(vector.map((v) => Math.sign(v) * Math.sqrt(Math.abs(v))));
+    };
+
+    return {
+        name: "hashing",
+        signature: `hashing-${dimensions}`,
+        minSimilarity: 0.08,
+
+        async embed(texts) {
+            return texts.map(embedOne);
+        },
+    };
+}
+
+/**
+ * Embedder for any endpoint that speaks the OpenAI /embeddings wire format
+ * @param {Object} options
+ * @param {string} options.baseUrl - e.g. http://localhost:11434/v1
+ * @param {string|null} [options.apiKey] - Sent as a Bearer token when present
+ * @param {string} options.model - Embedding model name
+ * @param {number} [options.batchSize] - Texts per request
+ */
+export function createOpenAICompatibleEmbedder({ baseUrl, apiKey = null, model, batchSize = 32 }) {
+    const url = `${baseUrl.replace(/\/$/, "")}/embeddings`;
+
+    return {
+        name: "openai",
+        signature: `openai-${model}`,
+        minSimilarity: 0.3,
+
+        async embed(texts) {
+            const vectors = [];
+
+            for (let i = 0; i < texts.length; i += batchSize) {
+                const headers = { "Content-Type": "application/json" };
+                if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+                const response = await fetch(url, {
+                    method: "POST",
+                    headers,
+                    body: JSON.stringify({ model, input: texts.slice(i, i + batchSize) }),
+                });
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    console.error("Embedding API error:", response.status, errorText);
+                    throw new Error(`Embedding API error: ${response.status}`);
+                }
+
+                const data = await response.json();
+                const batch = [...(data.data || [])].sort((a, b) => a.index - b.index);
+                vectors.push(...batch.map((item) => normalizeVector(item.embedding)));
+            }
+
+            return vectors;
+        },
+    };
+}
+
+/**
+ * Build an embedder from the environment; null when semantic search is off
+ * SEMANTIC_SEARCH: "off" (default), "hashing" or "openai"
+ */
+export function createEmbedderFromEnv(env = process.env) {
+    const kind = (env.SEMANTIC_SEARCH || "off").toLowerCase();
+
+    switch (kind) {
+        case "off":
+            return null;
+        case "hashing":
+            return createHashingEmbedder();
+        case "openai":
+            if (!env.EMBEDDING_BASE_URL || !env.EMBEDDING_MODEL) {
+                throw new Error("EMBEDDING_BASE_URL and EMBEDDING_MODEL are required when SEMANTIC_SEARCH=openai");
+            }
+            return createOpenAICompatibleEmbedder({
+                baseUrl: env.EMBEDDING_BASE_URL,
+                apiKey: env.EMBEDDING_API_KEY || null,
+                model: env.EMBEDDING_MODEL,
+            });
+        default:
+            throw new Error(`Unknown SEMANTIC_SEARCH "${kind}" (expected off, hashing or openai)`);
+    }
+}
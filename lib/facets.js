@@ -0,0 +1,163 @@
+/**
+ * Facets — Client-side narrowing and sorting of the displayed products
+ *
+ * Facet options are derived from whatever products are on screen. The selection is also
+ * sent with the next /api/chat turn, where the same applyFacets narrows the ranked results
+ * and the prompt tells the assistant about the customer's manual filters.
+ * Pure functions — safe to import from client components and server code alike.
+ */
+
+export const EMPTY_FACET_SELECTION = {
+    priceMin: null,
+    priceMax: null,
+    occasions: [],
+    categories: [],
+    oneHourOnly: false,
+    onSaleOnly: false,
+    sizeCounts: [],
+};
+
+export const SORT_OPTIONS = [
+    { value: "mentioned", label: "Mentioned by assistant" },
+    { value: "relevance", label: "Relevance" },
+    { value: "price_asc", label: "Price: low to high" },
+    { value: "price_desc", label: "Price: high to low" },
+];
+
+/**
+ * Split a product's comma-separated occasion field
+ */
+export function productOccasions(product) {
+    return (product.occasion || "")
+        .split(",")
+        .map((o) => o.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Count values into [{ value, count }] sorted by count, then value
+ */
+function tally(values) {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+}
+
+/**
+ * Derive the facet options available for a product list
+ */
+export function deriveFacets(products) {
+    const prices = products.map((p) => p.minPrice).filter((price) => price != null);
+
+    return {
+        price: {
+            min: prices.length > 0 ? Math.floor(Math.min(...prices)) : 0,
+            max: prices.length > 0 ? Math.ceil(Math.max(...prices)) : 0,
+        },
+        occasions: tally(products.flatMap(productOccasions)),
+        categories: tally(products.map((p) => p.category).filter(Boolean)),
+        sizeCounts: tally(products.map((p) => p.sizeCount || 1)).sort((a, b) => a.value - b.value),
+        oneHourCount: products.filter((p) => p.isOneHourDelivery).length,
+        onSaleCount: products.filter((p) => p.onSale).length,
+    };
+}
+
+/**
+ * Whether any facet is active
+ */
+export function hasActiveFacets(selection) {
+    if (!selection) return false;
+    return (
+        selection.priceMin != null ||
+        selection.priceMax != null ||
+        selection.occasions.length > 0 ||
+        selection.categories.length > 0 ||
+        selection.oneHourOnly ||
+        selection.onSaleOnly ||
+        selection.sizeCounts.length > 0
+    );
+}
+
+/**
+ * Keep the products that match every active facet
+ * Works on display products and canonical catalog products alike
+ */
+export function applyFacets(products, selection) {
+    if (!hasActiveFacets(selection)) return products;
+
+    const occasions = selection.occasions.map((o) => o.toLowerCase());
+    const categories = selection.categories.map((c) => c.toLowerCase());
+
+    return products.filter((p) => {
+        if (selection.priceMin != null && (p.minPrice == null || p.minPrice < selection.priceMin)) return false;
+        if (selection.priceMax != null && (p.minPrice == null || p.minPrice > selection.priceMax)) return false;
+        if (occasions.length > 0 && !productOccasions(p).some((o) => occasions.includes(o.toLowerCase()))) return false;
+        if (categories.length > 0 && !categories.includes((p.category || "").toLowerCase())) return false;
+        if (selection.oneHourOnly && !p.isOneHourDelivery) return false;
+        if (selection.onSaleOnly && !p.onSale) return false;
+        if (selection.sizeCounts.length > 0 && !selection.sizeCounts.includes(p.sizeCount || 1)) return false;
+        return true;
+    });
+}
+
+/**
+ * Sort products for display
+ * "mentioned" keeps the order the assistant mentioned them (the order the API returned);
+ * "relevance" uses the pipeline's ranking position
+ */
+export function sortProducts(products, sortKey) {
+    const sorted = [...products];
+    const price = (p) => p.minPrice ?? Infinity;
+
+    switch (sortKey) {
+        case "relevance":
+            return sorted.sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+        case "price_asc":
+            return sorted.sort((a, b) => price(a) - price(b));
+        case "price_desc":
+            return sorted.sort((a, b) => (b.minPrice ?? -Infinity) - (a.minPrice ?? -Infinity));
+        default:
+            return sorted;
+    }
+}
+
+/**
+ * Clean a selection that came from the client
+ */
+export function sanitizeFacetSelection(raw) {
+    if (!raw || typeof raw !== "object") return { ...EMPTY_FACET_SELECTION };
+
+    const number = (value) => (value === null || value === "" || !Number.isFinite(Number(value)) ? null : Number(value));
+    const strings = (value) => (Array.isArray(value) ? value.map(String).filter(Boolean).slice(0, 20) : []);
+
+    return {
+        priceMin: number(raw.priceMin),
+        priceMax: number(raw.priceMax),
+        occasions: strings(raw.occasions),
+        categories: strings(raw.categories),
+        oneHourOnly: raw.oneHourOnly === true,
+        onSaleOnly: raw.onSaleOnly === true,
+        sizeCounts: Array.isArray(raw.sizeCounts) ? raw.sizeCounts.map(Number).filter(Number.isFinite) : [],
+    };
+}
+
+/**
+ * Plain-language summary of the active facets, for prompts
+ */
+export function describeFacets(selection) {
+    if (!hasActiveFacets(selection)) return "";
+
+    const parts = [];
+    if (selection.priceMin != null || selection.priceMax != null) {
+        parts.push(`price ${selection.priceMin != null ? `$${selection.priceMin}` : "$0"}–${selection.priceMax != null ? `$${selection.priceMax}` : "any"}`);
+    }
+    if (selection.occasions.length > 0) parts.push(`occasion: ${selection.occasions.join(" or ")}`);
+    if (selection.categories.length > 0) parts.push(`category: ${selection.categories.join(" or ")}`);
+    if (selection.oneHourOnly) parts.push("1-hour delivery only");
+    if (selection.onSaleOnly) parts.push("on sale only");
+    if (selection.sizeCounts.length > 0) parts.push(`size options: ${selection.sizeCounts.join(" or ")}`);
+
+    return parts.join("; ");
+}
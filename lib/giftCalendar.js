@@ -0,0 +1,278 @@
+/**
+ * Gift Calendar — Occasions the customer asked us to remember, with reminders
+ *
+ * "Mom's birthday is March 12" in the chat comes back from the pipeline as a reminder
+ * (occasion, recipient and the date the intent picked up, plus the budget and dietary needs
+ * known at the time) and is saved here. Dates are "MM-DD" for occasions that recur every
+ * year and "YYYY-MM-DD" for one-off events.
+ *
+ * The calendar lives in localStorage only — there is no external calendar service. Each
+ * occasion keeps a few recommendations precomputed by /api/calendar/recommendations (the
+ * regular search, filter and rank pipeline, without an LLM call) and refreshed once they are
+ * RECOMMENDATION_TTL_DAYS old. buildIcs exports the occasions, with alarms, for any calendar app.
+ * Pure functions apart from the localStorage helpers — safe to import from client components.
+ */
+
+import { INTENT_ENUMS, normalizeDate } from "./intentSchema.js";
+import { possessive } from "./conversations.js";
+
+export const CALENDAR_STORAGE_KEY = "giftCalendar";
+export const MAX_OCCASIONS = 50;
+// Occasions this close are flagged as coming up, and the exported alarms fire this early
+export const REMINDER_DAYS = 14;
+export const RECOMMENDATIONS_PER_OCCASION = 4;
+export const RECOMMENDATION_TTL_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RECIPIENT_LENGTH = 60;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const isRecurring = (date) => /^\d{2}-\d{2}$/.test(date);
+
+/**
+ * The reminder a chat turn asks to save, or null
+ * Needs a date and at least an occasion or a recipient to say what the date is for
+ * @param {Object} intent - Effective intent (profile applied)
+ * @returns {Object|null} { recipient, occasion, date, budget_max, dietary_restrictions }
+ */
+export function reminderFromIntent(intent) {
+    if (!intent?.occasion_date || (!intent.occasion && !intent.recipient)) return null;
+
+    return {
+        recipient: intent.recipient,
+        occasion: intent.occasion,
+        date: intent.occasion_date,
+        budget_max: intent.budget_max,
+        dietary_restrictions: intent.dietary_restrictions || [],
+    };
+}
+
+/**
+ * "Mom's birthday", "Anniversary", "Gift for Sam"
+ */
+export function titleForOccasion(occasion) {
+    const name = occasion.occasion ? occasion.occasion.replace(/_/g, " ") : null;
+    if (occasion.recipient && name) return `${possessive(occasion.recipient)} ${name}`;
+    if (name) return name.charAt(0).toUpperCase() + name.slice(1);
+    return `Gift for ${occasion.recipient}`;
+}
+
+/**
+ * "March 12" (every year) or "June 5, 2027"
+ */
+export function formatOccasionDate(date) {
+    const parts = date.split("-").map(Number);
+    const [year, month, day] = parts.length === 3 ? parts : [2000, ...parts];
+    const options = parts.length === 3 ? { month: "long", day: "numeric", year: "numeric" } : { month: "long", day: "numeric" };
+    return new Date(year, month - 1, day).toLocaleDateString("en-US", options);
+}
+
+/**
+ * Clean an occasion record from localStorage, the chat payload or a request body
+ * @returns {Object|null} Null when the date is invalid or nothing says what it is for
+ */
+export function sanitizeOccasion(raw) {
+    if (!raw || typeof raw !== "object") return null;
+
+    const date = raw.date ? normalizeDate(raw.date) : null;
+    const occasion = INTENT_ENUMS.occasion.includes(raw.occasion) ? raw.occasion : null;
+    const recipient = typeof raw.recipient === "string" && raw.recipient.trim()
+        ? raw.recipient.trim().slice(0, MAX_RECIPIENT_LENGTH)
+        : null;
+    if (!date || (!occasion && !recipient)) return null;
+
+    return {
+        id: typeof raw.id === "string" && raw.id ? raw.id : crypto.randomUUID(),
+        recipient,
+        occasion,
+        date,
+        budget_max: Number.isFinite(raw.budget_max) && raw.budget_max >= 0 ? raw.budget_max : null,
+        dietary_restrictions: Array.isArray(raw.dietary_restrictions)
+            ? raw.dietary_restrictions.filter((r) => typeof r === "string")
+            : [],
+        createdAt: typeof raw.createdAt === "string" ? raw.createdAt : new Date().toISOString(),
+        recommendations: Array.isArray(raw.recommendations) ? raw.recommendations.slice(0, RECOMMENDATIONS_PER_OCCASION) : [],
+        recommendationsUpdatedAt: typeof raw.recommendationsUpdatedAt === "string" ? raw.recommendationsUpdatedAt : null,
+    };
+}
+
+const occasionKey = (o) => `${(o.recipient || "").toLowerCase()}|${o.occasion || ""}`;
+
+/**
+ * Save a reminder: the same recipient and occasion replaces the earlier entry (keeping its id)
+ * and drops its precomputed recommendations, since the budget or dietary needs may have changed
+ * @returns {{ occasions: Array, occasion: Object|null }} The new list and the saved entry
+ */
+export function upsertOccasion(occasions, reminder) {
+    const existing = occasions.find((o) => occasionKey(o) === occasionKey(reminder) || o.id === reminder.id);
+    const occasion = sanitizeOccasion({
+        ...existing,
+        ...reminder,
+        id: existing?.id ?? reminder.id,
+        createdAt: existing?.createdAt,
+        recommendations: reminder.recommendations ?? [],
+        recommendationsUpdatedAt: reminder.recommendationsUpdatedAt ?? null,
+    });
+    if (!occasion) return { occasions, occasion: null };
+
+    return {
+        occasions: [occasion, ...occasions.filter((o) => o.id !== occasion.id)].slice(0, MAX_OCCASIONS),
+        occasion,
+    };
+}
+
+/**
+ * Store freshly computed recommendations on an occasion
+ */
+export function setRecommendations(occasions, id, products, now = new Date()) {
+    return occasions.map((o) => (o.id === id
+        ? { ...o, recommendations: products.slice(0, RECOMMENDATIONS_PER_OCCASION), recommendationsUpdatedAt: now.toISOString() }
+        : o));
+}
+
+/**
+ * The next date the occasion falls on (today counts), or null for a one-off event that has passed
+ * Feb 29 falls on Feb 28 in other years
+ */
+export function nextOccurrence(date, today = new Date()) {
+    const day = startOfDay(today);
+
+    if (!isRecurring(date)) {
+        const [year, month, dayOfMonth] = date.split("-").map(Number);
+        const once = new Date(year, month - 1, dayOfMonth);
+        return once >= day ? once : null;
+    }
+
+    const [month, dayOfMonth] = date.split("-").map(Number);
+    const onYear = (year) => {
+        const lastDay = new Date(year, month, 0).getDate();
+        return new Date(year, month - 1, Math.min(dayOfMonth, lastDay));
+    };
+    const thisYear = onYear(day.getFullYear());
+    return thisYear >= day ? thisYear : onYear(day.getFullYear() + 1);
+}
+
+/**
+ * Occasions in date order with when they next fall; passed one-off events come last
+ * @returns {Array} Occasions with `nextDate` (Date|null), `daysAway` (number|null) and `isSoon`
+ */
+export function upcomingOccasions(occasions, today = new Date()) {
+    return occasions
+        .map((occasion) => {
+            const nextDate = nextOccurrence(occasion.date, today);
+            const daysAway = nextDate ? Math.round((nextDate - startOfDay(today)) / DAY_MS) : null;
+            return { ...occasion, nextDate, daysAway, isSoon: daysAway != null && daysAway <= REMINDER_DAYS };
+        })
+        .sort((a, b) => (a.daysAway ?? Infinity) - (b.daysAway ?? Infinity));
+}
+
+/**
+ * Whether an occasion's recommendations are missing or stale
+ */
+export function needsRecommendations(occasion, now = new Date()) {
+    if (!occasion.recommendationsUpdatedAt) return true;
+    return now - new Date(occasion.recommendationsUpdatedAt) > RECOMMENDATION_TTL_DAYS * DAY_MS;
+}
+
+/**
+ * Escape text for an iCalendar property value
+ */
+function icsText(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line at 75 octets, as iCalendar requires (never inside a character)
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = "";
+    let size = 0;
+    for (const char of line) {
+        const bytes = encoder.encode(char).length;
+        if (size + bytes > 75) {
+            parts.push(current);
+            current = " ";
+            size = 1;
+        }
+        current += char;
+        size += bytes;
+    }
+    parts.push(current);
+    return parts.join("\r\n");
+}
+
+const icsDate = (date) =>
+    `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, "0")}${String(date.getDate()).padStart(2, "0")}`;
+
+/**
+ * iCalendar (.ics) file with one all-day event per occasion
+ * Recurring occasions repeat yearly; every event carries an alarm REMINDER_DAYS ahead and
+ * lists its gift ideas. Passed one-off events are left out.
+ * @param {Array} occasions
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function buildIcs(occasions, now = new Date()) {
+    const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//AI Shopping Assistant//Gift Calendar//EN",
+        "CALSCALE:GREGORIAN",
+    ];
+
+    for (const occasion of occasions) {
+        const start = nextOccurrence(occasion.date, now);
+        if (!start) continue;
+        const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+        const title = titleForOccasion(occasion);
+        const ideas = occasion.recommendations.map((p) => `${p.name}${p.minPrice != null ? ` (from $${p.minPrice.toFixed(2)})` : ""}${p.url ? ` ${p.url}` : ""}`);
+
+        lines.push(
+            "BEGIN:VEVENT",
+            `UID:${occasion.id}@gift-calendar`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${icsDate(start)}`,
+            `DTEND;VALUE=DATE:${icsDate(end)}`,
+            ...(isRecurring(occasion.date) ? ["RRULE:FREQ=YEARLY"] : []),
+            `SUMMARY:${icsText(title)}`,
+            ...(ideas.length > 0 ? [`DESCRIPTION:${icsText(`Gift ideas:\n${ideas.join("\n")}`)}`] : []),
+            "BEGIN:VALARM",
+            "ACTION:DISPLAY",
+            `DESCRIPTION:${icsText(`${title} is coming up — time to pick a gift`)}`,
+            `TRIGGER:-P${REMINDER_DAYS}D`,
+            "END:VALARM",
+            "END:VEVENT"
+        );
+    }
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Read the saved calendar
+ * @returns {Array} Occasions
+ */
+export function loadLocalCalendar() {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(CALENDAR_STORAGE_KEY));
+        if (Array.isArray(saved?.occasions)) return saved.occasions.map(sanitizeOccasion).filter(Boolean);
+    } catch (error) {
+        console.error("Could not read the gift calendar:", error);
+    }
+    return [];
+}
+
+/**
+ * Save the calendar to localStorage
+ */
+export function saveLocalCalendar(occasions) {
+    try {
+        window.localStorage.setItem(CALENDAR_STORAGE_KEY, JSON.stringify({ occasions }));
+    } catch (error) {
+        console.error("Could not save the gift calendar:", error);
+    }
+}
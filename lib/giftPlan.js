@@ -0,0 +1,109 @@
+/**
+ * Gift Plan — Shopping for several recipients at once
+ *
+ * When the intent lists two or more recipients ("my 5 coworkers and my boss, $300 total"),
+ * the pipeline plans instead of searching once: the total budget is split across the people
+ * who have no budget of their own, each recipient gets its own search intent, and the results
+ * come back as groups with a suggested pick and alternatives.
+ *
+ * A plan is { totalBudget, groups: [{ id, name, count, budgetPerPerson, budgetSource,
+ * occasion, dietaryRestrictions, productIds, pickId, relaxations }] }. The customer can swap a
+ * group's pick in the grid; planTotals recomputes the running total against the budget.
+ * Pure functions — safe to import from client components and server code alike.
+ */
+
+export const PLAN_PRODUCTS_PER_GROUP = 4;
+
+const roundDown = (value) => Math.floor(value * 100) / 100;
+
+/**
+ * Whether an intent asks for a multi-recipient plan
+ */
+export function isGiftPlan(intent) {
+    return Array.isArray(intent?.recipients) && intent.recipients.length >= 2;
+}
+
+/**
+ * Per-person budgets: stated budgets are kept, the rest of the total is shared evenly
+ * among everyone without one
+ * @param {Array} recipients - intent.recipients
+ * @param {number|null} totalBudget - intent.total_budget
+ * @returns {Array} Recipients with budgetPerPerson and budgetSource ("stated" | "split" | null)
+ */
+export function splitBudget(recipients, totalBudget) {
+    const stated = recipients.reduce((sum, r) => sum + (r.budget_max != null ? r.budget_max * r.count : 0), 0);
+    const unbudgetedPeople = recipients.reduce((sum, r) => sum + (r.budget_max == null ? r.count : 0), 0);
+    const remaining = totalBudget != null ? totalBudget - stated : null;
+    const share = remaining != null && remaining > 0 && unbudgetedPeople > 0 ? roundDown(remaining / unbudgetedPeople) : null;
+
+    return recipients.map((r) => {
+        if (r.budget_max != null) return { ...r, budgetPerPerson: r.budget_max, budgetSource: "stated" };
+        return { ...r, budgetPerPerson: share, budgetSource: share != null ? "split" : null };
+    });
+}
+
+/**
+ * The search intent for one recipient group
+ * Shared details (occasion, dietary restrictions, urgency, product type) come from the overall
+ * intent unless the recipient has their own
+ */
+export function recipientIntent(intent, recipient) {
+    return {
+        ...intent,
+        search_keywords: recipient.search_keywords.length > 0
+            ? recipient.search_keywords
+            : [...intent.search_keywords, recipient.name].slice(0, 4),
+        recipient: recipient.name,
+        occasion: recipient.occasion ?? intent.occasion,
+        budget_min: null,
+        budget_max: recipient.budgetPerPerson ?? intent.budget_max,
+        dietary_restrictions: [...new Set([...intent.dietary_restrictions, ...recipient.dietary_restrictions])],
+        recipients: [],
+        total_budget: null,
+    };
+}
+
+/**
+ * Choose each group's pick: its best-ranked product not already picked for an earlier group
+ * @param {Array<{ productIds: string[] }>} groups
+ * @returns {Array} Groups with pickId set (null when a group has no products)
+ */
+export function assignPicks(groups) {
+    const picked = new Set();
+    return groups.map((group) => {
+        const pickId = group.productIds.find((id) => !picked.has(id)) ?? group.productIds[0] ?? null;
+        if (pickId) picked.add(pickId);
+        return { ...group, pickId };
+    });
+}
+
+/**
+ * Running total of the picks against the budget
+ * @param {Object} plan
+ * @param {Array} products - Display products the plan's ids refer to
+ * @returns {{ spent: number, budget: number|null, remaining: number|null, lines: Array<{ groupId, productId, count, unitPrice, lineTotal }> }}
+ */
+export function planTotals(plan, products) {
+    const byId = new Map(products.map((p) => [String(p.id), p]));
+    const lines = plan.groups
+        .filter((group) => group.pickId && byId.has(String(group.pickId)))
+        .map((group) => {
+            const unitPrice = byId.get(String(group.pickId)).minPrice || 0;
+            return { groupId: group.id, productId: group.pickId, count: group.count, unitPrice, lineTotal: unitPrice * group.count };
+        });
+
+    const spent = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+    return {
+        spent,
+        budget: plan.totalBudget,
+        remaining: plan.totalBudget != null ? plan.totalBudget - spent : null,
+        lines,
+    };
+}
+
+/**
+ * "5 × coworker"
+ */
+export function describeGroup(group) {
+    return group.count > 1 ? `${group.count} × ${group.name}` : group.name;
+}
@@ -0,0 +1,126 @@
+/**
+ * Guardrails — Keeps the assistant on gifts and shopping, and untrusted text out of its instructions
+ *
+ * Every customer message is classified before any LLM call:
+ * - injection_suspect: tries to override the assistant ("ignore previous instructions",
+ *   "reveal your system prompt", fake role or system tags)
+ * - off_topic: clearly asks for something else (homework, code, essays, news) with nothing
+ *   about gifts or shopping in it
+ * - on_topic: everything else, including short follow-ups like "my mom" or "hi"
+ *
+ * In GUARDRAILS=enforce mode (the default) the first two get a polite scoped refusal instead of
+ * a pipeline run; "monitor" classifies and records without refusing; "off" skips the check.
+ * A suspected injection that also talks about gifts or shopping is always handled as "monitor".
+ * The decision is returned with every response as { verdict, action, mode, reasons }. A refused
+ * injection attempt is replaced by WITHHELD_MESSAGE in every server-side transcript, including
+ * one seeded from a saved conversation.
+ *
+ * Independently of the verdict, customer text, the conversation and catalog data (descriptions
+ * come from a third-party API) are wrapped in tags by `delimit` whenever they go into a prompt,
+ * and the system prompts tell the model to treat tagged text as data, never as instructions.
+ */
+
+export const GUARDRAIL_MODES = ["enforce", "monitor", "off"];
+
+// Tags that mark untrusted text in prompts; the same tags inside the text are neutralized
+export const UNTRUSTED_TAGS = ["customer_message", "conversation", "catalog_data"];
+
+// References to the customer's own earlier requests ("my previous instructions", "the directions
+// I gave", "pretend you are my mom") are them changing their mind, not an attack
+const OWN = String.raw`(?:my|our|I|we)`;
+
+const INJECTION_RULES = [
+    { reason: "asks to ignore instructions", pattern: new RegExp(String.raw`\b(ignore|disregard|forget|override|bypass)\b(?:(?!\b${OWN}\b).){0,40}\b(previous|prior|above|all|your|system)\b(?:(?!\b${OWN}\b).){0,20}\b(instructions?|prompts?|rules?|guidelines?|directions?)\b(?!\s+${OWN}\b)`, "i") },
+    { reason: "asks for the system prompt", pattern: /\b(reveal|show|print|repeat|output|tell me|what (is|are))\b.{0,30}\b(system prompt|your (instructions|prompt|rules)|initial prompt|hidden prompt)\b/i },
+    { reason: "tries to reassign the assistant's role", pattern: /\b(you are now|from now on,? you are|pretend (to be|you are)|act as an?|roleplay as|new persona)\b(?!\s+(my|our)\b)/i },
+    { reason: "mentions a jailbreak", pattern: /\b(jailbreak|developer mode|DAN mode|do anything now|no restrictions)\b/i },
+    { reason: "contains prompt markup", pattern: /<\/?\s*(system|assistant|instructions?|customer_message|conversation|catalog_data)\s*>|\[\/?(INST|SYS)\]|<\|im_(start|end)\|>|^\s*#{2,}\s*(system|instructions?)\b/im },
+];
+
+const OFF_TOPIC_RULES = [
+    { reason: "homework or exam help", pattern: /\b(homework|assignment|exam|quiz|essay|thesis|dissertation)\b/i },
+    { reason: "programming help", pattern: /\b(write|debug|fix|explain)\b.{0,30}\b(code|function|script|program|regex|sql|python|javascript|java)\b/i },
+    { reason: "math problem", pattern: /\b(solve|calculate|derivative|integral|equation)\b|^\s*(what'?s|what is)\s+[\d(]+\s*[-+*/^x×÷]/i },
+    { reason: "news, politics or current events", pattern: /\b(election|president|politic\w*|news|stock price|stock market|crypto\w*)\b/i },
+    // Medical words alone are fine ("good for someone with diabetes?"); asking for advice is not
+    { reason: "medical, legal or financial advice", pattern: /\b(diagnose|diagnosis|prescri(be|ption)|medical advice|symptoms of|(what|which) (medication|medicine|meds|dosage)|should I (see a doctor|take)|(treatment|cure|remedy) for|lawsuit|legal advice|tax return|invest(ing|ment)?)\b/i },
+    { reason: "general writing or trivia", pattern: /\b(write|compose)\b.{0,20}\b(poem|story|song|cover letter|resume|article)\b|\b(capital of|who (invented|discovered|won)|translate)\b/i },
+];
+
+// Anything about gifts, shopping or the catalog keeps a message on topic
+const SHOPPING_PATTERN = /\b(gifts?|presents?|buy|shop\w*|order\w*|deliver\w*|ship\w*|budget|price\w*|cheap\w*|afford\w*|\$\s?\d|under \d|birthday|anniversar\w*|wedding|graduation|valentine\w*|mother'?s day|father'?s day|christmas|holiday|thank(s| you)|sympathy|congrat\w*|get well|baby|party|occasion|surprise|basket|bouquet|box|platter|tray|arrangement|chocolates?|strawberr\w*|fruits?|cookies?|treats?|dessert|snacks?|flowers?|mom|mum|dad|parents?|wife|husband|partner|girlfriend|boyfriend|friends?|boss|cowork\w*|colleagues?|team|clients?|grandm\w*|grandp\w*|sister|brother)\b/i;
+
+// Stands in for a refused injection attempt in any transcript that reaches later prompts
+export const WITHHELD_MESSAGE = "(message withheld by the guardrail)";
+
+const REFUSALS = {
+    off_topic: "I'm only able to help with finding gifts and treats from our catalog, so I can't help with that one. 🎁 If you're shopping for someone — a birthday, a thank-you, an office party — tell me about it and I'll find some great options!",
+    injection_suspect: "I can't change how I work or share my instructions, but I'd love to help you find a gift. 🛍️ Who are you shopping for, and what's the occasion?",
+};
+
+/**
+ * The configured guardrail mode
+ */
+export function getGuardrailMode(env = process.env) {
+    const mode = (env.GUARDRAILS || "enforce").toLowerCase();
+    return GUARDRAIL_MODES.includes(mode) ? mode : "enforce";
+}
+
+/**
+ * Classify one customer message
+ * @param {string} message
+ * @param {Object} [options]
+ * @param {boolean} [options.checkTopic=true] - Off for questions about a specific product, which need no shopping words
+ * @param {string} [options.mode] - Guardrail mode (defaults to the configured one)
+ * @returns {{ verdict: "on_topic" | "off_topic" | "injection_suspect", action: "allow" | "refuse", mode: string, reasons: string[] }}
+ */
+export function checkInput(message, { checkTopic = true, mode = getGuardrailMode() } = {}) {
+    const decision = (verdict, reasons = [], effectiveMode = mode) => ({
+        verdict,
+        action: verdict !== "on_topic" && effectiveMode === "enforce" ? "refuse" : "allow",
+        mode: effectiveMode,
+        reasons,
+    });
+    if (mode === "off" || !message) return decision("on_topic");
+
+    const injection = INJECTION_RULES.filter((rule) => rule.pattern.test(message)).map((rule) => rule.reason);
+    if (injection.length > 0) {
+        // A shopping request alongside the suspicious phrase is more likely clumsy wording than
+        // an attack, so it is only recorded (mode "monitor") and the request is answered
+        if (SHOPPING_PATTERN.test(message)) return decision("injection_suspect", injection, "monitor");
+        return decision("injection_suspect", injection);
+    }
+
+    if (checkTopic && !SHOPPING_PATTERN.test(message)) {
+        const offTopic = OFF_TOPIC_RULES.filter((rule) => rule.pattern.test(message)).map((rule) => rule.reason);
+        if (offTopic.length > 0) return decision("off_topic", offTopic);
+    }
+
+    return decision("on_topic");
+}
+
+/**
+ * The polite, scoped reply for a refused message
+ */
+export function guardrailRefusal(decision) {
+    return REFUSALS[decision.verdict] || REFUSALS.off_topic;
+}
+
+/**
+ * Whether a message's text must be kept out of later prompts (a refused injection attempt)
+ */
+export function isWithheld(decision) {
+    return decision?.verdict === "injection_suspect" && decision.action === "refuse";
+}
+
+/**
+ * Wrap untrusted text in a tag for a prompt
+ * Any of our own tags inside the text are defanged so it cannot close the block early
+ * @param {string} tag - One of UNTRUSTED_TAGS
+ * @param {string} text
+ */
+export function delimit(tag, text) {
+    const pattern = new RegExp(`<\\s*(/?)\\s*(${UNTRUSTED_TAGS.join("|")})\\s*>`, "gi");
+    const safe = String(text ?? "").replace(pattern, (match, slash, name) => `(${slash}${name})`);
+    return `<${tag}>\n${safe}\n</${tag}>`;
+}
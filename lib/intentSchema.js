@@ -0,0 +1,348 @@
+/**
+ * Intent Schema — Validation, coercion and enum normalization for extracted intents
+ *
+ * The enums mirror the output format documented in buildIntentExtractionPrompt.
+ * validateIntent never throws: it returns a cleaned intent (every field present, invalid
+ * values replaced by defaults) plus the errors and coercions it found along the way.
+ * `recipients` (gift planning for several people) is a list of objects, each validated
+ * against RECIPIENT_SCHEMA the same way. `headcount` and `budget_per_person` describe group
+ * orders (an office party for 40), where the budget is per head rather than per item.
+ * `occasion_date` is the date of an occasion the customer wants remembered, normalized to
+ * "MM-DD" (recurs every year) or "YYYY-MM-DD" (a one-off event).
+ */
+
+export const INTENT_ENUMS = {
+    occasion: ["birthday", "anniversary", "sympathy", "thank_you", "congratulations", "get_well", "just_because", "corporate", "wedding", "holiday", "valentines", "mothers_day"],
+    urgency: ["same_day", "one_hour", "standard"],
+    product_type_preference: ["fruit_bouquet", "chocolate_covered", "baked_goods", "platters", "gift_basket", "any"],
+    intent_type: ["browse", "specific_search", "comparison", "question", "ready_to_buy", "greeting"],
+    clarification_topic: ["occasion", "budget", "recipient", "dietary", "size"],
+    sentiment: ["excited", "neutral", "confused", "frustrated", "decided"],
+};
+
+// Common model phrasings that map onto an enum value
+const ENUM_SYNONYMS = {
+    occasion: {
+        bday: "birthday",
+        thanks: "thank_you",
+        thankyou: "thank_you",
+        condolence: "sympathy",
+        condolences: "sympathy",
+        congrats: "congratulations",
+        get_well_soon: "get_well",
+        valentine: "valentines",
+        valentines_day: "valentines",
+        valentine_s_day: "valentines",
+        mother_s_day: "mothers_day",
+        mothersday: "mothers_day",
+        christmas: "holiday",
+        holidays: "holiday",
+        office: "corporate",
+        business: "corporate",
+    },
+    urgency: {
+        today: "same_day",
+        sameday: "same_day",
+        asap: "one_hour",
+        "1_hour": "one_hour",
+        one_hr: "one_hour",
+        normal: "standard",
+    },
+    product_type_preference: {
+        fruit_bouquets: "fruit_bouquet",
+        bouquet: "fruit_bouquet",
+        chocolate: "chocolate_covered",
+        chocolate_dipped: "chocolate_covered",
+        baked: "baked_goods",
+        bakery: "baked_goods",
+        platter: "platters",
+        basket: "gift_basket",
+        gift_baskets: "gift_basket",
+        none: "any",
+    },
+};
+
+/**
+ * Field definitions: type, whether the model must supply it, and the default used when a value is missing or invalid
+ */
+export const INTENT_SCHEMA = {
+    search_keywords: { type: "string[]", required: true, default: () => [] },
+    occasion: { type: "enum", nullable: true, default: () => null },
+    budget_min: { type: "number", nullable: true, default: () => null },
+    budget_max: { type: "number", nullable: true, default: () => null },
+    recipient: { type: "string", nullable: true, default: () => null },
+    dietary_restrictions: { type: "string[]", default: () => [] },
+    urgency: { type: "enum", nullable: true, default: () => null },
+    product_type_preference: { type: "enum", default: () => "any" },
+    intent_type: { type: "enum", required: true, default: () => "browse" },
+    needs_clarification: { type: "boolean", required: true, default: () => false },
+    clarification_topic: { type: "enum", nullable: true, default: () => null },
+    sentiment: { type: "enum", default: () => "neutral" },
+    recipients: { type: "recipient[]", default: () => [] },
+    total_budget: { type: "number", nullable: true, default: () => null },
+    headcount: { type: "number", nullable: true, default: () => null },
+    budget_per_person: { type: "number", nullable: true, default: () => null },
+    occasion_date: { type: "date", nullable: true, default: () => null },
+};
+
+/**
+ * One person (or group of identical recipients) in a multi-recipient gift plan
+ * budget_max is per person; enum fields share INTENT_ENUMS
+ */
+export const RECIPIENT_SCHEMA = {
+    name: { type: "string", required: true, default: () => null },
+    count: { type: "number", default: () => 1 },
+    budget_max: { type: "number", nullable: true, default: () => null },
+    occasion: { type: "enum", nullable: true, default: () => null },
+    dietary_restrictions: { type: "string[]", default: () => [] },
+    search_keywords: { type: "string[]", default: () => [] },
+};
+
+export const MAX_RECIPIENTS = 10;
+export const MAX_RECIPIENT_COUNT = 100;
+export const MAX_HEADCOUNT = 1000;
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const NULL_STRINGS = new Set(["", "null", "none", "n/a", "na", "undefined", "unknown"]);
+
+/**
+ * Build an intent with every field set to its default
+ */
+export function defaultIntent(overrides = {}) {
+    const intent = {};
+    for (const [field, def] of Object.entries(INTENT_SCHEMA)) {
+        intent[field] = def.default();
+    }
+    return { ...intent, ...overrides };
+}
+
+/**
+ * Pull the JSON object out of a model reply (tolerates ``` fences and surrounding prose)
+ * @returns {Object|null} Parsed object, or null when no JSON object can be parsed
+ */
+export function parseIntentJson(text) {
+    let jsonStr = String(text || "").trim();
+    if (jsonStr.startsWith("```")) {
+        jsonStr = jsonStr.replace(/```json?\n?/g, "").replace(/```/g, "").trim();
+    }
+
+    const start = jsonStr.indexOf("{");
+    const end = jsonStr.lastIndexOf("}");
+    if (start === -1 || end <= start) return null;
+
+    try {
+        const parsed = JSON.parse(jsonStr.slice(start, end + 1));
+        return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Normalize a date to "MM-DD" (no year given) or "YYYY-MM-DD"
+ * Accepts ISO dates, "03-12", "3/12" or "3/12/2027" (month first), "March 12", "12 March 2027"
+ * @returns {string|null} Null when the text is not a valid calendar date
+ */
+export function normalizeDate(value) {
+    const text = String(value).trim().toLowerCase().replace(/(\d)(st|nd|rd|th)\b/g, "$1").replace(/,/g, " ");
+    let year = null;
+    let month = null;
+    let day = null;
+
+    let match;
+    if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+        [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    } else if ((match = text.match(/^(\d{1,2})[-/](\d{1,2})(?:[-/](\d{2}|\d{4}))?$/))) {
+        [month, day] = [Number(match[1]), Number(match[2])];
+        if (match[3]) year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    } else if ((match = text.match(/^([a-z]+)\.?\s+(\d{1,2})(?:\s+(\d{4}))?$/))) {
+        [month, day] = [MONTHS.indexOf(match[1].slice(0, 3)) + 1, Number(match[2])];
+        if (match[3]) year = Number(match[3]);
+    } else if ((match = text.match(/^(\d{1,2})\s+([a-z]+)\.?(?:\s+(\d{4}))?$/))) {
+        [month, day] = [MONTHS.indexOf(match[2].slice(0, 3)) + 1, Number(match[1])];
+        if (match[3]) year = Number(match[3]);
+    } else {
+        return null;
+    }
+
+    if (month < 1 || month > 12 || day < 1 || day > DAYS_IN_MONTH[month - 1]) return null;
+    if (year != null && month === 2 && day === 29 && new Date(Date.UTC(year, 1, 29)).getUTCMonth() !== 1) return null;
+    const monthDay = `${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+    return year != null ? `${year}-${monthDay}` : monthDay;
+}
+
+function isNullish(value) {
+    return value == null || (typeof value === "string" && NULL_STRINGS.has(value.trim().toLowerCase()));
+}
+
+/**
+ * Coerce a single field value; returns { value } or { error }
+ */
+function coerceField(field, def, value) {
+    if (isNullish(value)) {
+        if (def.nullable) return { value: null };
+        return { value: def.default() };
+    }
+
+    switch (def.type) {
+        case "number": {
+            if (typeof value === "number") {
+                return Number.isFinite(value) ? { value } : { error: `${field} must be a finite number` };
+            }
+            // "$50", "50 dollars", "1,200"
+            const match = String(value).replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+            if (!match) return { error: `${field} must be a number or null, got ${JSON.stringify(value)}` };
+            return { value: Number(match[0]) };
+        }
+
+        case "string":
+            return { value: String(value).trim() };
+
+        case "boolean":
+            if (typeof value === "boolean") return { value };
+            if (/^(true|yes|1)$/i.test(String(value).trim())) return { value: true };
+            if (/^(false|no|0)$/i.test(String(value).trim())) return { value: false };
+            return { error: `${field} must be true or false, got ${JSON.stringify(value)}` };
+
+        case "string[]": {
+            const list = Array.isArray(value) ? value : String(value).split(",");
+            return {
+                value: list
+                    .filter((item) => !isNullish(item))
+                    .map((item) => String(item).trim().toLowerCase())
+                    .filter(Boolean),
+            };
+        }
+
+        case "enum": {
+            const allowed = INTENT_ENUMS[field];
+            const key = String(value).trim().toLowerCase().replace(/['’]/g, "_").replace(/[\s-]+/g, "_").replace(/_+/g, "_");
+            const normalized = allowed.includes(key) ? key : ENUM_SYNONYMS[field]?.[key];
+            if (!normalized) {
+                return { error: `${field} must be one of ${allowed.join("|")}${def.nullable ? "|null" : ""}, got ${JSON.stringify(value)}` };
+            }
+            return { value: normalized };
+        }
+
+        case "date": {
+            const date = normalizeDate(value);
+            if (!date) return { error: `${field} must be a date like "03-12" or "2027-03-12", got ${JSON.stringify(value)}` };
+            return { value: date };
+        }
+
+        case "recipient[]": {
+            if (!Array.isArray(value)) return { error: `${field} must be a list of recipient objects` };
+            const recipients = [];
+            const errors = [];
+
+            value.slice(0, MAX_RECIPIENTS).forEach((item, i) => {
+                const result = coerceRecipient(`${field}[${i}]`, item);
+                errors.push(...result.errors);
+                if (result.recipient) recipients.push(result.recipient);
+            });
+            return errors.length > 0 ? { error: errors.join("; "), value: recipients } : { value: recipients };
+        }
+
+        default:
+            return { value };
+    }
+}
+
+/**
+ * Coerce one recipient object field by field
+ * @returns {{ recipient: Object|null, errors: string[] }} Null recipient when it has no name
+ */
+function coerceRecipient(path, raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        return { recipient: null, errors: [`${path} must be an object`] };
+    }
+
+    const recipient = {};
+    const errors = [];
+    for (const [field, def] of Object.entries(RECIPIENT_SCHEMA)) {
+        if (def.required && isNullish(raw[field])) {
+            errors.push(`${path}.${field} is required`);
+            return { recipient: null, errors };
+        }
+        const result = coerceField(field, def, raw[field]);
+        if (result.error) {
+            errors.push(`${path}.${result.error}`);
+            recipient[field] = def.default();
+        } else {
+            recipient[field] = result.value;
+        }
+    }
+
+    recipient.count = Math.min(MAX_RECIPIENT_COUNT, Math.max(1, Math.round(recipient.count)));
+    if (recipient.budget_max != null && recipient.budget_max < 0) {
+        errors.push(`${path}.budget_max must not be negative`);
+        recipient.budget_max = null;
+    }
+    return { recipient, errors };
+}
+
+/**
+ * Validate and clean a parsed intent
+ * @param {Object|null} raw - Parsed model output
+ * @returns {{ intent: Object, valid: boolean, errors: string[], coercions: string[] }}
+ */
+export function validateIntent(raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        return {
+            intent: defaultIntent(),
+            valid: false,
+            errors: ["Output must be a single JSON object"],
+            coercions: [],
+        };
+    }
+
+    const intent = {};
+    const errors = [];
+    const coercions = [];
+
+    for (const [field, def] of Object.entries(INTENT_SCHEMA)) {
+        if (!(field in raw)) {
+            if (def.required) errors.push(`Missing required field ${field}`);
+            else coercions.push(`${field}: missing → ${JSON.stringify(def.default())}`);
+            intent[field] = def.default();
+            continue;
+        }
+
+        const result = coerceField(field, def, raw[field]);
+        if (result.error) {
+            errors.push(result.error);
+            // Lists keep their valid entries
+            intent[field] = result.value ?? def.default();
+        } else {
+            intent[field] = result.value;
+            if (JSON.stringify(result.value) !== JSON.stringify(raw[field])) {
+                coercions.push(`${field}: ${JSON.stringify(raw[field])} → ${JSON.stringify(result.value)}`);
+            }
+        }
+    }
+
+    for (const field of ["budget_min", "budget_max", "total_budget", "budget_per_person"]) {
+        if (intent[field] != null && intent[field] < 0) {
+            errors.push(`${field} must not be negative`);
+            intent[field] = null;
+        }
+    }
+    if (intent.headcount != null) {
+        const headcount = Math.min(MAX_HEADCOUNT, Math.round(intent.headcount));
+        if (headcount < 1) {
+            errors.push("headcount must be at least 1");
+            intent.headcount = null;
+        } else if (headcount !== intent.headcount) {
+            coercions.push(`headcount: ${intent.headcount} → ${headcount}`);
+            intent.headcount = headcount;
+        }
+    }
+    if (intent.budget_min != null && intent.budget_max != null && intent.budget_min > intent.budget_max) {
+        coercions.push(`budget_min/budget_max swapped (${intent.budget_min} > ${intent.budget_max})`);
+        [intent.budget_min, intent.budget_max] = [intent.budget_max, intent.budget_min];
+    }
+
+    return { intent, valid: errors.length === 0, errors, coercions };
+}
@@ -0,0 +1,288 @@
+/**
+ * LLM Providers — Chat-completion backends selected by configuration
+ *
+ * LLM_PROVIDER picks the backend:
+ * - "nim" (default): NVIDIA NIM, authenticated with NVIDIA_NIM_API_KEY
+ * - "openai": any OpenAI-compatible endpoint (Ollama, vLLM, llama.cpp server) at LLM_BASE_URL
+ * - "mock": deterministic scripted responses keyed by prompt type, for offline development and tests
+ *
+ * Every provider exposes complete(messages, { step, temperature, maxTokens, onToken, signal });
+ * an aborted `signal` stops the request and rejects with its abort reason.
+ * `step` names the pipeline stage ("intent", "clarification", "response", "comparison", "product_qa") so
+ * LLM_MODEL_<STEP> can route e.g. intent extraction to a small model and responses to a larger one.
+ */
+
+import { readFileSync } from "node:fs";
+
+const NIM_API_URL = "https://integrate.api.nvidia.com/v1/chat/completions";
+const NIM_DEFAULT_MODEL = "meta/llama-3.1-8b-instruct";
+
+export const PIPELINE_STEPS = ["intent", "clarification", "response", "comparison", "product_qa"];
+
+/**
+ * Read LLM configuration from environment variables
+ * @returns {Object} Provider config understood by createLLMProvider
+ */
+export function getLLMConfigFromEnv(env = process.env) {
+    const models = { default: env.LLM_MODEL || null };
+    for (const step of PIPELINE_STEPS) {
+        const override = env[`LLM_MODEL_${step.toUpperCase()}`];
+        if (override) models[step] = override;
+    }
+
+    const provider = (env.LLM_PROVIDER || "nim").toLowerCase();
+
+    return {
+        provider,
+        baseUrl: env.LLM_BASE_URL || null,
+        // Never forward the NIM key to a third-party endpoint
+        apiKey: (provider === "nim" ? env.NVIDIA_NIM_API_KEY || env.LLM_API_KEY : env.LLM_API_KEY) || null,
+        models,
+        mockScriptPath: env.LLM_MOCK_SCRIPT || null,
+    };
+}
+
+/**
+ * Resolve the model for a pipeline step, falling back to the provider default
+ */
+function resolveModel(models, step) {
+    return (step && models[step]) || models.default;
+}
+
+/**
+ * Read an OpenAI-style streamed completion ("data: {...}" lines ending with "data: [DONE]")
+ * @returns {Promise<string>} The concatenated completion text
+ */
+async function readCompletionStream(response, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let fullText = "";
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith("data:")) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (payload === "[DONE]") return fullText;
+
+            try {
+                const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+                if (delta) {
+                    fullText += delta;
+                    onToken(delta);
+                }
+            } catch (e) {
+                console.error("[LLM Stream] Could not parse chunk:", payload);
+            }
+        }
+    }
+
+    return fullText;
+}
+
+/**
+ * Provider for any /chat/completions endpoint that speaks the OpenAI wire format
+ * @param {Object} options
+ * @param {string} options.name - Label used in logs and errors
+ * @param {string} options.url - Full chat completions URL
+ * @param {string|null} options.apiKey - Sent as a Bearer token when present
+ * @param {Object} options.models - { default, intent?, clarification?, response?, comparison? }
+ */
+export function createOpenAICompatibleProvider({ name, url, apiKey, models }) {
+    return {
+        name,
+
+        async complete(messages, { step, temperature = 0.7, maxTokens = 1024, onToken, signal } = {}) {
+            const model = resolveModel(models, step);
+            if (!model) {
+                throw new Error(`${name}: no model configured for step "${step}" (set LLM_MODEL)`);
+            }
+
+            const stream = typeof onToken === "function";
+            const headers = { "Content-Type": "application/json" };
+            if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+            const response = await fetch(url, {
+                method: "POST",
+                headers,
+                body: JSON.stringify({
+                    model,
+                    messages,
+                    temperature,
+                    max_tokens: maxTokens,
+                    stream,
+                }),
+                signal,
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error(`${name} API error:`, response.status, errorText);
+                throw new Error(`${name} API error: ${response.status}`);
+            }
+
+            if (stream) {
+                return readCompletionStream(response, onToken);
+            }
+
+            const data = await response.json();
+            return data.choices?.[0]?.message?.content || "";
+        },
+    };
+}
+
+// ─────────────────────────────────────────────
+// Mock provider
+// ─────────────────────────────────────────────
+
+const DEFAULT_MOCK_SCRIPT = {
+    intent: [
+        JSON.stringify({
+            search_keywords: ["birthday", "chocolate strawberries"],
+            occasion: "birthday",
+            budget_min: null,
+            budget_max: null,
+            recipient: null,
+            dietary_restrictions: [],
+            urgency: null,
+            product_type_preference: "any",
+            intent_type: "specific_search",
+            needs_clarification: false,
+            clarification_topic: null,
+            sentiment: "neutral",
+        }),
+    ],
+    clarification: [
+        "Happy to help you find something special! 🎁 What's the occasion, and who is the gift for?",
+    ],
+    response: [
+        "Here are some popular picks that fit what you described — take a look at the grid! ✨ Tell me more about the occasion or budget and I can narrow it down.",
+    ],
+    comparison: [
+        "Both are lovely choices. The first is the better value, while the second offers more size options.",
+    ],
+    product_qa: [
+        "The product details don't say — the product page may have more information.",
+    ],
+};
+
+/**
+ * Deterministic provider that replays canned responses keyed by pipeline step
+ *
+ * A script maps each step to a list of entries. An entry is either a string, replayed in order
+ * (wrapping around), or { match, response }, returned whenever `match` (case-insensitive
+ * substring) appears in the last prompt message.
+ * @param {Object} [options.script] - Step → entries; defaults to a small built-in script
+ */
+export function createMockProvider({ script = DEFAULT_MOCK_SCRIPT } = {}) {
+    const cursors = {};
+
+    return {
+        name: "mock",
+
+        async complete(messages, { step = "response", onToken, signal } = {}) {
+            signal?.throwIfAborted();
+            const entries = script[step] || DEFAULT_MOCK_SCRIPT[step] || [""];
+            const prompt = (messages[messages.length - 1]?.content || "").toLowerCase();
+
+            const matched = entries.find(
+                (entry) => typeof entry === "object" && entry.match && prompt.includes(entry.match.toLowerCase())
+            );
+
+            let text;
+            if (matched) {
+                text = matched.response;
+            } else {
+                const sequential = entries.filter((entry) => typeof entry === "string");
+                const index = cursors[step] || 0;
+                text = sequential.length > 0 ? sequential[index % sequential.length] : "";
+                cursors[step] = index + 1;
+            }
+
+            if (typeof onToken === "function") {
+                // Stream word by word so the SSE path is exercised offline too
+                for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+                    signal?.throwIfAborted();
+                    onToken(piece);
+                }
+            }
+
+            return text;
+        },
+
+        reset() {
+            for (const step of Object.keys(cursors)) delete cursors[step];
+        },
+    };
+}
+
+// ─────────────────────────────────────────────
+// Provider selection
+// ─────────────────────────────────────────────
+
+/**
+ * Build a provider from a config object (see getLLMConfigFromEnv)
+ */
+export function createLLMProvider(config) {
+    switch (config.provider) {
+        case "nim":
+            if (!config.apiKey) {
+                throw new Error("NVIDIA_NIM_API_KEY is not set in environment variables");
+            }
+            return createOpenAICompatibleProvider({
+                name: "NVIDIA NIM",
+                url: config.baseUrl ? `${config.baseUrl.replace(/\/$/, "")}/chat/completions` : NIM_API_URL,
+                apiKey: config.apiKey,
+                models: { ...config.models, default: config.models.default || NIM_DEFAULT_MODEL },
+            });
+
+        case "openai":
+            if (!config.baseUrl) {
+                throw new Error("LLM_BASE_URL is required for the openai provider (e.g. http://localhost:11434/v1)");
+            }
+            return createOpenAICompatibleProvider({
+                name: "OpenAI-compatible",
+                url: `${config.baseUrl.replace(/\/$/, "")}/chat/completions`,
+                apiKey: config.apiKey,
+                models: config.models,
+            });
+
+        case "mock": {
+            const script = config.script
+                || (config.mockScriptPath ? JSON.parse(readFileSync(config.mockScriptPath, "utf8")) : undefined);
+            return createMockProvider({ script });
+        }
+
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${config.provider}" (expected nim, openai or mock)`);
+    }
+}
+
+let activeProvider = null;
+
+/**
+ * Get the process-wide provider, created lazily from the environment
+ */
+export function getLLMProvider() {
+    if (!activeProvider) {
+        activeProvider = createLLMProvider(getLLMConfigFromEnv());
+        console.log("[LLM] Using provider:", activeProvider.name);
+    }
+    return activeProvider;
+}
+
+/**
+ * Replace the process-wide provider (offline runs and tests); pass null to re-read the environment
+ */
+export function setLLMProvider(provider) {
+    activeProvider = provider;
+}
@@ -0,0 +1,271 @@
+/**
+ * Local catalog adapter
+ * Serves products from a JSON or CSV file through an in-memory keyword index,
+ * so the assistant can run against a custom product feed or offline
+ *
+ * Records use the canonical field names from catalog.js (id, name, description, minPrice, ...).
+ * A single `price` column fills both minPrice and maxPrice, and `occasion` may be a list.
+ * `sizes` may be a list of { name, price, originalPrice } or, in CSV, "Small:29.99|Large:49.99".
+ * The file is read once, on first use.
+ */
+
+import { readFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { tokenize } from "./text.js";
+
+// How much a keyword hit in each field contributes to the relevance score
+const FIELD_WEIGHTS = {
+  name: 3,
+  category: 2,
+  occasion: 2,
+  productTag: 1,
+  ingredients: 1,
+  description: 1,
+};
+
+const BOOLEAN_FIELDS = ["isOneHourDelivery", "onSale"];
+const NUMBER_FIELDS = ["minPrice", "maxPrice", "originalPrice", "sizeCount"];
+
+/**
+ * Parse CSV text (quoted fields, escaped quotes, CRLF) into objects keyed by the header row
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+  if (!header) return [];
+
+  const keys = header.map((h) => h.trim());
+  return body.map((cells) =>
+    Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? "").trim()]))
+  );
+}
+
+/**
+ * Parse per-size pricing from a JSON list or a "Name:price|Name:price" string
+ * @returns {import("./catalog.js").ProductSize[]|null}
+ */
+function parseSizes(value) {
+  if (value == null || value === "") return null;
+
+  const entries = Array.isArray(value)
+    ? value
+    : String(value).split("|").map((part) => {
+      const [name, price] = part.split(":").map((s) => s.trim());
+      return { name, price };
+    });
+
+  const toNumber = (v) => {
+    const n = Number(String(v ?? "").replace(/[$,]/g, ""));
+    return v == null || v === "" || !Number.isFinite(n) ? null : n;
+  };
+
+  const sizes = entries
+    .filter((entry) => entry && entry.name)
+    .map((entry) => {
+      const originalPrice = toNumber(entry.originalPrice);
+      const price = toNumber(entry.price);
+      return {
+        name: String(entry.name),
+        price,
+        originalPrice,
+        onSale: originalPrice != null && price != null && originalPrice > price,
+      };
+    });
+
+  return sizes.length > 0 ? sizes : null;
+}
+
+/**
+ * Map a local feed record onto the canonical catalog product
+ * @param {Object} raw - Record from the JSON array or a CSV row
+ * @returns {import("./catalog.js").CatalogProduct}
+ */
+export function normalizeLocalProduct(raw) {
+  const record = { ...raw };
+
+  for (const field of NUMBER_FIELDS) {
+    if (record[field] === "" || record[field] == null) {
+      record[field] = null;
+    } else {
+      const value = Number(String(record[field]).replace(/[$,]/g, ""));
+      record[field] = Number.isFinite(value) ? value : null;
+    }
+  }
+  for (const field of BOOLEAN_FIELDS) {
+    record[field] = record[field] === true || /^(true|yes|1)$/i.test(String(record[field] ?? ""));
+  }
+
+  const sizes = parseSizes(record.sizes);
+  if (sizes) {
+    const prices = sizes.map((s) => s.price).filter((p) => p != null);
+    if (prices.length > 0) {
+      record.minPrice ??= Math.min(...prices);
+      record.maxPrice ??= Math.max(...prices);
+    }
+    record.sizeCount ??= sizes.length;
+  }
+
+  if (record.price != null && record.price !== "") {
+    const price = Number(String(record.price).replace(/[$,]/g, ""));
+    if (Number.isFinite(price)) {
+      record.minPrice ??= price;
+      record.maxPrice ??= price;
+    }
+  }
+
+  const occasion = Array.isArray(record.occasion) ? record.occasion.join(", ") : record.occasion;
+
+  return {
+    id: String(record.id),
+    name: record.name || "",
+    description: String(record.description || "").replace(/<[^>]*>/g, "").trim(),
+    image: record.image || record.thumbnail || "",
+    thumbnail: record.thumbnail || record.image || "",
+    minPrice: record.minPrice,
+    maxPrice: record.maxPrice ?? record.minPrice,
+    url: record.url || "",
+    occasion: occasion || "",
+    category: record.category || "",
+    ingredients: record.ingredients || "",
+    allergyInfo: record.allergyInfo || "",
+    sizeCount: record.sizeCount || 1,
+    isOneHourDelivery: record.isOneHourDelivery,
+    productTag: record.productTag || "",
+    promo: record.promo || "",
+    onSale: record.onSale,
+    originalPrice: record.originalPrice,
+    catalogCode: record.catalogCode || "",
+    sizes,
+    score: 0,
+  };
+}
+
+/**
+ * Build a token → (product id → weight) index over the weighted fields
+ */
+function buildIndex(products) {
+  const index = new Map();
+
+  for (const product of products) {
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      for (const token of new Set(tokenize(product[field]))) {
+        if (!index.has(token)) index.set(token, new Map());
+        const postings = index.get(token);
+        postings.set(product.id, (postings.get(product.id) || 0) + weight);
+      }
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Create a catalog adapter over a local product file or an in-memory product list
+ * @param {Object} options
+ * @param {string} [options.path] - .json (array, or { products: [...] }) or .csv file
+ * @param {Array} [options.products] - Raw records, used instead of reading a file
+ * @returns {import("./catalog.js").CatalogAdapter}
+ */
+export function createLocalCatalog({ path, products: records } = {}) {
+  let loading = null;
+
+  const load = () => {
+    loading ??= (async () => {
+      let raw = records;
+      if (!raw) {
+        const text = await readFile(path, "utf8");
+        if (extname(path).toLowerCase() === ".csv") {
+          raw = parseCsv(text);
+        } else {
+          const parsed = JSON.parse(text);
+          raw = Array.isArray(parsed) ? parsed : parsed.products || [];
+        }
+      }
+
+      const products = raw.map(normalizeLocalProduct);
+      console.log("[Local Catalog] Indexed", products.length, "products", path ? `from ${path}` : "");
+
+      return {
+        byId: new Map(products.map((p) => [p.id, p])),
+        index: buildIndex(products),
+      };
+    })();
+    return loading;
+  };
+
+  return {
+    name: "local",
+
+    async search(keyword) {
+      const { byId, index } = await load();
+      const queryTokens = [...new Set(tokenize(keyword))];
+      if (queryTokens.length === 0) return [];
+
+      // Sum field weights per product; products hitting more of the query rank higher
+      const scores = new Map();
+      for (const token of queryTokens) {
+        for (const [id, weight] of index.get(token) || []) {
+          scores.set(id, (scores.get(id) || 0) + weight);
+        }
+      }
+
+      return [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([id, score]) => ({ ...byId.get(id), score }));
+    },
+
+    async getById(id) {
+      const { byId } = await load();
+      return byId.get(String(id)) || null;
+    },
+
+    async getSizes(id) {
+      const { byId } = await load();
+      return byId.get(String(id))?.sizes || null;
+    },
+
+    async list() {
+      const { byId } = await load();
+      return [...byId.values()];
+    },
+
+    normalize: normalizeLocalProduct,
+  };
+}
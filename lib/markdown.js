@@ -0,0 +1,175 @@
+/**
+ * Markdown — Parses assistant text into a small, safe document tree
+ *
+ * Model output (which can echo product descriptions from a third-party API) is never treated
+ * as HTML: this parser turns a markdown subset into plain nodes that MessageContent renders as
+ * React elements, so any markup in the text shows up as text. HTML tags are stripped, and links
+ * keep only http(s) and mailto targets.
+ *
+ * Blocks: paragraph, heading, list (ordered or not), table.
+ * Inline: text, strong (**bold**), em (*italic* / _italic_), code, link ([text](url)),
+ * break (a single newline) and product ([ID:xxxx] references, rendered as product chips).
+ * Pure functions — safe to import from client components and server code alike.
+ */
+
+const HTML_TAG_PATTERN = /<\/?[a-z][a-z0-9-]*(?:\s[^<>]*)?\/?>/gi;
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+const BULLET_PATTERN = /^\s*[-*•]\s+(.*)$/;
+const ORDERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+const TABLE_ROW_PATTERN = /^\s*\|.*\|\s*$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+// Earliest match wins; on a tie the first pattern listed does
+const INLINE_RULES = [
+    { type: "product", pattern: /\[ID:([\w-]+)\]/ },
+    { type: "link", pattern: /\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/ },
+    { type: "code", pattern: /`([^`\n]+)`/ },
+    { type: "strong", pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*/ },
+    { type: "em", pattern: /(?<![\w*])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![\w*])|(?<!\w)_(?=\S)([^_\n]*?\S)_(?!\w)/ },
+];
+
+/**
+ * Whether a link target is safe to put in an href
+ */
+export function isSafeUrl(url) {
+    return SAFE_URL_PATTERN.test(url.trim());
+}
+
+/**
+ * Split a line of text into inline nodes
+ * @param {string} text
+ * @returns {Array} Inline nodes
+ */
+export function parseInline(text) {
+    const nodes = [];
+    let rest = text;
+
+    const pushText = (value) => {
+        if (!value) return;
+        const last = nodes[nodes.length - 1];
+        if (last?.type === "text") last.text += value;
+        else nodes.push({ type: "text", text: value });
+    };
+
+    while (rest) {
+        let best = null;
+        for (const rule of INLINE_RULES) {
+            const match = rest.match(rule.pattern);
+            if (match && (!best || match.index < best.match.index)) best = { rule, match };
+        }
+        if (!best) {
+            pushText(rest);
+            break;
+        }
+
+        const { rule, match } = best;
+        pushText(rest.slice(0, match.index));
+        rest = rest.slice(match.index + match[0].length);
+
+        switch (rule.type) {
+            case "product":
+                nodes.push({ type: "product", id: match[1] });
+                break;
+            case "link":
+                if (isSafeUrl(match[2])) nodes.push({ type: "link", href: match[2].trim(), children: parseInline(match[1]) });
+                else parseInline(match[1]).forEach((node) => (node.type === "text" ? pushText(node.text) : nodes.push(node)));
+                break;
+            case "code":
+                nodes.push({ type: "code", text: match[1] });
+                break;
+            case "strong":
+                nodes.push({ type: "strong", children: parseInline(match[1]) });
+                break;
+            case "em":
+                nodes.push({ type: "em", children: parseInline(match[1] ?? match[2]) });
+                break;
+        }
+    }
+
+    return nodes;
+}
+
+/**
+ * Inline nodes for several lines joined by line breaks
+ */
+function parseLines(lines) {
+    return lines.flatMap((line, i) => (i === 0 ? parseInline(line) : [{ type: "break" }, ...parseInline(line)]));
+}
+
+const splitRow = (line) => line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map((cell) => parseInline(cell.trim()));
+
+/**
+ * Parse markdown text into blocks
+ * @param {string} content - Raw message text
+ * @returns {Array} Block nodes
+ */
+export function parseMarkdown(content) {
+    if (!content) return [];
+
+    const lines = content.replace(/\r\n?/g, "\n").replace(HTML_TAG_PATTERN, "").split("\n");
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) blocks.push({ type: "paragraph", children: parseLines(paragraph) });
+        paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            flushParagraph();
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            flushParagraph();
+            blocks.push({ type: "heading", level: heading[1].length, children: parseInline(heading[2]) });
+            continue;
+        }
+
+        // A table needs a header row followed by a |---|---| divider
+        if (TABLE_ROW_PATTERN.test(line) && TABLE_DIVIDER_PATTERN.test(lines[i + 1] || "")) {
+            flushParagraph();
+            const header = splitRow(line);
+            const rows = [];
+            i += 2;
+            while (i < lines.length && TABLE_ROW_PATTERN.test(lines[i])) {
+                rows.push(splitRow(lines[i]));
+                i++;
+            }
+            i--;
+            blocks.push({ type: "table", header, rows });
+            continue;
+        }
+
+        const bullet = line.match(BULLET_PATTERN);
+        const numbered = bullet ? null : line.match(ORDERED_PATTERN);
+        if (bullet || numbered) {
+            flushParagraph();
+            const ordered = Boolean(numbered);
+            const itemPattern = ordered ? ORDERED_PATTERN : BULLET_PATTERN;
+            const items = [];
+            while (i < lines.length && lines[i].trim()) {
+                const item = lines[i].match(itemPattern);
+                // Indented lines under an item continue it
+                if (item) items.push([item[1]]);
+                else if (/^\s+\S/.test(lines[i]) && items.length > 0) items[items.length - 1].push(lines[i].trim());
+                else break;
+                i++;
+            }
+            i--;
+            blocks.push({ type: "list", ordered, items: items.map(parseLines) });
+            continue;
+        }
+
+        paragraph.push(line);
+    }
+    flushParagraph();
+
+    return blocks;
+}
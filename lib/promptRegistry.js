@@ -0,0 +1,150 @@
+/**
+ * Prompt Registry — Named, versioned prompt templates with weighted A/B variants per session
+ *
+ * Every prompt the pipeline sends (see prompts.js) is registered under a name with a version,
+ * the variables it takes and a render function. Without configuration each prompt uses its
+ * default version: the one registered with `default: true`, or else the first one registered.
+ *
+ * PROMPT_VARIANTS splits sessions between versions by weight, e.g. "response@1=70,response@2=30"
+ * or { "response": { "1": 70, "2": 30 } }. A session's versions are picked once, from a hash of
+ * its id, so the same session always sees the same variant. Every response records the
+ * { name, version } of each prompt it used, so conversion-proxy metrics (shortlisted products,
+ * "ready to buy" turns) can be compared between variants.
+ */
+
+const registry = new Map();
+
+/**
+ * Register one version of a prompt
+ * @param {Object} definition
+ * @param {string} definition.name - Prompt name, e.g. "response"
+ * @param {string} definition.version - Version label, e.g. "1"
+ * @param {string[]} [definition.variables] - Variables the render function reads
+ * @param {Function} definition.render - Receives the variables object and returns the prompt text
+ * @param {boolean} [definition.default] - Use this version when no variant is assigned
+ */
+export function registerPrompt({ name, version, variables = [], render, default: isDefault = false }) {
+    const versions = registry.get(name) || { defaultVersion: null, versions: new Map() };
+    const label = String(version);
+    if (versions.versions.has(label)) throw new Error(`Prompt ${name}@${label} is already registered`);
+
+    versions.versions.set(label, { name, version: label, variables, render });
+    if (isDefault || !versions.defaultVersion) versions.defaultVersion = label;
+    registry.set(name, versions);
+}
+
+/**
+ * Every registered prompt with its versions and variables
+ */
+export function listPrompts() {
+    return [...registry.entries()].map(([name, { defaultVersion, versions }]) => ({
+        name,
+        defaultVersion,
+        versions: [...versions.values()].map(({ version, variables }) => ({ version, variables })),
+    }));
+}
+
+/**
+ * Parse a variants setting: JSON ({ name: { version: weight } }) or comma-separated
+ * name@version=weight pairs. Unknown prompts or versions and non-positive weights are ignored.
+ * @returns {Object} Prompt name → [{ version, weight }]
+ */
+export function parsePromptVariants(text) {
+    if (!text) return {};
+
+    let raw;
+    try {
+        raw = text.trim().startsWith("{")
+            ? JSON.parse(text)
+            : text.split(",").reduce((acc, pair) => {
+                const [key, weight] = pair.split("=").map((s) => s.trim());
+                const [name, version] = (key || "").split("@");
+                if (name && version) (acc[name] ??= {})[version] = weight;
+                return acc;
+            }, {});
+    } catch (e) {
+        console.error("[Prompt Registry] Could not parse PROMPT_VARIANTS:", e.message);
+        return {};
+    }
+
+    const variants = {};
+    for (const [name, weights] of Object.entries(raw)) {
+        const versions = registry.get(name)?.versions;
+        if (!versions || !weights || typeof weights !== "object") {
+            console.warn("[Prompt Registry] Ignoring variants for unknown prompt:", name);
+            continue;
+        }
+        const entries = Object.entries(weights)
+            .filter(([version, weight]) => versions.has(String(version)) && Number(weight) > 0)
+            .map(([version, weight]) => ({ version: String(version), weight: Number(weight) }));
+        if (entries.length > 0) variants[name] = entries;
+    }
+    return variants;
+}
+
+let envVariants = null;
+
+/**
+ * The PROMPT_VARIANTS setting (read once, after the prompts are registered)
+ */
+export function getPromptVariants() {
+    envVariants ??= parsePromptVariants(process.env.PROMPT_VARIANTS);
+    return envVariants;
+}
+
+/**
+ * A stable number in [0, 1) for a string (FNV-1a)
+ */
+function bucketFor(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Pick a version of every prompt that has variants, by weight, for one session
+ * Each prompt gets its own bucket, so experiments on different prompts are independent.
+ * Without a session id every prompt keeps its default version.
+ * @param {string|null} sessionId
+ * @param {Object} [variants] - Parsed variants (defaults to PROMPT_VARIANTS)
+ * @returns {Object} Prompt name → version, only for prompts with variants
+ */
+export function assignPromptVersions(sessionId, variants = getPromptVariants()) {
+    const assignment = {};
+    if (!sessionId) return assignment;
+
+    for (const [name, entries] of Object.entries(variants)) {
+        const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+        let point = bucketFor(`${sessionId}:${name}`) * total;
+        const picked = entries.find((entry) => (point -= entry.weight) < 0) || entries[entries.length - 1];
+        assignment[name] = picked.version;
+    }
+    return assignment;
+}
+
+/**
+ * Render a prompt with the version assigned to the session
+ * A version that is no longer registered falls back to the default.
+ * @param {string} name - Prompt name
+ * @param {Object} [variables] - Must only use the variables the prompt declares
+ * @param {Object} [assignment] - Prompt name → version (from assignPromptVersions)
+ * @returns {{ text: string, ref: { name: string, version: string } }}
+ */
+export function renderPrompt(name, variables = {}, assignment = {}) {
+    const entry = registry.get(name);
+    if (!entry) throw new Error(`Unknown prompt "${name}"`);
+
+    const assigned = assignment?.[name];
+    const prompt = entry.versions.get(String(assigned)) || entry.versions.get(entry.defaultVersion);
+    if (assigned != null && prompt.version !== String(assigned)) {
+        console.warn(`[Prompt Registry] ${name}@${assigned} is not registered, using ${name}@${prompt.version}`);
+    }
+
+    const unknown = Object.keys(variables).filter((key) => !prompt.variables.includes(key));
+    if (unknown.length > 0) throw new Error(`Prompt ${name}@${prompt.version} has no variable(s): ${unknown.join(", ")}`);
+
+    return { text: prompt.render(variables), ref: { name, version: prompt.version } };
+}
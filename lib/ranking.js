@@ -0,0 +1,233 @@
+/**
+ * Ranking — Hybrid re-ranking of filtered products against the extracted intent
+ *
+ * Each product gets a 0–1 value per factor; the weighted sum orders the list:
+ * - searchScore: the adapter's relevance score, relative to the best in the set
+ * - keywordHits: share of the intent's search keywords found in the product's text
+ * - productType: product_type_preference matched against category (name and tag count less)
+ * - budgetFit: closeness of minPrice to the middle of the customer's budget (for group orders,
+ *   closeness of the cost per head to the per-person budget)
+ * - urgency: one-hour delivery when the customer needs it today
+ * - sale: currently on sale
+ * - allergenSafety: verified safe for every dietary restriction (vs. unverified)
+ * - groupSize: serves several people, when ordering for a large group
+ * - diversity: applied while picking the order — a product in a price band that is already
+ *   well represented near the top gives up some of its lead, so the first page spans price points
+ *
+ * Weights default to DEFAULT_RANKING_WEIGHTS and can be overridden with RANKING_WEIGHTS
+ * ("productType=1.5,sale=0" or a JSON object). Every ranked product carries a `ranking`
+ * explanation: its total, per-factor contributions and a short plain-language summary.
+ */
+
+import { tokenize } from "./text.js";
+import { LARGE_GROUP_HEADCOUNT, isBulkOrder, estimateServings, quoteFor } from "./bulkOrder.js";
+
+export const DEFAULT_RANKING_WEIGHTS = {
+    searchScore: 1,
+    keywordHits: 0.8,
+    productType: 1,
+    budgetFit: 0.6,
+    urgency: 0.5,
+    sale: 0.2,
+    allergenSafety: 0.4,
+    groupSize: 0.8,
+    diversity: 0.3,
+};
+
+// Words that identify each product_type_preference in a product's category, name or tag
+const PRODUCT_TYPE_TERMS = {
+    fruit_bouquet: ["bouquet", "arrangement", "fruit"],
+    chocolate_covered: ["chocolate", "dipped", "covered"],
+    baked_goods: ["baked", "bakery", "cookie", "brownie", "cake", "cupcake"],
+    platters: ["platter", "tray", "board"],
+    gift_basket: ["basket", "box", "bundle", "set"],
+};
+
+// Upper bounds of the price bands used for diversity
+const PRICE_BANDS = [30, 60, 100, 150, Infinity];
+
+const FACTOR_LABELS = {
+    searchScore: "strong search match",
+    keywordHits: "matches your keywords",
+    productType: "the product type you asked for",
+    budgetFit: "close to your budget",
+    urgency: "1-hour delivery",
+    sale: "on sale",
+    allergenSafety: "verified for your dietary needs",
+    groupSize: "serves a group",
+};
+
+/**
+ * Parse a weights override: JSON object or comma-separated key=value pairs; unknown keys are ignored
+ */
+export function parseRankingWeights(text) {
+    if (!text) return {};
+
+    let raw;
+    try {
+        raw = text.trim().startsWith("{")
+            ? JSON.parse(text)
+            : Object.fromEntries(text.split(",").map((pair) => pair.split("=").map((s) => s.trim())));
+    } catch (e) {
+        console.error("[Ranking] Could not parse RANKING_WEIGHTS:", e.message);
+        return {};
+    }
+
+    const weights = {};
+    for (const [key, value] of Object.entries(raw)) {
+        if (key in DEFAULT_RANKING_WEIGHTS && Number.isFinite(Number(value))) weights[key] = Number(value);
+    }
+    return weights;
+}
+
+let envWeights = null;
+
+/**
+ * Default weights with the RANKING_WEIGHTS override applied (read once)
+ */
+export function getRankingWeights() {
+    envWeights ??= { ...DEFAULT_RANKING_WEIGHTS, ...parseRankingWeights(process.env.RANKING_WEIGHTS) };
+    return envWeights;
+}
+
+function priceBand(price) {
+    return PRICE_BANDS.findIndex((max) => (price ?? 0) < max);
+}
+
+/**
+ * Score how well minPrice sits inside the budget: 1 at the midpoint, falling to 0 at twice
+ * the half-range away. An open-ended budget uses a point three quarters of the way to the cap.
+ */
+function budgetCloseness(price, min, max) {
+    if (price == null || (min == null && max == null)) return 0;
+
+    let target;
+    let spread;
+    if (min != null && max != null) {
+        target = (min + max) / 2;
+        spread = Math.max((max - min) / 2, 5);
+    } else if (max != null) {
+        target = max * 0.75;
+        spread = Math.max(max * 0.25, 5);
+    } else {
+        target = min * 1.25;
+        spread = Math.max(min * 0.25, 5);
+    }
+
+    return Math.max(0, 1 - Math.abs(price - target) / (spread * 2));
+}
+
+/**
+ * Per-factor values (0–1) for one product
+ */
+function scoreFactors(product, { intent, keywordTokens, maxSearchScore }) {
+    const text = new Set(tokenize([product.name, product.description, product.category, product.occasion, product.productTag].join(" ")));
+
+    const typeTerms = PRODUCT_TYPE_TERMS[intent.product_type_preference] || [];
+    const categoryTokens = new Set(tokenize(product.category));
+    const nameTokens = new Set(tokenize(`${product.name} ${product.productTag}`));
+    let productType = 0;
+    if (typeTerms.some((term) => categoryTokens.has(term))) productType = 1;
+    else if (typeTerms.some((term) => nameTokens.has(term))) productType = 0.6;
+
+    const isGroupOrder = isBulkOrder(intent);
+    const budgetFit = isGroupOrder && intent.budget_per_person != null
+        ? budgetCloseness(quoteFor(product, intent.headcount).perPerson, null, intent.budget_per_person)
+        : budgetCloseness(product.minPrice, intent.budget_min, intent.budget_max);
+
+    return {
+        searchScore: maxSearchScore > 0 ? Math.max(0, product.score || 0) / maxSearchScore : 0,
+        keywordHits: keywordTokens.length > 0 ? keywordTokens.filter((t) => text.has(t)).length / keywordTokens.length : 0,
+        productType,
+        budgetFit,
+        urgency: (intent.urgency === "one_hour" || intent.urgency === "same_day") && product.isOneHourDelivery ? 1 : 0,
+        sale: product.onSale ? 1 : 0,
+        allergenSafety: product.allergens?.status === "safe" ? 1 : 0,
+        groupSize: isGroupOrder && intent.headcount >= LARGE_GROUP_HEADCOUNT && estimateServings(product).count > 1 ? 1 : 0,
+    };
+}
+
+/**
+ * Plain-language reason from the factors that contributed most
+ */
+function summarize(contributions) {
+    const reasons = Object.entries(contributions)
+        .filter(([factor, c]) => FACTOR_LABELS[factor] && c.contribution > 0.1)
+        .sort((a, b) => b[1].contribution - a[1].contribution)
+        .slice(0, 3)
+        .map(([factor]) => FACTOR_LABELS[factor]);
+
+    return reasons.length > 0 ? reasons.join(", ") : "general match";
+}
+
+/**
+ * Re-rank products for an intent
+ * @param {Array} products - Filtered catalog products
+ * @param {Object} intent - Validated intent (with profile applied)
+ * @param {Object} [weights] - Per-factor weights; defaults to getRankingWeights()
+ * @returns {Array} New product objects in ranked order, each with a `ranking` explanation
+ */
+export function rankProducts(products, intent, weights = getRankingWeights()) {
+    if (products.length === 0) return [];
+
+    const context = {
+        intent,
+        keywordTokens: [...new Set(tokenize((intent.search_keywords || []).join(" ")))],
+        maxSearchScore: Math.max(0, ...products.map((p) => p.score || 0)),
+    };
+
+    const candidates = products.map((product) => {
+        const values = scoreFactors(product, context);
+        const contributions = {};
+        let base = 0;
+        for (const [factor, value] of Object.entries(values)) {
+            const contribution = value * (weights[factor] ?? 0);
+            contributions[factor] = { value: Number(value.toFixed(3)), weight: weights[factor] ?? 0, contribution: Number(contribution.toFixed(3)) };
+            base += contribution;
+        }
+        return { product, base, contributions, band: priceBand(product.minPrice) };
+    });
+
+    // Greedy pick: each step takes the best base score plus a bonus for an under-represented price band
+    const bandCounts = new Map();
+    const remaining = [...candidates];
+    const ranked = [];
+
+    while (remaining.length > 0) {
+        let bestIndex = 0;
+        let bestTotal = -Infinity;
+        let bestNovelty = 0;
+
+        remaining.forEach((candidate, i) => {
+            const novelty = 1 / (1 + (bandCounts.get(candidate.band) || 0));
+            const total = candidate.base + novelty * (weights.diversity ?? 0);
+            if (total > bestTotal) {
+                bestTotal = total;
+                bestIndex = i;
+                bestNovelty = novelty;
+            }
+        });
+
+        const [picked] = remaining.splice(bestIndex, 1);
+        bandCounts.set(picked.band, (bandCounts.get(picked.band) || 0) + 1);
+
+        ranked.push({
+            ...picked.product,
+            ranking: {
+                score: Number(bestTotal.toFixed(3)),
+                factors: {
+                    ...picked.contributions,
+                    diversity: {
+                        value: Number(bestNovelty.toFixed(3)),
+                        weight: weights.diversity ?? 0,
+                        contribution: Number((bestNovelty * (weights.diversity ?? 0)).toFixed(3)),
+                    },
+                },
+                summary: summarize(picked.contributions),
+            },
+        });
+    }
+
+    console.log("[Ranking] Top 3:", ranked.slice(0, 3).map((p) => `${p.id} (${p.ranking.score})`).join(", "));
+    return ranked;
+}
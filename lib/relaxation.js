@@ -0,0 +1,156 @@
+/**
+ * Relaxation — Widen or drop constraints one at a time when filtering leaves nothing
+ *
+ * Steps run in RELAXATION_ORDER and stop as soon as products come back:
+ * 1. occasion: drop the occasion match
+ * 2. budget_max / budget_min: widen the bound just far enough to reach the nearest products
+ *    (at most MAX_BUDGET_STRETCH times the original cap) that pass every other constraint
+ * 3. urgency: drop the 1-hour delivery requirement
+ * 4. budget: drop the budget entirely
+ * Dietary restrictions are never relaxed — an empty result beats an unsafe one. When even the
+ * fully relaxed filters match nothing, the original empty result is returned with no relaxations.
+ *
+ * Each applied step is reported as { constraint, from, to, description } so the assistant can
+ * say "nothing under $20, but here are options up to $28" and the UI can flag the chip.
+ */
+
+import { filterProducts } from "./catalog.js";
+
+export const RELAXATION_ORDER = ["occasion", "budget_max", "budget_min", "urgency", "budget"];
+
+// How many products a widened budget should reach, and how far it may stretch
+const BUDGET_TARGET_COUNT = 3;
+const MAX_BUDGET_STRETCH = 2;
+
+const money = (value) => `$${Number.isInteger(value) ? value : value.toFixed(2)}`;
+
+/**
+ * Prices of the products that would pass if the given budget bound were lifted
+ */
+function candidatePrices(products, filters, bound) {
+    const { [bound]: _removed, ...rest } = filters;
+    return filterProducts(products, rest)
+        .map((p) => p.minPrice)
+        .filter((price) => price != null);
+}
+
+/**
+ * Each step returns the relaxed filters plus a description of the change, or null if it does not apply
+ */
+const STEPS = {
+    occasion(filters) {
+        if (!filters.occasion) return null;
+        const { occasion, ...rest } = filters;
+        return {
+            filters: rest,
+            change: { constraint: "occasion", from: occasion, to: null, description: `no ${occasion} products matched, so the occasion filter was dropped` },
+        };
+    },
+
+    budget_max(filters, products) {
+        if (filters.maxBudget == null) return null;
+        const prices = candidatePrices(products, filters, "maxBudget")
+            .filter((price) => price > filters.maxBudget && price <= filters.maxBudget * MAX_BUDGET_STRETCH)
+            .sort((a, b) => a - b);
+        if (prices.length === 0) return null;
+
+        const to = Math.ceil(prices[Math.min(BUDGET_TARGET_COUNT, prices.length) - 1]);
+        return {
+            filters: { ...filters, maxBudget: to },
+            change: { constraint: "budget_max", from: filters.maxBudget, to, description: `nothing under ${money(filters.maxBudget)}, so the budget was raised to ${money(to)}` },
+        };
+    },
+
+    budget_min(filters, products) {
+        if (filters.minBudget == null) return null;
+        const prices = candidatePrices(products, filters, "minBudget")
+            .filter((price) => price < filters.minBudget && price >= filters.minBudget / MAX_BUDGET_STRETCH)
+            .sort((a, b) => b - a);
+        if (prices.length === 0) return null;
+
+        const to = Math.floor(prices[Math.min(BUDGET_TARGET_COUNT, prices.length) - 1]);
+        return {
+            filters: { ...filters, minBudget: to },
+            change: { constraint: "budget_min", from: filters.minBudget, to, description: `nothing over ${money(filters.minBudget)}, so the minimum was lowered to ${money(to)}` },
+        };
+    },
+
+    urgency(filters) {
+        if (!filters.urgentDelivery) return null;
+        const { urgentDelivery, ...rest } = filters;
+        return {
+            filters: rest,
+            change: { constraint: "urgency", from: "one_hour", to: null, description: "nothing matched with 1-hour delivery, so standard delivery options are included" },
+        };
+    },
+
+    budget(filters) {
+        if (filters.minBudget == null && filters.maxBudget == null) return null;
+        const { minBudget, maxBudget, ...rest } = filters;
+        return {
+            filters: rest,
+            change: { constraint: "budget", from: { min: minBudget ?? null, max: maxBudget ?? null }, to: null, description: "nothing matched within the budget, so it was set aside" },
+        };
+    },
+};
+
+/**
+ * Apply the named steps in order, starting from the original filters (steps that do not apply are skipped)
+ */
+function replay(products, filters, names) {
+    let activeFilters = { ...filters };
+    const relaxations = [];
+
+    for (const name of names) {
+        const step = STEPS[name](activeFilters, products);
+        if (!step) continue;
+        activeFilters = step.filters;
+        relaxations.push(step.change);
+    }
+
+    return { products: filterProducts(products, activeFilters), relaxations };
+}
+
+/**
+ * Filter products, relaxing constraints in priority order until something matches
+ * Once something matches, earlier steps that turn out to be unnecessary are undone,
+ * so e.g. the occasion is kept when only the budget was the problem
+ * @param {Array} products - Catalog products
+ * @param {Object} filters - filterProducts criteria
+ * @returns {{ products: Array, relaxations: Array<{ constraint: string, from: *, to: *, description: string }> }}
+ */
+export function filterWithRelaxation(products, filters) {
+    let result = replay(products, filters, []);
+    if (result.products.length > 0) return result;
+
+    let applied = [];
+    for (const name of RELAXATION_ORDER) {
+        applied = [...applied, name];
+        result = replay(products, filters, applied);
+        if (result.products.length > 0) break;
+    }
+
+    // Nothing was found by loosening anything, so nothing was loosened
+    if (result.products.length === 0) return { products: [], relaxations: [] };
+
+    for (const name of applied.slice(0, -1)) {
+        const without = applied.filter((n) => n !== name);
+        const candidate = replay(products, filters, without);
+        if (candidate.products.length > 0) {
+            applied = without;
+            result = candidate;
+        }
+    }
+
+    for (const change of result.relaxations) {
+        console.log("[Relaxation]", change.description);
+    }
+    return result;
+}
+
+/**
+ * Plain-language summary of the relaxations, for prompts
+ */
+export function describeRelaxations(relaxations) {
+    return (relaxations || []).map((r) => `- ${r.description}`).join("\n");
+}
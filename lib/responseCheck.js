@@ -0,0 +1,298 @@
+/**
+ * Response Check — Verifies product claims in generated text before it is returned
+ *
+ * The prompts tell the model to mention products as **Name** [ID:xxxx] (starting at $XX.XX)
+ * and never to invent anything; this checks that it did, against the products it was given:
+ * - unknown_id: an [ID:...] that is not one of those products
+ * - price_mismatch: "starting at $X" (or "from $X") after a mention (with or without its ID) that
+ *   differs from its minPrice, or from every size price for products given with `sizePrices`
+ * - missing_id: a bolded product name with no [ID:...] after it
+ * - unknown_product: a bolded name in the product-mention format, **Name** (starting at $X),
+ *   that matches no product (bold labels like "**Budget picks** starting at $20:" are left alone)
+ *
+ * What happens next depends on RESPONSE_CHECK:
+ * - "repair" (default): fix what can be fixed (the right ID for a known name, the real price,
+ *   the missing ID) and strip the sentence or list item around anything that can't
+ * - "regenerate": ask the model once more with the problems listed, then repair what remains
+ * - "strip": remove every sentence or list item that makes a bad claim
+ * - "off": no check
+ * Every checked response gets a report: { mode, action, regenerated, issues }.
+ */
+
+export const RESPONSE_CHECK_MODES = ["repair", "regenerate", "strip", "off"];
+
+const ID_PATTERN = /\[ID:([\w-]+)\]/g;
+const BOLD_PATTERN = /\*\*([^*\n]+?)\*\*/g;
+const PRICE_CLAIM_PATTERN = /\b(?:starting at|starts at|from)\s*\$\s?(\d[\d,]*(?:\.\d{1,2})?)/i;
+// The prompted mention format: the price in parentheses right after the bolded name
+const MENTION_PRICE_PATTERN = /^\s*\(\s*(?:starting at|starts at|from)\s*\$/i;
+const LIST_OR_TABLE_LINE = /^\s*([-*•]|\d+[.)]|\|)/;
+// How far after a mention its price claim may appear
+const CLAIM_WINDOW = 80;
+// Used when stripping leaves nothing to say
+const STRIPPED_FALLBACK = "Here are some options that fit — take a look at the products alongside this chat.";
+
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+const money = (value) => value.toFixed(2);
+
+/**
+ * The configured response check mode
+ */
+export function getResponseCheckMode(env = process.env) {
+    const mode = (env.RESPONSE_CHECK || "repair").toLowerCase();
+    return RESPONSE_CHECK_MODES.includes(mode) ? mode : "repair";
+}
+
+/**
+ * The product a bolded name refers to, if any (exact, or one name containing the other)
+ */
+function productByName(name, products) {
+    const wanted = normalizeName(name);
+    if (wanted.length < 3) return null;
+    return products.find((p) => normalizeName(p.name) === wanted)
+        ?? products.find((p) => {
+            const candidate = normalizeName(p.name);
+            const shorter = Math.min(candidate.length, wanted.length);
+            return shorter >= 8 && (candidate.includes(wanted) || wanted.includes(candidate));
+        })
+        ?? null;
+}
+
+/**
+ * The "starting at $X" claim that follows a position, stopping at the next mention or line
+ * @returns {{ start: number, end: number, stated: number }|null} Span of the amount itself
+ */
+function priceClaimAfter(text, index) {
+    const windowText = text.slice(index, index + CLAIM_WINDOW).split(/\n|\[ID:|\*\*/)[0];
+    const match = windowText.match(PRICE_CLAIM_PATTERN);
+    if (!match) return null;
+    const start = index + match.index + match[0].length - match[1].length;
+    return { start, end: start + match[1].length, stated: Number(match[1].replace(/,/g, "")) };
+}
+
+/**
+ * A price_mismatch issue for a claim that fits none of the product's prices, or null
+ * With size prices (product questions) any size's price is accepted, and a mismatch is not
+ * repaired because the size it meant is unknown.
+ */
+function priceIssue(product, name, priceClaim) {
+    if (!priceClaim || product.minPrice == null) return null;
+    const prices = [product.minPrice, ...(product.sizePrices || [])].filter((price) => price != null);
+    if (prices.some((price) => Math.abs(priceClaim.stated - price) < 0.01)) return null;
+    return {
+        type: "price_mismatch",
+        id: String(product.id),
+        name,
+        stated: priceClaim.stated,
+        actual: product.minPrice,
+        index: priceClaim.start,
+        fix: product.sizePrices?.length > 0 ? null : { start: priceClaim.start, end: priceClaim.end, text: money(product.minPrice) },
+    };
+}
+
+/**
+ * Find every bad product claim in a response
+ * @param {string} text - Generated response
+ * @param {Array} products - The products the model was given ({ id, name, minPrice, sizePrices? })
+ * @returns {Array} Issues: { type, id, name, stated, actual, index, fix }, where fix is
+ *   { start, end, text } for repairable issues and null otherwise
+ */
+export function findClaimIssues(text, products) {
+    const byId = new Map(products.map((p) => [String(p.id), p]));
+    const issues = [];
+
+    // Bolded names: the one right before an ID labels that mention; the rest should have had one
+    const boldBeforeId = new Map();
+    for (const bold of text.matchAll(BOLD_PATTERN)) {
+        const end = bold.index + bold[0].length;
+        const idAfter = text.slice(end).match(/^\s*\[ID:([\w-]+)\]/);
+        if (idAfter) {
+            boldBeforeId.set(end + idAfter.index + idAfter[0].indexOf("[ID:"), bold[1]);
+            continue;
+        }
+
+        const product = productByName(bold[1], products);
+        const priceClaim = priceClaimAfter(text, end);
+        if (product) {
+            issues.push({
+                type: "missing_id",
+                id: String(product.id),
+                name: bold[1],
+                index: bold.index,
+                fix: { start: end, end, text: ` [ID:${product.id}]` },
+            });
+            const mismatch = priceIssue(product, bold[1], priceClaim);
+            if (mismatch) issues.push(mismatch);
+        } else if (priceClaim && MENTION_PRICE_PATTERN.test(text.slice(end))) {
+            issues.push({ type: "unknown_product", name: bold[1], stated: priceClaim.stated, index: bold.index, fix: null });
+        }
+    }
+
+    for (const mention of text.matchAll(ID_PATTERN)) {
+        const id = mention[1];
+        const name = boldBeforeId.get(mention.index) ?? null;
+        let product = byId.get(id);
+
+        if (!product) {
+            // A known name with a wrong ID keeps the name and gets the right ID
+            const named = name ? productByName(name, products) : null;
+            issues.push({
+                type: "unknown_id",
+                id,
+                name,
+                index: mention.index,
+                fix: named ? { start: mention.index, end: mention.index + mention[0].length, text: `[ID:${named.id}]` } : null,
+            });
+            if (!named) continue;
+            product = named;
+        }
+
+        const mismatch = priceIssue(product, name ?? product.name, priceClaimAfter(text, mention.index + mention[0].length));
+        if (mismatch) issues.push(mismatch);
+    }
+
+    return issues.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * The sentence (or whole list item / table row) around a position
+ * @returns {[number, number]} Start and end offsets
+ */
+function claimUnit(text, index) {
+    const lineStart = text.lastIndexOf("\n", index - 1) + 1;
+    const newline = text.indexOf("\n", index);
+    const lineEnd = newline === -1 ? text.length : newline;
+    if (LIST_OR_TABLE_LINE.test(text.slice(lineStart, lineEnd))) {
+        return [lineStart, newline === -1 ? lineEnd : lineEnd + 1];
+    }
+
+    const boundaries = [...text.slice(lineStart, index).matchAll(/[.!?]\s+/g)];
+    const last = boundaries[boundaries.length - 1];
+    const start = last ? lineStart + last.index + last[0].length : lineStart;
+    const sentenceEnd = text.slice(index, lineEnd).match(/[.!?](\s+|$)/);
+    const end = sentenceEnd ? index + sentenceEnd.index + sentenceEnd[0].length : lineEnd;
+    return [start, end];
+}
+
+/**
+ * Remove the sentences or list items around the given positions
+ */
+function stripAt(text, positions) {
+    const ranges = positions
+        .map((index) => claimUnit(text, index))
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+            else merged.push([...range]);
+            return merged;
+        }, []);
+
+    let result = text;
+    for (const [start, end] of ranges.reverse()) result = result.slice(0, start) + result.slice(end);
+    return result.replace(/[ \t]{2,}/g, " ").replace(/\n{3,}/g, "\n\n").trim() || STRIPPED_FALLBACK;
+}
+
+/**
+ * Apply the fixes for repairable issues and strip the claims that can't be repaired
+ */
+export function repairClaims(text, issues) {
+    let result = text;
+    const unfixable = [];
+    // Later positions first so earlier offsets stay valid
+    for (const issue of [...issues].sort((a, b) => b.index - a.index)) {
+        if (issue.fix) result = result.slice(0, issue.fix.start) + issue.fix.text + result.slice(issue.fix.end);
+        else unfixable.push(issue);
+    }
+    if (unfixable.length === 0) return result;
+
+    // Offsets moved with the fixes, so find the unfixable claims again in the repaired text
+    return stripClaims(result, unfixable.map((issue) => ({ ...issue, index: locate(result, issue) })));
+}
+
+/**
+ * Where an unfixable issue's claim sits in (possibly edited) text
+ */
+function locate(text, issue) {
+    const needle = issue.type === "unknown_id" || issue.type === "price_mismatch" ? `[ID:${issue.id}]` : `**${issue.name}**`;
+    const index = text.indexOf(needle);
+    return index === -1 ? issue.index : index;
+}
+
+/**
+ * Remove every sentence or list item that makes a bad claim
+ */
+export function stripClaims(text, issues) {
+    if (issues.length === 0) return text;
+    return stripAt(text, issues.map((issue) => issue.index));
+}
+
+/**
+ * The problems in plain words, for the regeneration request
+ */
+export function describeIssues(issues) {
+    return issues
+        .map((issue) => {
+            switch (issue.type) {
+                case "unknown_id":
+                    return `- [ID:${issue.id}]${issue.name ? ` (${issue.name})` : ""} is not one of the products you were given.`;
+                case "price_mismatch":
+                    return `- ${issue.name} [ID:${issue.id}] starts at $${money(issue.actual)}, not $${money(issue.stated)}.`;
+                case "missing_id":
+                    return `- **${issue.name}** needs its [ID:${issue.id}] tag right after the name.`;
+                default:
+                    return `- "${issue.name}" is not one of the products you were given — do not mention it.`;
+            }
+        })
+        .join("\n");
+}
+
+const reportIssues = (issues, action) =>
+    issues.map(({ type, id = null, name, stated = null, actual = null }) => ({ type, id, name, stated, actual, action }));
+
+/**
+ * Check a generated response and correct it according to the mode
+ * @param {string} text - Generated response
+ * @param {Array} products - The products the model was given
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Response check mode (defaults to the configured one)
+ * @param {Function} [options.regenerate] - Receives the problems in plain words and resolves to a new response
+ * @returns {Promise<{ message: string, report: Object }>}
+ */
+export async function checkResponse(text, products, { mode = getResponseCheckMode(), regenerate } = {}) {
+    if (mode === "off" || !text) return { message: text, report: { mode, action: "none", regenerated: false, issues: [] } };
+
+    const issues = findClaimIssues(text, products);
+    if (issues.length === 0) return { message: text, report: { mode, action: "none", regenerated: false, issues: [] } };
+
+    if (mode === "strip") {
+        return { message: stripClaims(text, issues), report: { mode, action: "stripped", regenerated: false, issues: reportIssues(issues, "stripped") } };
+    }
+
+    if (mode === "regenerate" && regenerate) {
+        const retried = await regenerate(describeIssues(issues));
+        const remaining = findClaimIssues(retried, products);
+        return {
+            message: remaining.length > 0 ? repairClaims(retried, remaining) : retried,
+            report: {
+                mode,
+                action: "regenerated",
+                regenerated: true,
+                issues: [
+                    ...reportIssues(issues, "regenerated"),
+                    ...remaining.map((issue) => reportIssues([issue], issue.fix ? "repaired" : "stripped")[0]),
+                ],
+            },
+        };
+    }
+
+    return {
+        message: repairClaims(text, issues),
+        report: {
+            mode,
+            action: issues.every((issue) => issue.fix) ? "repaired" : "repaired_and_stripped",
+            regenerated: false,
+            issues: issues.map((issue) => reportIssues([issue], issue.fix ? "repaired" : "stripped")[0]),
+        },
+    };
+}
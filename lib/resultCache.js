@@ -0,0 +1,78 @@
+/**
+ * Result Cache — Keeps ranked result sets so the grid can page through them
+ *
+ * A cursor ("<setId>.<offset>") points into a cached, already ranked and display-formatted
+ * product list, so loading more never re-runs search, ranking or the LLM. The set's total (shown
+ * plus cached products) is counted here once, so every page reports the same totalResults.
+ * Sets expire after RESULT_TTL and the oldest are evicted beyond MAX_RESULT_SETS.
+ */
+
+const RESULT_TTL = 15 * 60 * 1000; // 15 minutes
+const MAX_RESULT_SETS = 200;
+
+export const DEFAULT_PAGE_SIZE = 8;
+export const MAX_PAGE_SIZE = 48;
+
+const resultSets = new Map();
+
+/**
+ * Clamp a client-supplied page size
+ */
+export function normalizePageSize(limit) {
+    const value = Math.floor(Number(limit));
+    if (!Number.isFinite(value) || value < 1) return DEFAULT_PAGE_SIZE;
+    return Math.min(value, MAX_PAGE_SIZE);
+}
+
+function prune() {
+    const cutoff = Date.now() - RESULT_TTL;
+    for (const [id, set] of resultSets) {
+        if (set.createdAt < cutoff) resultSets.delete(id);
+    }
+    // Map iteration order is insertion order, so the first entries are the oldest
+    while (resultSets.size > MAX_RESULT_SETS) {
+        resultSets.delete(resultSets.keys().next().value);
+    }
+}
+
+/**
+ * Cache the ranked products that are not on screen yet
+ * @param {Array} products - Display-formatted products, in ranked order
+ * @param {Array} [shownProducts] - The first page as shown (may include products mentioned from outside the ranked list)
+ * @returns {{ cursor: string|null, total: number }} Cursor for the next page (null when there is nothing more to show) and the total result count
+ */
+export function storeResultSet(products = [], shownProducts = []) {
+    const shownIds = new Set(shownProducts.map((p) => String(p.id)));
+    const remaining = products.filter((p) => !shownIds.has(String(p.id)));
+    const total = shownIds.size + remaining.length;
+    if (remaining.length === 0) return { cursor: null, total };
+
+    prune();
+    const id = crypto.randomUUID();
+    resultSets.set(id, { products: remaining, total, createdAt: Date.now() });
+    return { cursor: `${id}.0`, total };
+}
+
+/**
+ * Read a page from a cached result set
+ * @returns {{ products: Array, nextCursor: string|null, total: number }|null} Null if the cursor is unknown or expired
+ */
+export function getResultPage(cursor, limit = DEFAULT_PAGE_SIZE) {
+    const [id, offsetStr] = String(cursor || "").split(".");
+    const offset = Number(offsetStr);
+    const set = resultSets.get(id);
+
+    if (!set || !Number.isInteger(offset) || offset < 0 || Date.now() - set.createdAt > RESULT_TTL) {
+        return null;
+    }
+
+    const pageSize = normalizePageSize(limit);
+    const products = set.products.slice(offset, offset + pageSize);
+    const nextOffset = offset + products.length;
+
+    return {
+        products,
+        nextCursor: nextOffset < set.products.length ? `${id}.${nextOffset}` : null,
+        total: set.total,
+    };
+}
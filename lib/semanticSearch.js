@@ -0,0 +1,239 @@
+/**
+ * Semantic Search — Nearest-neighbour product retrieval over a local vector index
+ *
+ * Optional (SEMANTIC_SEARCH, see embeddings.js). Products are embedded from their name,
+ * description, occasion and ingredients, and only their ids and vectors are kept in a JSON index
+ * at SEMANTIC_INDEX_PATH (default .data/semantic-index.json) — product data always comes from
+ * the catalog, so prices and availability are never served from a stale copy. The index fills up two ways: adapters that can list
+ * their whole catalog (the local adapter) are indexed on first use, and every keyword search
+ * result is indexed as it is seen, so the Edible catalog is learned as people search.
+ *
+ * searchFromIntent embeds the customer's own words and merges the nearest products into the
+ * keyword results before filtering and ranking; nearest products the keyword search didn't
+ * return are looked up in the catalog by id.
+ */
+
+import { mkdir, readFile, writeFile, rename } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { createHash } from "node:crypto";
+import { createEmbedderFromEnv, cosineSimilarity } from "./embeddings.js";
+import { getProductsByIds } from "./catalog.js";
+
+const SAVE_DELAY_MS = 2000;
+const DEFAULT_HIT_LIMIT = 20;
+
+/**
+ * Text a product is embedded from
+ */
+export function productEmbeddingText(product) {
+    return [
+        product.name,
+        product.description,
+        product.occasion ? `Occasion: ${product.occasion}` : "",
+        product.category ? `Category: ${product.category}` : "",
+        product.ingredients ? `Ingredients: ${product.ingredients}` : "",
+    ]
+        .filter(Boolean)
+        .join(". ");
+}
+
+const textHash = (text) => createHash("sha1").update(text).digest("hex").slice(0, 16);
+
+/**
+ * Create a vector index for one embedder
+ * @param {Object} options
+ * @param {Object} options.embedder - See embeddings.js
+ * @param {string|null} [options.path] - JSON file to load from and save to; in-memory only when null
+ */
+export function createSemanticIndex({ embedder, path = null }) {
+    // id → { id, hash, vector }
+    const entries = new Map();
+    let loading = null;
+    let saveTimer = null;
+
+    const load = () => {
+        loading ??= (async () => {
+            if (!path) return;
+            try {
+                const data = JSON.parse(await readFile(path, "utf8"));
+                if (data.signature !== embedder.signature) {
+                    console.log("[Semantic] Index was built with", data.signature, "— rebuilding for", embedder.signature);
+                    return;
+                }
+                for (const { id, hash, vector } of data.entries || []) entries.set(id, { id, hash, vector });
+                console.log("[Semantic] Loaded", entries.size, "vectors from", path);
+            } catch (error) {
+                if (error.code !== "ENOENT") console.error("[Semantic] Could not read index:", error.message);
+            }
+        })();
+        return loading;
+    };
+
+    const save = async () => {
+        const tmp = `${path}.tmp`;
+        await mkdir(dirname(path), { recursive: true });
+        await writeFile(tmp, JSON.stringify({ signature: embedder.signature, entries: [...entries.values()] }));
+        await rename(tmp, path);
+    };
+
+    const scheduleSave = () => {
+        if (!path || saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            save().catch((error) => console.error("[Semantic] Could not save index:", error.message));
+        }, SAVE_DELAY_MS);
+        saveTimer.unref?.();
+    };
+
+    return {
+        embedder,
+
+        get size() {
+            return entries.size;
+        },
+
+        /**
+         * Embed products that are new or whose text changed
+         */
+        async add(products) {
+            await load();
+
+            const pending = [];
+            for (const product of products) {
+                const text = productEmbeddingText(product);
+                const hash = textHash(text);
+                if (entries.get(product.id)?.hash !== hash) pending.push({ product, text, hash });
+            }
+            if (pending.length === 0) return 0;
+
+            const vectors = await embedder.embed(pending.map((p) => p.text));
+            pending.forEach(({ product, hash }, i) => {
+                entries.set(product.id, {
+                    id: product.id,
+                    hash,
+                    vector: vectors[i].map((v) => Number(v.toFixed(5))),
+                });
+            });
+
+            scheduleSave();
+            return pending.length;
+        },
+
+        /**
+         * Ids of the nearest products to a free-text query
+         * @returns {Promise<Array<{ id: string, similarity: number }>>}
+         */
+        async search(query, { limit = DEFAULT_HIT_LIMIT } = {}) {
+            await load();
+            if (!query || !query.trim() || entries.size === 0) return [];
+
+            const [queryVector] = await embedder.embed([query]);
+            return [...entries.values()]
+                .map((entry) => ({ id: entry.id, similarity: cosineSimilarity(queryVector, entry.vector) }))
+                .filter((hit) => hit.similarity >= embedder.minSimilarity)
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, limit);
+        },
+    };
+}
+
+let activeIndex;
+let catalogIndexed = null;
+
+/**
+ * Get the process-wide index, or null when SEMANTIC_SEARCH is off
+ */
+export function getSemanticIndex() {
+    if (activeIndex === undefined) {
+        const embedder = createEmbedderFromEnv();
+        activeIndex = embedder
+            ? createSemanticIndex({
+                embedder,
+                path: process.env.SEMANTIC_INDEX_PATH || join(process.cwd(), ".data", "semantic-index.json"),
+            })
+            : null;
+        if (activeIndex) console.log("[Semantic] Using embedder:", embedder.signature);
+    }
+    return activeIndex;
+}
+
+/**
+ * Replace the process-wide index (offline runs and tests); pass undefined to re-read the environment
+ */
+export function setSemanticIndex(index) {
+    activeIndex = index;
+    catalogIndexed = null;
+}
+
+/**
+ * Index the whole catalog once, for adapters that can list it
+ * @param {import("./catalog.js").CatalogAdapter} catalog
+ */
+async function ensureCatalogIndexed(index, catalog) {
+    if (typeof catalog.list !== "function") return;
+    catalogIndexed ??= (async () => {
+        const added = await index.add(await catalog.list());
+        console.log("[Semantic] Indexed", added, "new catalog products,", index.size, "total");
+    })().catch((error) => {
+        catalogIndexed = null;
+        throw error;
+    });
+    return catalogIndexed;
+}
+
+/**
+ * Merge nearest-neighbour hits into keyword results
+ * Products found both ways keep their keyword score; semantic-only products get the
+ * similarity scaled to the keyword scores, so the ranker can weigh them side by side.
+ * Every product found semantically carries `semanticScore`.
+ */
+export function mergeSemanticHits(keywordProducts, hits) {
+    const maxScore = Math.max(1, ...keywordProducts.map((p) => p.score || 0));
+    const similarityById = new Map(hits.map((hit) => [hit.product.id, hit.similarity]));
+
+    const merged = keywordProducts.map((p) =>
+        similarityById.has(p.id) ? { ...p, semanticScore: similarityById.get(p.id) } : p
+    );
+    const seen = new Set(keywordProducts.map((p) => p.id));
+
+    for (const { product, similarity } of hits) {
+        if (seen.has(product.id)) continue;
+        seen.add(product.id);
+        merged.push({ ...product, score: similarity * maxScore, semanticScore: similarity });
+    }
+
+    return merged;
+}
+
+/**
+ * Add semantic hits for a free-text query to keyword search results
+ * A no-op when semantic search is off; failures are logged and the keyword results returned
+ * @param {string} query - The customer's words plus extracted keywords
+ * @param {Array} keywordProducts - multiSearch results (also added to the index)
+ * @param {import("./catalog.js").CatalogAdapter} catalog
+ */
+export async function withSemanticHits(query, keywordProducts, catalog) {
+    const index = getSemanticIndex();
+    if (!index) return keywordProducts;
+
+    try {
+        await ensureCatalogIndexed(index, catalog);
+        await index.add(keywordProducts);
+
+        const nearest = await index.search(query);
+        const keywordIds = new Set(keywordProducts.map((p) => p.id));
+        const { products: fetched, missing } = await getProductsByIds(nearest.filter((hit) => !keywordIds.has(hit.id)).map((hit) => hit.id));
+        if (missing.length > 0) console.log("[Semantic]", missing.length, "indexed products are no longer in the catalog");
+
+        const productById = new Map([...keywordProducts, ...fetched].map((p) => [p.id, p]));
+        const hits = nearest
+            .filter((hit) => productById.has(hit.id))
+            .map((hit) => ({ product: productById.get(hit.id), similarity: hit.similarity }));
+        const merged = mergeSemanticHits(keywordProducts, hits);
+        console.log("[Semantic]", hits.length, "hits for", JSON.stringify(query), "|", merged.length - keywordProducts.length, "new products");
+        return merged;
+    } catch (error) {
+        console.error("[Semantic] Search failed, using keyword results only:", error.message);
+        return keywordProducts;
+    }
+}
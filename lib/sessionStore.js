@@ -0,0 +1,158 @@
+/**
+ * Session Store — Server-side conversation state keyed by a client-supplied session id
+ *
+ * SESSION_STORE picks the backend:
+ * - "memory" (default): process memory, sessions expire after SESSION_TTL_HOURS (default 24)
+ * - "file": one JSON file per session under SESSION_STORE_PATH (default .data/sessions)
+ *
+ * A session holds the transcript, the merged shopping profile, the last cleaned intent and the
+ * prompt versions it was assigned.
+ */
+
+import { mkdir, readFile, readdir, writeFile, rm } from "node:fs/promises";
+import { join } from "node:path";
+import { emptyProfile } from "./shoppingProfile.js";
+
+const SESSION_ID_PATTERN = /^[\w-]{8,64}$/;
+
+/**
+ * Whether a client-supplied id is safe to use as a key (and as a file name)
+ */
+export function isValidSessionId(id) {
+    return typeof id === "string" && SESSION_ID_PATTERN.test(id);
+}
+
+/**
+ * Build a new, empty session
+ */
+export function createSession(id) {
+    const now = new Date().toISOString();
+    return {
+        id,
+        createdAt: now,
+        updatedAt: now,
+        messages: [],
+        profile: emptyProfile(),
+        lastIntent: null,
+        promptVersions: null,
+    };
+}
+
+/**
+ * In-memory store with idle expiry
+ */
+export function createMemorySessionStore({ ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+    const sessions = new Map();
+
+    const prune = () => {
+        const cutoff = Date.now() - ttlMs;
+        for (const [id, session] of sessions) {
+            if (Date.parse(session.updatedAt) < cutoff) sessions.delete(id);
+        }
+    };
+
+    return {
+        name: "memory",
+
+        async get(id) {
+            prune();
+            const session = sessions.get(id);
+            return session ? structuredClone(session) : null;
+        },
+
+        async save(session) {
+            session.updatedAt = new Date().toISOString();
+            sessions.set(session.id, structuredClone(session));
+            return session;
+        },
+
+        async delete(id) {
+            sessions.delete(id);
+        },
+
+        async list() {
+            prune();
+            return [...sessions.values()].map((session) => structuredClone(session));
+        },
+    };
+}
+
+/**
+ * File-backed store: <dir>/<sessionId>.json
+ */
+export function createFileSessionStore({ dir }) {
+    const fileFor = (id) => join(dir, `${id}.json`);
+
+    return {
+        name: "file",
+
+        async get(id) {
+            try {
+                return JSON.parse(await readFile(fileFor(id), "utf8"));
+            } catch (error) {
+                if (error.code === "ENOENT") return null;
+                throw error;
+            }
+        },
+
+        async save(session) {
+            session.updatedAt = new Date().toISOString();
+            await mkdir(dir, { recursive: true });
+            await writeFile(fileFor(session.id), JSON.stringify(session, null, 2));
+            return session;
+        },
+
+        async delete(id) {
+            await rm(fileFor(id), { force: true });
+        },
+
+        async list() {
+            let files;
+            try {
+                files = (await readdir(dir)).filter((file) => file.endsWith(".json"));
+            } catch (error) {
+                if (error.code === "ENOENT") return [];
+                throw error;
+            }
+            const records = await Promise.all(files.map((file) => this.get(file.slice(0, -".json".length))));
+            return records.filter(Boolean);
+        },
+    };
+}
+
+let activeStore = null;
+
+/**
+ * Get the process-wide session store, created lazily from the environment
+ */
+export function getSessionStore() {
+    if (!activeStore) {
+        const kind = (process.env.SESSION_STORE || "memory").toLowerCase();
+
+        if (kind === "file") {
+            activeStore = createFileSessionStore({
+                dir: process.env.SESSION_STORE_PATH || join(process.cwd(), ".data", "sessions"),
+            });
+        } else if (kind === "memory") {
+            const ttlHours = Number(process.env.SESSION_TTL_HOURS) || 24;
+            activeStore = createMemorySessionStore({ ttlMs: ttlHours * 60 * 60 * 1000 });
+        } else {
+            throw new Error(`Unknown SESSION_STORE "${kind}" (expected memory or file)`);
+        }
+    }
+    return activeStore;
+}
+
+/**
+ * Load a session, creating it if this id has not been seen
+ */
+export async function loadSession(id) {
+    return (await getSessionStore().get(id)) || createSession(id);
+}
+
+/**
+ * Persist a session
+ */
+export async function saveSession(session) {
+    return getSessionStore().save(session);
+}
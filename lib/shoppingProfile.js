@@ -0,0 +1,147 @@
+/**
+ * Shopping Profile — The merged "what we know so far" for a session
+ *
+ * Each turn's extracted intent updates the profile instead of re-deriving everything
+ * from the transcript: stated values replace old ones, unstated (null) values are kept,
+ * and dietary restrictions accumulate. Naming a different recipient starts a fresh profile,
+ * since budget and dietary needs belong to the person the gift is for. Group orders keep their
+ * headcount and a per-person budget (a stated total is split over the headcount).
+ * Pure functions — safe to import from client components.
+ */
+
+import { defaultIntent, validateIntent } from "./intentSchema.js";
+import { isGiftPlan } from "./giftPlan.js";
+
+export const PROFILE_FIELDS = ["occasion", "recipient", "budget_min", "budget_max", "dietary_restrictions", "urgency", "headcount", "budget_per_person"];
+
+/**
+ * Build an empty profile
+ */
+export function emptyProfile() {
+    return {
+        occasion: null,
+        recipient: null,
+        budget_min: null,
+        budget_max: null,
+        dietary_restrictions: [],
+        urgency: null,
+        headcount: null,
+        budget_per_person: null,
+    };
+}
+
+/**
+ * Clean a profile that came from the client (edited constraint chips) using the intent schema's coercion
+ * @returns {Object} Profile with only the known fields, each valid
+ */
+export function sanitizeProfile(raw) {
+    const candidate = defaultIntent();
+    for (const field of PROFILE_FIELDS) {
+        if (raw && field in raw) candidate[field] = raw[field];
+    }
+
+    const { intent } = validateIntent(candidate);
+    return Object.fromEntries(PROFILE_FIELDS.map((field) => [field, intent[field]]));
+}
+
+/**
+ * One-line transcript note recording a manual profile edit, so later turns see the user's explicit choices
+ */
+export function describeProfileEdit(profile) {
+    const budget = profile.budget_min == null && profile.budget_max == null
+        ? "any"
+        : `${profile.budget_min != null ? `$${profile.budget_min}` : "$0"}–${profile.budget_max != null ? `$${profile.budget_max}` : "any"}`;
+
+    return `[Adjusted filters] occasion: ${profile.occasion || "any"}; recipient: ${profile.recipient || "unspecified"}; budget: ${budget}; dietary restrictions: ${profile.dietary_restrictions.length > 0 ? profile.dietary_restrictions.join(", ") : "none"}; delivery: ${profile.urgency || "any"}; headcount: ${profile.headcount ?? "none"}; budget per person: ${profile.budget_per_person != null ? `$${profile.budget_per_person}` : "any"}`;
+}
+
+/**
+ * Merge a newly extracted intent into the existing profile
+ * @param {Object|null} profile - Current profile (null for a new session)
+ * @param {Object} intent - Cleaned intent from extractIntent
+ * @returns {Object} New profile
+ */
+export function mergeProfile(profile, intent) {
+    let base = { ...emptyProfile(), ...(profile || {}) };
+
+    const newRecipient = intent.recipient?.trim().toLowerCase();
+    if (newRecipient && base.recipient && newRecipient !== base.recipient.trim().toLowerCase()) {
+        base = emptyProfile();
+    }
+
+    const merged = { ...base };
+
+    for (const field of ["occasion", "recipient", "urgency", "headcount"]) {
+        if (intent[field] != null) merged[field] = intent[field];
+    }
+
+    // "$400 for 40 people" is kept as $10 per person
+    const totalForGroup = intent.total_budget != null && !isGiftPlan(intent) && merged.headcount
+        ? Math.round((intent.total_budget / merged.headcount) * 100) / 100
+        : null;
+    if (intent.budget_per_person != null || totalForGroup != null) {
+        merged.budget_per_person = intent.budget_per_person ?? totalForGroup;
+    }
+
+    // A new budget statement replaces the whole range ("under $30" drops an old minimum)
+    if (intent.budget_min != null || intent.budget_max != null) {
+        merged.budget_min = intent.budget_min ?? null;
+        merged.budget_max = intent.budget_max ?? null;
+    }
+
+    merged.dietary_restrictions = [
+        ...new Set([...(base.dietary_restrictions || []), ...(intent.dietary_restrictions || [])]),
+    ];
+
+    return merged;
+}
+
+/**
+ * Fill the fields an intent left unset from the profile, so search and filtering see the full picture
+ * @returns {Object} Effective intent
+ */
+export function applyProfile(intent, profile) {
+    if (!profile) return intent;
+
+    return {
+        ...intent,
+        occasion: profile.occasion,
+        recipient: profile.recipient,
+        budget_min: profile.budget_min,
+        budget_max: profile.budget_max,
+        dietary_restrictions: profile.dietary_restrictions,
+        urgency: profile.urgency,
+        headcount: profile.headcount ?? null,
+        budget_per_person: profile.budget_per_person ?? null,
+    };
+}
+
+/**
+ * Short human-readable summary, e.g. "Birthday · for mom · under $50 · no egg"
+ */
+export function describeProfile(profile) {
+    if (!profile) return "";
+
+    const parts = [];
+    if (profile.occasion) {
+        const occasion = profile.occasion.replace(/_/g, " ");
+        parts.push(occasion.charAt(0).toUpperCase() + occasion.slice(1));
+    }
+    if (profile.recipient) parts.push(`for ${profile.recipient}`);
+    if (profile.budget_min != null && profile.budget_max != null) {
+        parts.push(`$${profile.budget_min}–$${profile.budget_max}`);
+    } else if (profile.budget_max != null) {
+        parts.push(`under $${profile.budget_max}`);
+    } else if (profile.budget_min != null) {
+        parts.push(`over $${profile.budget_min}`);
+    }
+    if (profile.dietary_restrictions?.length > 0) {
+        parts.push(`no ${profile.dietary_restrictions.join(", ")}`);
+    }
+    if (profile.urgency === "one_hour") parts.push("within the hour");
+    if (profile.urgency === "same_day") parts.push("today");
+    if (profile.headcount) parts.push(`${profile.headcount} people`);
+    if (profile.budget_per_person != null) parts.push(`$${profile.budget_per_person}/person`);
+
+    return parts.join(" · ");
+}
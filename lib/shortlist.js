@@ -0,0 +1,95 @@
+/**
+ * Shortlist — Products the customer has hearted, kept across chats
+ *
+ * The shortlist lives in localStorage (a snapshot of each product, so it renders without a
+ * round trip) and, when SHORTLIST_STORE is enabled, is mirrored to the server under an id
+ * stored alongside it. Share links carry only product ids (`/?shortlist=101,102`); the
+ * receiving page rebuilds the products through /api/shortlist and the catalog layer.
+ * Pure functions apart from the localStorage helpers — safe to import from client components.
+ */
+
+export const SHORTLIST_STORAGE_KEY = "shortlist";
+export const SHORTLIST_URL_PARAM = "shortlist";
+export const MAX_SHORTLIST_SIZE = 50;
+
+const PRODUCT_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * The fields of a display product the shortlist keeps
+ */
+export function toShortlistItem(product) {
+    return {
+        id: String(product.id),
+        name: product.name,
+        image: product.image || "",
+        thumbnail: product.thumbnail || "",
+        minPrice: product.minPrice,
+        maxPrice: product.maxPrice,
+        url: product.url || "",
+        onSale: product.onSale || false,
+        originalPrice: product.originalPrice ?? null,
+        isOneHourDelivery: product.isOneHourDelivery || false,
+    };
+}
+
+/**
+ * Parse product ids from a share link parameter or request body
+ * Drops malformed and duplicate ids and caps the count
+ * @param {string|string[]|null} value - "101,102" or ["101", "102"]
+ * @returns {string[]}
+ */
+export function parseShortlistIds(value) {
+    const raw = Array.isArray(value) ? value : String(value || "").split(",");
+    const ids = raw.map((id) => String(id).trim()).filter((id) => PRODUCT_ID_PATTERN.test(id));
+    return [...new Set(ids)].slice(0, MAX_SHORTLIST_SIZE);
+}
+
+/**
+ * Link that rebuilds this shortlist on another device
+ * @param {string} origin - e.g. window.location.origin
+ * @param {Array<{ id: string }>} items
+ */
+export function buildShareUrl(origin, items) {
+    const url = new URL("/", origin);
+    url.searchParams.set(SHORTLIST_URL_PARAM, items.map((item) => item.id).join(","));
+    return url.toString();
+}
+
+/**
+ * Add a product, or remove it if it is already shortlisted
+ * @returns {Array} New shortlist (newest first)
+ */
+export function toggleShortlistItem(items, product) {
+    const id = String(product.id);
+    if (items.some((item) => item.id === id)) {
+        return items.filter((item) => item.id !== id);
+    }
+    return [toShortlistItem(product), ...items].slice(0, MAX_SHORTLIST_SIZE);
+}
+
+/**
+ * Read the saved shortlist; an empty one (with a fresh sync id) if there is none
+ * @returns {{ id: string, items: Array, updatedAt: string|null }}
+ */
+export function loadLocalShortlist() {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(SHORTLIST_STORAGE_KEY));
+        if (saved && typeof saved.id === "string" && Array.isArray(saved.items)) {
+            return { id: saved.id, items: saved.items, updatedAt: saved.updatedAt || null };
+        }
+    } catch (error) {
+        console.error("Could not read the saved shortlist:", error);
+    }
+    return { id: crypto.randomUUID(), items: [], updatedAt: null };
+}
+
+/**
+ * Save the shortlist to localStorage
+ */
+export function saveLocalShortlist(shortlist) {
+    try {
+        window.localStorage.setItem(SHORTLIST_STORAGE_KEY, JSON.stringify(shortlist));
+    } catch (error) {
+        console.error("Could not save the shortlist:", error);
+    }
+}
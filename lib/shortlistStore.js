@@ -0,0 +1,38 @@
+/**
+ * Shortlist Store — Optional server-side copy of each browser's shortlist
+ *
+ * SHORTLIST_STORE picks the backend, using the same memory and file stores as sessions:
+ * - "off" (default): shortlists stay in the browser only
+ * - "memory": process memory, kept for SHORTLIST_TTL_DAYS (default 30) since the last change
+ * - "file": one JSON file per shortlist under SHORTLIST_STORE_PATH (default .data/shortlists)
+ *
+ * Only product ids are stored; products are rebuilt from the catalog when read.
+ */
+
+import { join } from "node:path";
+import { createMemorySessionStore, createFileSessionStore } from "./sessionStore.js";
+
+let activeStore;
+
+/**
+ * Get the process-wide shortlist store, or null when SHORTLIST_STORE is off
+ */
+export function getShortlistStore() {
+    if (activeStore === undefined) {
+        const kind = (process.env.SHORTLIST_STORE || "off").toLowerCase();
+
+        if (kind === "off") {
+            activeStore = null;
+        } else if (kind === "file") {
+            activeStore = createFileSessionStore({
+                dir: process.env.SHORTLIST_STORE_PATH || join(process.cwd(), ".data", "shortlists"),
+            });
+        } else if (kind === "memory") {
+            const ttlDays = Number(process.env.SHORTLIST_TTL_DAYS) || 30;
+            activeStore = createMemorySessionStore({ ttlMs: ttlDays * 24 * 60 * 60 * 1000 });
+        } else {
+            throw new Error(`Unknown SHORTLIST_STORE "${kind}" (expected off, memory or file)`);
+        }
+    }
+    return activeStore;
+}
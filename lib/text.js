@@ -0,0 +1,15 @@
+/**
+ * Text — Tokenization shared by keyword search, ranking and the hashing embedder
+ */
+
+/**
+ * Split text into lowercase tokens with light plural stemming
+ * ("strawberries" and "strawberry" both index as "strawberry")
+ */
+export function tokenize(text) {
+    return (String(text || "").toLowerCase().match(/[a-z0-9]+/g) || []).map((token) => {
+        if (token.length > 4 && token.endsWith("ies")) return `${token.slice(0, -3)}y`;
+        if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) return token.slice(0, -1);
+        return token;
+    });
+}
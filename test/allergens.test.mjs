@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { assessAllergens } from "../lib/allergens.js";
+
+const fruitBouquet = {
+    ingredients: "pineapple, cantaloupe, honeydew, grapes",
+    allergyInfo: "No major allergens.",
+};
+
+test("marks restrictions outside the taxonomy as unknown when their word is missing", () => {
+    const result = assessAllergens(fruitBouquet, ["kosher", "halal", "sugar free"]);
+
+    assert.equal(result.status, "unknown");
+    assert.deepEqual(result.restrictions.map((r) => r.status), ["unknown", "unknown", "unknown"]);
+});
+
+test("marks restrictions outside the taxonomy as unsafe when their word is listed", () => {
+    const result = assessAllergens({ ...fruitBouquet, ingredients: "strawberries, sugar" }, ["sugar free"]);
+
+    assert.equal(result.status, "unsafe");
+    assert.equal(result.restrictions[0].evidence, "lists sugar");
+});
+
+test("still clears taxonomy allergens that nothing mentions", () => {
+    assert.equal(assessAllergens(fruitBouquet, ["peanut"]).status, "safe");
+});
+
+test("keeps a contains statement unsafe despite a negation in the same sentence", () => {
+    const product = { ingredients: "chocolate, sugar", allergyInfo: "Contains no peanuts but contains milk." };
+
+    assert.equal(assessAllergens(product, ["dairy"]).status, "unsafe");
+    assert.equal(assessAllergens(product, ["peanut"]).status, "safe");
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import "../lib/prompts.js";
+import { assignPromptVersions, parsePromptVariants, renderPrompt } from "../lib/promptRegistry.js";
+
+const sessions = Array.from({ length: 2000 }, (_, i) => `session-${i}`);
+
+function shareOfVersion(variants, version) {
+    return sessions.filter((id) => assignPromptVersions(id, variants).response === version).length / sessions.length;
+}
+
+test("splits sessions between response versions by weight", () => {
+    const even = parsePromptVariants("response@1=50,response@2=50");
+    const skewed = parsePromptVariants("response@1=90,response@2=10");
+
+    assert.ok(Math.abs(shareOfVersion(even, "2") - 0.5) < 0.05);
+    assert.ok(Math.abs(shareOfVersion(skewed, "2") - 0.1) < 0.03);
+    assert.equal(shareOfVersion(parsePromptVariants("response@2=1"), "2"), 1);
+});
+
+test("keeps a session on the same version", () => {
+    const variants = parsePromptVariants("response@1=50,response@2=50");
+
+    for (const id of sessions.slice(0, 50)) {
+        assert.deepEqual(assignPromptVersions(id, variants), assignPromptVersions(id, variants));
+    }
+    assert.deepEqual(assignPromptVersions(null, variants), {});
+});
+
+test("renders a different template for response@2", () => {
+    const variables = { userMessage: "a birthday gift for my sister", products: [], intent: { dietary_restrictions: [] } };
+    const first = renderPrompt("response", variables);
+    const second = renderPrompt("response", variables, { response: "2" });
+
+    assert.deepEqual(first.ref, { name: "response", version: "1" });
+    assert.deepEqual(second.ref, { name: "response", version: "2" });
+    assert.notEqual(first.text, second.text);
+    assert.match(second.text, /ONE top pick/);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { filterWithRelaxation } from "../lib/relaxation.js";
+
+const milkChocolateBox = {
+    id: "1",
+    name: "Milk Chocolate Box",
+    minPrice: 34.99,
+    occasion: "thank you",
+    ingredients: "milk chocolate, sugar",
+    allergyInfo: "Contains milk.",
+    isOneHourDelivery: false,
+};
+const fruitBouquet = {
+    id: "2",
+    name: "Fruit Bouquet",
+    minPrice: 24.99,
+    occasion: "thank you",
+    ingredients: "pineapple, grapes",
+    allergyInfo: "No major allergens.",
+    isOneHourDelivery: false,
+};
+
+test("reports no relaxations when the dietary restriction removes every product", () => {
+    const result = filterWithRelaxation([milkChocolateBox], {
+        maxBudget: 20,
+        occasion: "birthday",
+        dietaryRestrictions: ["dairy"],
+        urgentDelivery: true,
+    });
+
+    assert.deepEqual(result, { products: [], relaxations: [] });
+});
+
+test("keeps only the relaxations that were needed", () => {
+    const result = filterWithRelaxation([milkChocolateBox, fruitBouquet], {
+        maxBudget: 20,
+        occasion: "thank you",
+        dietaryRestrictions: ["dairy"],
+    });
+
+    assert.deepEqual(result.products.map((p) => p.id), ["2"]);
+    assert.deepEqual(result.relaxations.map((r) => r.constraint), ["budget_max"]);
+    assert.equal(result.relaxations[0].to, 25);
+});
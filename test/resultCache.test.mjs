@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { getResultPage, storeResultSet } from "../lib/resultCache.js";
+
+const products = Array.from({ length: 10 }, (_, i) => ({ id: `P${i}` }));
+
+test("reports the same total for the first page and every later page", () => {
+    const { cursor, total } = storeResultSet(products, products.slice(0, 4));
+    assert.equal(total, 10);
+
+    const second = getResultPage(cursor, 4);
+    assert.deepEqual(second.products.map((p) => p.id), ["P4", "P5", "P6", "P7"]);
+    assert.equal(second.total, 10);
+
+    const third = getResultPage(second.nextCursor, 4);
+    assert.deepEqual(third.products.map((p) => p.id), ["P8", "P9"]);
+    assert.equal(third.nextCursor, null);
+    assert.equal(third.total, 10);
+});
+
+test("counts shown products from outside the ranked list once", () => {
+    const shown = [{ id: "P0" }, { id: "X1" }, { id: "P1" }];
+    const { cursor, total } = storeResultSet(products, shown);
+
+    assert.equal(total, 11);
+    assert.equal(getResultPage(cursor, 48).total, 11);
+});
+
+test("has no cursor when everything is shown", () => {
+    assert.deepEqual(storeResultSet(products.slice(0, 3), products.slice(0, 3)), { cursor: null, total: 3 });
+    assert.deepEqual(storeResultSet([], []), { cursor: null, total: 0 });
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+
+import { setCatalog } from "../lib/catalog.js";
+import { createLocalCatalog } from "../lib/localCatalog.js";
+import { createHashingEmbedder } from "../lib/embeddings.js";
+import { createSemanticIndex, setSemanticIndex, withSemanticHits } from "../lib/semanticSearch.js";
+
+const records = [
+    { id: "S1", name: "Chocolate Dipped Strawberries", description: "Fresh strawberries dipped in chocolate", price: 44.99 },
+    { id: "S2", name: "Fresh Fruit Bouquet", description: "Pineapple daisies and melon", price: 39.99 },
+];
+
+test("stores only ids and vectors and reads hits back from the catalog", async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), "semantic-"));
+    const path = join(dir, "index.json");
+    t.after(async () => {
+        setSemanticIndex(undefined);
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    const catalog = createLocalCatalog({ products: records });
+    setCatalog(catalog);
+    setSemanticIndex(createSemanticIndex({ embedder: createHashingEmbedder(), path }));
+    await withSemanticHits("chocolate strawberries", [], catalog);
+
+    // The catalog changes its price after the product was indexed
+    const repriced = createLocalCatalog({ products: [{ ...records[0], price: 39.99 }, records[1]] });
+    setCatalog(repriced);
+    const products = await withSemanticHits("chocolate strawberries", [], repriced);
+    const hit = products.find((p) => p.id === "S1");
+    assert.ok(hit, "the nearest product is returned");
+    assert.equal(hit.minPrice, 39.99);
+
+    await sleep(2500);
+    const saved = JSON.parse(await readFile(path, "utf8"));
+    assert.deepEqual(saved.entries.map((e) => e.id).sort(), ["S1", "S2"]);
+    for (const entry of saved.entries) assert.deepEqual(Object.keys(entry).sort(), ["hash", "id", "vector"]);
+});